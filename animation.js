@@ -0,0 +1,229 @@
+const cameraMath = require('./camera-math');
+
+// Keyframe camera animation.
+//
+// A timeline is { keyframes: [{ t, x, y, z, pitch, yaw, roll, zoom, easing }], loop }
+// with t in seconds. Position and zoom follow a Catmull-Rom style spline
+// through the keyframes, rotation is slerped along the shortest arc. The
+// easing on a keyframe shapes the segment that starts at it.
+
+const EASINGS = {
+  linear: (u) => u,
+  easeIn: (u) => u * u,
+  easeOut: (u) => u * (2 - u),
+  easeInOut: (u) => u < 0.5 ? 2 * u * u : -1 + (4 - 2 * u) * u,
+  smooth: (u) => u * u * (3 - 2 * u),
+  hold: () => 0
+};
+
+const POSE_KEYS = ['x', 'y', 'z', 'pitch', 'yaw', 'roll', 'zoom'];
+const DEFAULT_RATE = 30; // poses per second sent to VRChat during playback
+
+// Validate and normalize a keyframe list coming from the API.
+// Returns { keyframes } or { error }.
+function normalizeKeyframes(list) {
+  if (!Array.isArray(list)) return { error: 'keyframes must be an array' };
+  const keyframes = [];
+  for (const k of list) {
+    if (!k || typeof k.t !== 'number' || !isFinite(k.t) || k.t < 0) {
+      return { error: 'each keyframe needs a time t >= 0 (seconds)' };
+    }
+    const kf = { t: k.t, easing: EASINGS[k.easing] ? k.easing : 'smooth' };
+    for (const key of POSE_KEYS) {
+      if (typeof k[key] !== 'number' || !isFinite(k[key])) return { error: `keyframe at ${k.t}s is missing ${key}` };
+      kf[key] = k[key];
+    }
+    kf.zoom = cameraMath.clamp(kf.zoom, 20, 150);
+    keyframes.push(kf);
+  }
+  keyframes.sort((a, b) => a.t - b.t);
+  return { keyframes };
+}
+
+function duration(timeline) {
+  const kfs = timeline.keyframes;
+  return kfs.length ? kfs[kfs.length - 1].t : 0;
+}
+
+// Hermite segment with time-aware Catmull-Rom tangents
+function splineValue(kfs, i, key, u) {
+  const p0 = kfs[i], p1 = kfs[i + 1];
+  const h = p1.t - p0.t;
+  const tangent = (j) => {
+    const prev = kfs[Math.max(j - 1, 0)];
+    const next = kfs[Math.min(j + 1, kfs.length - 1)];
+    const dt = next.t - prev.t;
+    return dt > 0 ? (next[key] - prev[key]) / dt : 0;
+  };
+  const m0 = tangent(i), m1 = tangent(i + 1);
+  const u2 = u * u, u3 = u2 * u;
+  return (2 * u3 - 3 * u2 + 1) * p0[key] +
+    (u3 - 2 * u2 + u) * h * m0 +
+    (-2 * u3 + 3 * u2) * p1[key] +
+    (u3 - u2) * h * m1;
+}
+
+// Camera pose at time t (seconds), clamped to the timeline
+function sample(timeline, t) {
+  const kfs = timeline.keyframes;
+  if (!kfs.length) return null;
+  if (kfs.length === 1 || t <= kfs[0].t) return pick(kfs[0]);
+  if (t >= kfs[kfs.length - 1].t) return pick(kfs[kfs.length - 1]);
+
+  let i = 0;
+  while (i < kfs.length - 2 && t >= kfs[i + 1].t) i++;
+  const a = kfs[i], b = kfs[i + 1];
+  const span = b.t - a.t;
+  const s = span > 0 ? (t - a.t) / span : 1;
+  const u = (EASINGS[a.easing] || EASINGS.smooth)(s);
+
+  const q = cameraMath.slerp(
+    cameraMath.eulerToQuaternion(a.pitch, a.yaw, a.roll),
+    cameraMath.eulerToQuaternion(b.pitch, b.yaw, b.roll),
+    u
+  );
+  const rot = cameraMath.quaternionToEuler(q);
+
+  return {
+    x: splineValue(kfs, i, 'x', u),
+    y: splineValue(kfs, i, 'y', u),
+    z: splineValue(kfs, i, 'z', u),
+    pitch: rot.pitch,
+    yaw: rot.yaw,
+    roll: rot.roll,
+    zoom: cameraMath.clamp(splineValue(kfs, i, 'zoom', u), 20, 150)
+  };
+}
+
+function pick(kf) {
+  const pose = {};
+  for (const key of POSE_KEYS) pose[key] = kf[key];
+  return pose;
+}
+
+// Fixed-rate timeline player. onFrame(pose) is called every tick while
+// playing; onStatus(status) whenever play/pause/seek/stop/end changes things.
+function createPlayer({ onFrame, onStatus, rate = DEFAULT_RATE }) {
+  let timeline = { keyframes: [], loop: false };
+  let playing = false;
+  let position = 0;        // seconds into the timeline
+  let startedAt = 0;       // wall clock (ms) matching position 0 while playing
+  let timer = null;
+  let sendRate = rate;
+
+  function now() {
+    return Number(process.hrtime.bigint() / 1000000n);
+  }
+
+  function currentTime() {
+    return playing ? (now() - startedAt) / 1000 : position;
+  }
+
+  function status() {
+    return {
+      playing,
+      time: currentTime(),
+      duration: duration(timeline),
+      loop: !!timeline.loop,
+      rate: sendRate
+    };
+  }
+
+  function emitStatus() {
+    if (onStatus) onStatus(status());
+  }
+
+  function tick() {
+    const total = duration(timeline);
+    let t = currentTime();
+    if (t >= total) {
+      if (timeline.loop && total > 0) {
+        t = t % total;
+        startedAt = now() - t * 1000;
+      } else {
+        t = total;
+      }
+    }
+    const pose = sample(timeline, t);
+    if (pose) onFrame(pose);
+    if (t >= total && !timeline.loop) {
+      stopTimer();
+      playing = false;
+      position = total;
+      emitStatus();
+    }
+  }
+
+  function startTimer() {
+    stopTimer();
+    timer = setInterval(tick, 1000 / sendRate);
+  }
+
+  function stopTimer() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    get timeline() { return timeline; },
+    status,
+
+    load(next) {
+      timeline = { keyframes: next.keyframes, loop: !!next.loop };
+      position = Math.min(currentTime(), duration(timeline));
+      if (playing) startedAt = now() - position * 1000;
+      if (!timeline.keyframes.length) this.stop();
+      else emitStatus();
+    },
+
+    setLoop(loop) {
+      timeline.loop = !!loop;
+      emitStatus();
+    },
+
+    setRate(next) {
+      sendRate = cameraMath.clamp(Number(next) || DEFAULT_RATE, 1, 120);
+      if (playing) startTimer();
+      emitStatus();
+    },
+
+    play() {
+      if (!timeline.keyframes.length) return false;
+      if (playing) return true;
+      // Restart from the top if we're parked at the end
+      if (position >= duration(timeline)) position = 0;
+      startedAt = now() - position * 1000;
+      playing = true;
+      startTimer();
+      tick();
+      emitStatus();
+      return true;
+    },
+
+    pause() {
+      if (!playing) return;
+      position = Math.min(currentTime(), duration(timeline));
+      playing = false;
+      stopTimer();
+      emitStatus();
+    },
+
+    stop() {
+      playing = false;
+      position = 0;
+      stopTimer();
+      emitStatus();
+    },
+
+    seek(t) {
+      position = cameraMath.clamp(Number(t) || 0, 0, duration(timeline));
+      if (playing) startedAt = now() - position * 1000;
+      // Show the new position straight away, even while paused
+      const pose = sample(timeline, position);
+      if (pose) onFrame(pose);
+      emitStatus();
+    }
+  };
+}
+
+module.exports = { EASINGS, POSE_KEYS, normalizeKeyframes, sample, duration, createPlayer };
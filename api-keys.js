@@ -0,0 +1,109 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { safeEqual } = require('./sessions');
+
+// API keys for headless clients (Stream Deck, bots, scripts), persisted as
+// JSON next to config.json. A key looks like vrccam_<id>_<secret>; only a
+// SHA-256 of the secret is stored, so the full key is shown once at creation.
+// Each key: { id, name, scopes, hash, createdBy, createdAt, lastUsedAt, revokedAt }
+
+const SCOPES = {
+  read: 'Read camera state, presets and timeline',
+  move: 'Move the camera, set parameters, drive the timeline',
+  presets: 'Save, edit and recall presets',
+  config: 'Change server configuration'
+};
+const KEY_PATTERN = /^vrccam_([0-9a-f]{12})_([0-9a-f]{48})$/;
+const MAX_NAME_LENGTH = 64;
+const SAVE_DELAY = 30000; // lastUsedAt updates are batched
+
+function digest(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function publicKey(key) {
+  const { hash, ...rest } = key;
+  return rest;
+}
+
+function createApiKeyStore(file) {
+  let keys = [];
+  let saveTimer = null;
+
+  function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const tmp = file + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify({ keys }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  try {
+    if (fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      keys = Array.isArray(data.keys) ? data.keys : [];
+      console.log(`Loaded ${keys.length} API key(s) from ${file}`);
+    }
+  } catch (err) {
+    console.error('Error loading API keys:', err.message);
+  }
+
+  return {
+    list() {
+      return keys.map(publicKey);
+    },
+
+    // Returns { key, secret } (secret is the full key string) or { error }
+    create({ name, scopes }, createdBy) {
+      if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+        return { error: `name required (at most ${MAX_NAME_LENGTH} characters)` };
+      }
+      if (!Array.isArray(scopes) || !scopes.length || !scopes.every(s => SCOPES[s])) {
+        return { error: `scopes must be a list of: ${Object.keys(SCOPES).join(', ')}` };
+      }
+      const id = crypto.randomBytes(6).toString('hex');
+      const secret = crypto.randomBytes(24).toString('hex');
+      const key = {
+        id,
+        name: name.trim(),
+        scopes: [...new Set(scopes)],
+        hash: digest(secret),
+        createdBy,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revokedAt: null
+      };
+      keys.push(key);
+      save();
+      return { key: publicKey(key), secret: `vrccam_${id}_${secret}` };
+    },
+
+    // The live key for a presented key string, or null. Records the use.
+    verify(presented) {
+      const match = KEY_PATTERN.exec(String(presented));
+      if (!match) return null;
+      const key = keys.find(k => k.id === match[1]);
+      if (!key || key.revokedAt || !safeEqual(key.hash, digest(match[2]))) return null;
+      key.lastUsedAt = new Date().toISOString();
+      if (!saveTimer) saveTimer = setTimeout(save, SAVE_DELAY);
+      return publicKey(key);
+    },
+
+    // Revoked keys stay listed (with revokedAt) so it's clear what existed
+    revoke(id) {
+      const key = keys.find(k => k.id === id);
+      if (!key) return { error: 'API key not found', notFound: true };
+      if (!key.revokedAt) {
+        key.revokedAt = new Date().toISOString();
+        save();
+      }
+      return { key: publicKey(key) };
+    },
+
+    flush() {
+      if (saveTimer) save();
+    }
+  };
+}
+
+module.exports = { SCOPES, createApiKeyStore };
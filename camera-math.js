@@ -0,0 +1,203 @@
+// Camera orientation helpers.
+//
+// VRChat sends/receives Unity euler angles in degrees: pitch (X), yaw (Y),
+// roll (Z). Unity is left-handed with +Y up and +Z forward, and applies the
+// rotations roll first, then pitch, then yaw (R = Ry * Rx * Rz).
+// Positive pitch looks down, positive yaw turns right.
+
+const DEG = Math.PI / 180;
+const PITCH_LIMIT = 89; // keep away from the gimbal-lock pole
+
+const MOVE_FRAMES = ['world', 'local', 'drone'];
+const ROTATION_FRAMES = ['euler', 'local'];
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+// Wrap to (-180, 180]
+function wrapAngle(deg) {
+  let a = ((deg + 180) % 360 + 360) % 360 - 180;
+  if (a === -180) a = 180;
+  return a;
+}
+
+function clampPitch(deg) {
+  return clamp(deg, -PITCH_LIMIT, PITCH_LIMIT);
+}
+
+// 3x3 rotation matrix (row-major array of rows) for Unity euler angles
+function eulerToMatrix(pitch, yaw, roll) {
+  const sb = Math.sin(pitch * DEG), cb = Math.cos(pitch * DEG);
+  const sa = Math.sin(yaw * DEG), ca = Math.cos(yaw * DEG);
+  const sc = Math.sin(roll * DEG), cc = Math.cos(roll * DEG);
+  return [
+    [ca * cc + sa * sb * sc, -ca * sc + sa * sb * cc, sa * cb],
+    [cb * sc, cb * cc, -sb],
+    [-sa * cc + ca * sb * sc, sa * sc + ca * sb * cc, ca * cb]
+  ];
+}
+
+// Inverse of eulerToMatrix. Returns degrees, yaw/roll wrapped to (-180, 180]
+function matrixToEuler(m) {
+  const sb = clamp(-m[1][2], -1, 1);
+  const pitch = Math.asin(sb);
+  let yaw, roll;
+  if (Math.abs(sb) < 0.999999) {
+    yaw = Math.atan2(m[0][2], m[2][2]);
+    roll = Math.atan2(m[1][0], m[1][1]);
+  } else {
+    // Looking straight up/down: yaw and roll share an axis, put it all in yaw
+    yaw = Math.atan2(-m[2][0], m[0][0]);
+    roll = 0;
+  }
+  return {
+    pitch: pitch / DEG,
+    yaw: wrapAngle(yaw / DEG),
+    roll: wrapAngle(roll / DEG)
+  };
+}
+
+function multiply(a, b) {
+  const out = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) {
+      out[r][c] = a[r][0] * b[0][c] + a[r][1] * b[1][c] + a[r][2] * b[2][c];
+    }
+  }
+  return out;
+}
+
+function transform(m, v) {
+  return [
+    m[0][0] * v[0] + m[0][1] * v[1] + m[0][2] * v[2],
+    m[1][0] * v[0] + m[1][1] * v[1] + m[1][2] * v[2],
+    m[2][0] * v[0] + m[2][1] * v[1] + m[2][2] * v[2]
+  ];
+}
+
+// Turn a movement delta into a world-space delta.
+//   world - dx/dy/dz are world axes (the original behaviour)
+//   local - camera axes: +x right, +y up, +z forward, following pitch and roll
+//   drone - like local but only yaw is applied, so forward stays level and
+//           dy is always world up
+function toWorldDelta(frame, pose, dx, dy, dz) {
+  if (frame === 'local') {
+    return transform(eulerToMatrix(pose.pitch, pose.yaw, pose.roll), [dx, dy, dz]);
+  }
+  if (frame === 'drone') {
+    return transform(eulerToMatrix(0, pose.yaw, 0), [dx, dy, dz]);
+  }
+  return [dx, dy, dz];
+}
+
+// Apply rotation deltas and return the new { pitch, yaw, roll }.
+//   euler - add to the angles directly, wrapping yaw/roll and clamping pitch
+//   local - rotate about the camera's own axes (yaw around camera up, pitch
+//           around camera right, roll around camera forward), as a pilot would
+function applyRotationDelta(frame, pose, dpitch, dyaw, droll) {
+  if (frame === 'local') {
+    const current = eulerToMatrix(pose.pitch, pose.yaw, pose.roll);
+    const delta = multiply(multiply(eulerToMatrix(0, dyaw, 0), eulerToMatrix(dpitch, 0, 0)), eulerToMatrix(0, 0, droll));
+    return matrixToEuler(multiply(current, delta));
+  }
+  return {
+    pitch: clampPitch(pose.pitch + dpitch),
+    yaw: wrapAngle(pose.yaw + dyaw),
+    roll: wrapAngle(pose.roll + droll)
+  };
+}
+
+// -- Quaternions ([x, y, z, w]) for smooth rotation interpolation --
+
+function matrixToQuaternion(m) {
+  const trace = m[0][0] + m[1][1] + m[2][2];
+  let x, y, z, w;
+  if (trace > 0) {
+    const s = Math.sqrt(trace + 1) * 2;
+    w = 0.25 * s;
+    x = (m[2][1] - m[1][2]) / s;
+    y = (m[0][2] - m[2][0]) / s;
+    z = (m[1][0] - m[0][1]) / s;
+  } else if (m[0][0] > m[1][1] && m[0][0] > m[2][2]) {
+    const s = Math.sqrt(1 + m[0][0] - m[1][1] - m[2][2]) * 2;
+    w = (m[2][1] - m[1][2]) / s;
+    x = 0.25 * s;
+    y = (m[0][1] + m[1][0]) / s;
+    z = (m[0][2] + m[2][0]) / s;
+  } else if (m[1][1] > m[2][2]) {
+    const s = Math.sqrt(1 + m[1][1] - m[0][0] - m[2][2]) * 2;
+    w = (m[0][2] - m[2][0]) / s;
+    x = (m[0][1] + m[1][0]) / s;
+    y = 0.25 * s;
+    z = (m[1][2] + m[2][1]) / s;
+  } else {
+    const s = Math.sqrt(1 + m[2][2] - m[0][0] - m[1][1]) * 2;
+    w = (m[1][0] - m[0][1]) / s;
+    x = (m[0][2] + m[2][0]) / s;
+    y = (m[1][2] + m[2][1]) / s;
+    z = 0.25 * s;
+  }
+  return [x, y, z, w];
+}
+
+function quaternionToMatrix(q) {
+  const [x, y, z, w] = q;
+  return [
+    [1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w)],
+    [2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w)],
+    [2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y)]
+  ];
+}
+
+function eulerToQuaternion(pitch, yaw, roll) {
+  return matrixToQuaternion(eulerToMatrix(pitch, yaw, roll));
+}
+
+function quaternionToEuler(q) {
+  return matrixToEuler(quaternionToMatrix(q));
+}
+
+// Spherical interpolation, always along the shorter arc
+function slerp(a, b, t) {
+  let dot = a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+  if (dot < 0) {
+    b = [-b[0], -b[1], -b[2], -b[3]];
+    dot = -dot;
+  }
+  let wa, wb;
+  if (dot > 0.9995) {
+    // Nearly identical, lerp is fine (and avoids dividing by ~0)
+    wa = 1 - t;
+    wb = t;
+  } else {
+    const theta = Math.acos(dot);
+    const sin = Math.sin(theta);
+    wa = Math.sin((1 - t) * theta) / sin;
+    wb = Math.sin(t * theta) / sin;
+  }
+  const q = [
+    wa * a[0] + wb * b[0],
+    wa * a[1] + wb * b[1],
+    wa * a[2] + wb * b[2],
+    wa * a[3] + wb * b[3]
+  ];
+  const len = Math.hypot(q[0], q[1], q[2], q[3]);
+  return q.map(v => v / len);
+}
+
+module.exports = {
+  MOVE_FRAMES,
+  ROTATION_FRAMES,
+  PITCH_LIMIT,
+  clamp,
+  wrapAngle,
+  clampPitch,
+  eulerToMatrix,
+  matrixToEuler,
+  toWorldDelta,
+  applyRotationDelta,
+  eulerToQuaternion,
+  quaternionToEuler,
+  slerp
+};
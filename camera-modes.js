@@ -0,0 +1,213 @@
+const cameraMath = require('./camera-math');
+
+// Target-based camera modes, layered over the free-fly camera.
+//
+//   free   - no constraint (the default)
+//   lookAt - keep aiming at a fixed world point; translation stays manual
+//   orbit  - circle a point at radius/height, speed deg/s, aiming at it
+//   follow - trail a target whose position arrives over OSC (x, y, z floats
+//            on `address`) through a damped spring, keeping `offset` from it
+//
+// Modes only work out the pose. The caller sends it, and runs every
+// outgoing pose through aim() so pitch/yaw keep pointing at the target
+// whatever else moved the camera.
+
+const MODES = ['free', 'lookAt', 'orbit', 'follow'];
+const RATE = 30; // ticks per second for orbit/follow
+const DEG = Math.PI / 180;
+
+const DEFAULTS = {
+  target: null,           // [x, y, z] for lookAt/orbit; defaults to 3 m ahead
+  radius: 3,              // orbit: m from the target, horizontally
+  height: 1,              // orbit: m above the target
+  speed: 20,              // orbit: deg/s, negative goes the other way
+  address: '/camera/follow',
+  offset: [0, 1, -3],     // follow: camera position relative to the target (world axes)
+  lag: 0.5,               // follow: s, roughly how far behind the spring runs
+  damping: 1              // follow: 1 is critically damped, lower overshoots
+};
+
+const RANGES = {
+  radius: [0.1, 1000],
+  height: [-1000, 1000],
+  speed: [-360, 360],
+  lag: [0.05, 10],
+  damping: [0.1, 4]
+};
+
+function vector(value, field) {
+  const v = Array.isArray(value) ? value : value && typeof value === 'object' ? [value.x, value.y, value.z] : null;
+  if (!v || v.length !== 3 || !v.every(n => typeof n === 'number' && isFinite(n))) {
+    return { error: `${field} must be [x, y, z]` };
+  }
+  return { value: v.slice() };
+}
+
+// Point pose's pitch/yaw at point (roll is left alone)
+function aimAt(pose, point) {
+  const dx = point[0] - pose.x, dy = point[1] - pose.y, dz = point[2] - pose.z;
+  const horizontal = Math.hypot(dx, dz);
+  if (horizontal < 1e-6 && Math.abs(dy) < 1e-6) return;
+  pose.yaw = cameraMath.wrapAngle(Math.atan2(dx, dz) / DEG);
+  pose.pitch = cameraMath.clampPitch(-Math.atan2(dy, horizontal) / DEG);
+}
+
+// A point distance m straight ahead of the camera
+function pointAhead(pose, distance) {
+  const m = cameraMath.eulerToMatrix(pose.pitch, pose.yaw, pose.roll);
+  return [pose.x + m[0][2] * distance, pose.y + m[1][2] * distance, pose.z + m[2][2] * distance];
+}
+
+// pose is the live camera state, changed in place. onTick() runs after each
+// orbit/follow step to send the result; onStatus(status) when the mode or
+// its settings change.
+function createCameraModes({ pose, onTick, onStatus }) {
+  let mode = 'free';
+  let params = { ...DEFAULTS };
+  let angle = 0;                 // orbit azimuth, deg
+  let followTarget = null;       // last position received over OSC
+  let velocity = [0, 0, 0];      // follow spring
+  let timer = null;
+  let lastTick = 0;
+
+  function status() {
+    return { mode, ...params, followTarget };
+  }
+
+  // The point the camera should face, or null
+  function aimPoint() {
+    if (mode === 'lookAt' || mode === 'orbit') return params.target;
+    if (mode === 'follow') return followTarget;
+    return null;
+  }
+
+  function tick() {
+    const now = Date.now();
+    const dt = Math.min((now - lastTick) / 1000, 0.25);
+    lastTick = now;
+
+    if (mode === 'orbit') {
+      angle = cameraMath.wrapAngle(angle + params.speed * dt);
+      const [cx, cy, cz] = params.target;
+      pose.x = cx + Math.sin(angle * DEG) * params.radius;
+      pose.y = cy + params.height;
+      pose.z = cz + Math.cos(angle * DEG) * params.radius;
+    } else if (mode === 'follow') {
+      if (!followTarget) return;
+      // Spring toward target + offset: omega sets the lag, damping the overshoot
+      const omega = 2 / params.lag;
+      const position = [pose.x, pose.y, pose.z];
+      let moving = false;
+      for (let i = 0; i < 3; i++) {
+        const error = followTarget[i] + params.offset[i] - position[i];
+        velocity[i] += (omega * omega * error - 2 * params.damping * omega * velocity[i]) * dt;
+        position[i] += velocity[i] * dt;
+        if (Math.abs(error) > 1e-4 || Math.abs(velocity[i]) > 1e-4) moving = true;
+      }
+      if (!moving) return;
+      [pose.x, pose.y, pose.z] = position;
+    }
+    onTick();
+  }
+
+  function startTimer() {
+    if (timer) return;
+    lastTick = Date.now();
+    timer = setInterval(tick, 1000 / RATE);
+  }
+
+  function stopTimer() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function emit() {
+    if (onStatus) onStatus(status());
+  }
+
+  return {
+    status,
+
+    // Change mode and/or settings. Returns { error } or { status }.
+    set(body) {
+      const next = { ...params };
+      const nextMode = body.mode !== undefined ? body.mode : mode;
+      if (!MODES.includes(nextMode)) return { error: `mode must be one of ${MODES.join(', ')}` };
+
+      for (const field of ['target', 'offset']) {
+        if (body[field] === undefined) continue;
+        if (body[field] === null && field === 'target') {
+          next.target = null;
+          continue;
+        }
+        const result = vector(body[field], field);
+        if (result.error) return result;
+        next[field] = result.value;
+      }
+      for (const [field, [min, max]] of Object.entries(RANGES)) {
+        if (body[field] === undefined) continue;
+        const n = Number(body[field]);
+        if (!isFinite(n) || n < min || n > max) return { error: `${field} must be between ${min} and ${max}` };
+        next[field] = n;
+      }
+      if (body.address !== undefined) {
+        if (typeof body.address !== 'string' || body.address[0] !== '/' || /[\s#*,?[\]{}]/.test(body.address)) {
+          return { error: 'address must be an OSC address like /camera/follow' };
+        }
+        next.address = body.address;
+      }
+
+      if ((nextMode === 'lookAt' || nextMode === 'orbit') && !next.target) next.target = pointAhead(pose, 3);
+
+      const entering = nextMode !== mode;
+      if (nextMode === 'orbit' && (entering || body.target !== undefined)) {
+        // Start the circle where the camera already is, unless told otherwise
+        const dx = pose.x - next.target[0], dz = pose.z - next.target[2];
+        angle = Math.atan2(dx, dz) / DEG;
+        if (body.radius === undefined && Math.hypot(dx, dz) >= RANGES.radius[0]) next.radius = Math.min(Math.hypot(dx, dz), RANGES.radius[1]);
+        if (body.height === undefined) next.height = cameraMath.clamp(pose.y - next.target[1], ...RANGES.height);
+      }
+      if (nextMode === 'follow' && entering) velocity = [0, 0, 0];
+
+      params = next;
+      mode = nextMode;
+      if (mode === 'orbit' || mode === 'follow') startTimer();
+      else stopTimer();
+      emit();
+      // Swing round to the target straight away
+      if (mode !== 'free') onTick();
+      return { status: status() };
+    },
+
+    // Back to free-fly (playback, presets and control changes take over)
+    stop() {
+      stopTimer();
+      if (mode === 'free') return;
+      mode = 'free';
+      emit();
+    },
+
+    // Constrain an outgoing pose to face the target
+    aim(p) {
+      const point = aimPoint();
+      if (point) aimAt(p, point);
+    },
+
+    // An incoming OSC message. Returns true if it was the follow target.
+    feed(address, args) {
+      if (address !== params.address) return false;
+      if (args.length >= 3 && args.slice(0, 3).every(a => typeof a === 'number' && isFinite(a))) {
+        const first = !followTarget;
+        followTarget = args.slice(0, 3);
+        if (first) emit();
+      }
+      return true;
+    },
+
+    isActive() {
+      return mode !== 'free';
+    }
+  };
+}
+
+module.exports = { MODES, createCameraModes };
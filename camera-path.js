@@ -0,0 +1,324 @@
+const cameraMath = require('./camera-math');
+
+// Camera path export/import for post-production.
+//
+// Paths come from a recorded take or the keyframe timeline and are resampled
+// at a fixed frame rate. VRChat poses are Unity's: left-handed, +Y up, +Z
+// forward, euler angles applied roll, pitch, yaw (see camera-math.js). The
+// DCC formats use a right-handed +Y up space with the camera looking down -Z
+// (Nuke, Maya, Houdini, glTF). Mirroring Z gives exactly that:
+//
+//   tx, ty, tz = x, y, -z        rx, ry, rz = -pitch, -yaw, roll (ZXY order)
+//
+// VRChat's zoom is the camera's vertical field of view in degrees (Unity's
+// Camera.fieldOfView). Horizontal FOV and focal length follow from the
+// aspect ratio and a film back (horizontal aperture in mm).
+
+const FORMATS = {
+  csv: { ext: 'csv', type: 'text/csv' },
+  json: { ext: 'json', type: 'application/json' },
+  chan: { ext: 'chan', type: 'text/plain' },
+  gltf: { ext: 'gltf', type: 'model/gltf+json' }
+};
+const SPACES = ['unity', 'rh'];
+const DEFAULTS = { fps: 30, aspect: 16 / 9, filmback: 36, space: 'unity' };
+// Exports are built synchronously: keep them to a few MB and well under a
+// second of work (10 minutes at 30 fps, 75 s at 240)
+const MAX_FRAMES = 30 * 60 * 10 + 1;
+const MAX_EXPORT_BYTES = 8 * 1024 * 1024;
+const DEG = Math.PI / 180;
+
+// -- Lens --
+
+function lens(vfov, { aspect, filmback }) {
+  const half = Math.tan(vfov * DEG / 2);
+  const verticalAperture = filmback / aspect;
+  return {
+    vfov,
+    hfov: 2 * Math.atan(half * aspect) / DEG,
+    focal: verticalAperture / 2 / half
+  };
+}
+
+function vfovFromFocal(focal, { aspect, filmback }) {
+  return 2 * Math.atan(filmback / aspect / 2 / focal) / DEG;
+}
+
+// -- Options --
+
+// Validate export/import options from a query string. Returns { options } or { error }.
+function parseOptions(query) {
+  const options = { ...DEFAULTS };
+  for (const key of ['fps', 'aspect', 'filmback']) {
+    if (query[key] === undefined || query[key] === '') continue;
+    const value = Number(query[key]);
+    if (!(value > 0) || !isFinite(value)) return { error: `${key} must be a positive number` };
+    options[key] = value;
+  }
+  options.fps = cameraMath.clamp(options.fps, 1, 240);
+  if (query.space !== undefined && query.space !== '') {
+    if (!SPACES.includes(query.space)) return { error: `space must be one of ${SPACES.join(', ')}` };
+    options.space = query.space;
+  }
+  return { options };
+}
+
+// -- Sampling --
+
+function lerp(a, b, u) {
+  return a + (b - a) * u;
+}
+
+// Pose lookup for take samples ([t, x, y, z, pitch, yaw, roll, zoom]).
+// Positions and zoom are interpolated linearly, rotation is slerped.
+function takeSampler(samples) {
+  let i = 0;
+  return (t) => {
+    if (t < samples[i][0]) i = 0;
+    while (i < samples.length - 1 && samples[i + 1][0] <= t) i++;
+    const a = samples[i], b = samples[Math.min(i + 1, samples.length - 1)];
+    const span = b[0] - a[0];
+    const u = span > 0 ? cameraMath.clamp((t - a[0]) / span, 0, 1) : 0;
+    const rot = u === 0 ? { pitch: a[4], yaw: a[5], roll: a[6] } : cameraMath.quaternionToEuler(cameraMath.slerp(
+      cameraMath.eulerToQuaternion(a[4], a[5], a[6]),
+      cameraMath.eulerToQuaternion(b[4], b[5], b[6]),
+      u
+    ));
+    return { x: lerp(a[1], b[1], u), y: lerp(a[2], b[2], u), z: lerp(a[3], b[3], u), ...rot, zoom: lerp(a[7], b[7], u) };
+  };
+}
+
+function frameCount(duration, fps) {
+  return Math.floor(duration * fps + 1e-6) + 1;
+}
+
+// Resample poseAt(t) over 0..duration. Returns [{ frame, time, pose }].
+function resample(poseAt, duration, fps) {
+  const count = Math.min(frameCount(duration, fps), MAX_FRAMES);
+  const frames = [];
+  for (let i = 0; i < count; i++) {
+    const time = i / fps;
+    frames.push({ frame: i + 1, time, pose: poseAt(time) });
+  }
+  return frames;
+}
+
+// Keep each euler channel continuous (no 180 -> -180 jumps) so curves in
+// the DCC interpolate the short way
+function unwrap(values) {
+  const out = values.slice();
+  for (let i = 1; i < out.length; i++) {
+    out[i] = out[i - 1] + cameraMath.wrapAngle(out[i] - out[i - 1]);
+  }
+  return out;
+}
+
+// Per-frame rows in the requested space, with lens values
+function rows(frames, options) {
+  const rh = options.space === 'rh';
+  const rx = unwrap(frames.map(f => rh ? -f.pose.pitch : f.pose.pitch));
+  const ry = unwrap(frames.map(f => rh ? -f.pose.yaw : f.pose.yaw));
+  const rz = unwrap(frames.map(f => f.pose.roll));
+  return frames.map((f, i) => ({
+    frame: f.frame,
+    time: f.time,
+    position: [f.pose.x, f.pose.y, rh ? -f.pose.z : f.pose.z],
+    rotation: [rx[i], ry[i], rz[i]],
+    ...lens(f.pose.zoom, options)
+  }));
+}
+
+// -- Writers --
+
+const num = (v) => String(Math.round(v * 1e6) / 1e6);
+
+function toCsv(frames, options) {
+  const header = options.space === 'rh'
+    ? 'frame,time,tx,ty,tz,rx,ry,rz,vfov,hfov,focal_mm'
+    : 'frame,time,x,y,z,pitch,yaw,roll,zoom,hfov,focal_mm';
+  const lines = rows(frames, options).map(r => [r.frame, r.time, ...r.position, ...r.rotation, r.vfov, r.hfov, r.focal].map(num).join(','));
+  return [header, ...lines].join('\n') + '\n';
+}
+
+function toJson(frames, options, source) {
+  const rh = options.space === 'rh';
+  return JSON.stringify({
+    format: 'vrchat-camera-path',
+    version: 1,
+    source,
+    fps: options.fps,
+    space: rh ? 'right-handed, +Y up, camera looks down -Z, rotation order ZXY' : 'unity (left-handed, +Y up, +Z forward)',
+    aspect: options.aspect,
+    filmback: options.filmback,
+    frames: rows(frames, options).map(r => ({
+      frame: r.frame,
+      time: Number(num(r.time)),
+      position: r.position.map(v => Number(num(v))),
+      rotation: r.rotation.map(v => Number(num(v))),
+      vfov: Number(num(r.vfov)),
+      hfov: Number(num(r.hfov)),
+      focal: Number(num(r.focal))
+    }))
+  }, null, 2);
+}
+
+// Nuke's camera .chan: frame tx ty tz rx ry rz vfov, space separated.
+// Set the Camera's rotation order to ZXY (Nuke's default) when importing.
+function toChan(frames, options) {
+  return rows(frames, { ...options, space: 'rh' })
+    .map(r => [r.frame, ...r.position, ...r.rotation, r.vfov].map(num).join(' '))
+    .join('\n') + '\n';
+}
+
+// A single animated camera node. Translation/rotation use core glTF
+// animation; the FOV curve uses KHR_animation_pointer where it changes.
+function toGltf(frames, options, source) {
+  const n = frames.length;
+  const animateFov = frames.some(f => f.pose.zoom !== frames[0].pose.zoom);
+  const times = new Float32Array(n);
+  const translations = new Float32Array(n * 3);
+  const rotations = new Float32Array(n * 4);
+  const fovs = new Float32Array(n);
+  let prev = null;
+  frames.forEach((f, i) => {
+    times[i] = f.time;
+    translations.set([f.pose.x, f.pose.y, -f.pose.z], i * 3);
+    // Mirroring Z turns the Unity quaternion (x, y, z, w) into (-x, -y, z, w)
+    const [x, y, z, w] = cameraMath.eulerToQuaternion(f.pose.pitch, f.pose.yaw, f.pose.roll);
+    let q = [-x, -y, z, w];
+    // Stay in one hemisphere so LINEAR (slerp) takes the short way
+    if (prev && q[0] * prev[0] + q[1] * prev[1] + q[2] * prev[2] + q[3] * prev[3] < 0) q = q.map(v => -v);
+    rotations.set(q, i * 4);
+    prev = q;
+    fovs[i] = f.pose.zoom * DEG;
+  });
+
+  const arrays = [times, translations, rotations];
+  if (animateFov) arrays.push(fovs);
+  const buffer = Buffer.concat(arrays.map(a => Buffer.from(a.buffer)));
+  let offset = 0;
+  const bufferViews = arrays.map(a => {
+    const view = { buffer: 0, byteOffset: offset, byteLength: a.byteLength };
+    offset += a.byteLength;
+    return view;
+  });
+  const accessors = [
+    { bufferView: 0, componentType: 5126, count: n, type: 'SCALAR', min: [times[0]], max: [times[n - 1]] },
+    { bufferView: 1, componentType: 5126, count: n, type: 'VEC3' },
+    { bufferView: 2, componentType: 5126, count: n, type: 'VEC4' }
+  ];
+  const samplers = [
+    { input: 0, output: 1, interpolation: 'LINEAR' },
+    { input: 0, output: 2, interpolation: 'LINEAR' }
+  ];
+  const channels = [
+    { sampler: 0, target: { node: 0, path: 'translation' } },
+    { sampler: 1, target: { node: 0, path: 'rotation' } }
+  ];
+  if (animateFov) {
+    accessors.push({ bufferView: 3, componentType: 5126, count: n, type: 'SCALAR' });
+    samplers.push({ input: 0, output: 3, interpolation: 'LINEAR' });
+    channels.push({ sampler: 2, target: { path: 'pointer', extensions: { KHR_animation_pointer: { pointer: '/cameras/0/perspective/yfov' } } } });
+  }
+
+  const gltf = {
+    asset: { version: '2.0', generator: 'VRChat Camera Bridge' },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{
+      name: source.name || 'VRChatCamera',
+      camera: 0,
+      translation: Array.from(translations.subarray(0, 3)),
+      rotation: Array.from(rotations.subarray(0, 4))
+    }],
+    cameras: [{
+      type: 'perspective',
+      perspective: { yfov: frames[0].pose.zoom * DEG, aspectRatio: options.aspect, znear: 0.01, zfar: 10000 }
+    }],
+    animations: [{ name: source.name || 'camera', channels, samplers }],
+    buffers: [{ byteLength: buffer.length, uri: `data:application/octet-stream;base64,${buffer.toString('base64')}` }],
+    bufferViews,
+    accessors
+  };
+  if (animateFov) gltf.extensionsUsed = ['KHR_animation_pointer'];
+  return JSON.stringify(gltf);
+}
+
+// frames from resample(); source: { type, id, name } for the file's metadata
+function exportPath(format, frames, options, source) {
+  if (format === 'csv') return toCsv(frames, options);
+  if (format === 'json') return toJson(frames, options, source);
+  if (format === 'chan') return toChan(frames, options);
+  if (format === 'gltf') return toGltf(frames, options, source);
+  throw new Error(`Unknown format: ${format}`);
+}
+
+// -- Importers --
+// Both return { samples } in take form ([t, x, y, z, pitch, yaw, roll, zoom],
+// Unity space) or { error }.
+
+function fromRightHanded(time, tx, ty, tz, rx, ry, rz) {
+  return [time, tx, ty, -tz, cameraMath.wrapAngle(-rx), cameraMath.wrapAngle(-ry), cameraMath.wrapAngle(rz)];
+}
+
+function finish(samples) {
+  if (!samples.length) return { error: 'No camera data found' };
+  samples.sort((a, b) => a[0] - b[0]);
+  const start = samples[0][0];
+  return { samples: samples.map(s => [Math.round((s[0] - start) * 1000) / 1000, ...s.slice(1)]) };
+}
+
+function clampZoom(vfov) {
+  return cameraMath.clamp(vfov, 20, 150);
+}
+
+// Nuke .chan: frame tx ty tz rx ry rz [vfov] (rotation order ZXY)
+function parseChan(text, options, defaultZoom) {
+  const samples = [];
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line[0] === '#') continue;
+    const v = line.split(/\s+/).map(Number);
+    if (v.length < 7 || v.slice(0, 8).some(n => !isFinite(n))) return { error: `Line ${i + 1}: expected frame tx ty tz rx ry rz [vfov]` };
+    samples.push([...fromRightHanded(v[0] / options.fps, v[1], v[2], v[3], v[4], v[5], v[6]), clampZoom(v.length > 7 ? v[7] : defaultZoom)]);
+  }
+  return finish(samples);
+}
+
+// CSV with a header row. Understands this tool's exports in either space:
+//   time or frame (at fps), x y z pitch yaw roll (Unity) or tx ty tz rx ry rz
+//   (right-handed, ZXY), and zoom / vfov / focal_mm for the lens
+function parseCsv(text, options, defaultZoom) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (lines.length < 2) return { error: 'CSV needs a header row and at least one data row' };
+  const header = lines[0].split(/[,;\t]/).map(h => h.trim().toLowerCase());
+  const col = (name) => header.indexOf(name);
+  const unity = ['x', 'y', 'z', 'pitch', 'yaw', 'roll'].map(col);
+  const rh = ['tx', 'ty', 'tz', 'rx', 'ry', 'rz'].map(col);
+  const useUnity = unity.every(i => i >= 0);
+  if (!useUnity && !rh.every(i => i >= 0)) return { error: 'CSV needs x,y,z,pitch,yaw,roll or tx,ty,tz,rx,ry,rz columns' };
+  const timeCol = col('time'), frameCol = col('frame');
+  if (timeCol < 0 && frameCol < 0) return { error: 'CSV needs a time or frame column' };
+  const zoomCol = col('zoom') >= 0 ? col('zoom') : col('vfov');
+  const focalCol = col('focal_mm');
+
+  const samples = [];
+  for (let i = 1; i < lines.length; i++) {
+    const v = lines[i].split(/[,;\t]/).map(s => Number(s.trim()));
+    const get = (c) => v[c];
+    const time = timeCol >= 0 ? get(timeCol) : get(frameCol) / options.fps;
+    const pose = (useUnity ? unity : rh).map(get);
+    if (![time, ...pose].every(isFinite)) return { error: `Row ${i + 1}: expected numbers` };
+    let zoom = defaultZoom;
+    if (zoomCol >= 0 && isFinite(get(zoomCol))) zoom = get(zoomCol);
+    else if (focalCol >= 0 && get(focalCol) > 0) zoom = vfovFromFocal(get(focalCol), options);
+    const sample = useUnity
+      ? [time, pose[0], pose[1], pose[2], cameraMath.wrapAngle(pose[3]), cameraMath.wrapAngle(pose[4]), cameraMath.wrapAngle(pose[5])]
+      : fromRightHanded(time, ...pose);
+    samples.push([...sample, clampZoom(zoom)]);
+  }
+  return finish(samples);
+}
+
+module.exports = { FORMATS, SPACES, MAX_FRAMES, MAX_EXPORT_BYTES, parseOptions, takeSampler, frameCount, resample, exportPath, parseChan, parseCsv };
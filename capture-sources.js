@@ -0,0 +1,453 @@
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// Video capture for the Spout bridge: every source is an ffmpeg input that
+// gets re-encoded to an MJPEG stream on stdout, so they all share one frame
+// parser and one supervisor.
+//
+// A source is { label, platforms, input(options, ffmpeg) } where input()
+// returns (or resolves to) { args } - the ffmpeg input arguments - or
+// { error }. Add new ones with registerSource().
+//
+// The supervisor restarts ffmpeg with exponential backoff when it exits, and
+// kills it when frames stop arriving (a frozen capture device or a stream
+// that hangs without closing).
+
+const BACKOFF_MIN = 1000;
+const BACKOFF_MAX = 30000;
+const STABLE_MS = 10000;        // a run this long resets the backoff
+const STALL_MS = 5000;          // no frame for this long = stalled
+const MAX_BUFFER = 16 * 1024 * 1024;
+const JPEG_START = Buffer.from([0xFF, 0xD8]);
+const JPEG_END = Buffer.from([0xFF, 0xD9]);
+
+// -- ffmpeg --
+
+function ffmpegCandidates() {
+  return [
+    process.env.FFMPEG_PATH,
+    'ffmpeg',
+    'ffmpeg.exe',
+    path.join(process.env.PROGRAMFILES || 'C:\\Program Files', 'FFmpeg\\bin\\ffmpeg.exe'),
+    path.join(process.env['PROGRAMFILES(X86)'] || 'C:\\Program Files (x86)', 'FFmpeg\\bin\\ffmpeg.exe')
+  ].filter(Boolean);
+}
+
+// Path of a working ffmpeg, or null
+function findFfmpeg() {
+  for (const candidate of ffmpegCandidates()) {
+    const result = spawnSync(candidate, ['-version'], { stdio: 'ignore', windowsHide: true });
+    if (!result.error && result.status === 0) return candidate;
+  }
+  return null;
+}
+
+// -- Frames --
+
+// Splits ffmpeg's MJPEG output into JPEGs (FFD8 ... FFD9); onFrame(jpeg)
+function createFrameParser(onFrame) {
+  let buffer = Buffer.alloc(0);
+  let searchFrom = 0; // where to keep looking for the end marker
+
+  return {
+    push(chunk) {
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+      for (;;) {
+        const start = buffer.indexOf(JPEG_START);
+        if (start === -1) {
+          buffer = Buffer.alloc(0);
+          searchFrom = 0;
+          return;
+        }
+        if (start > 0) {
+          buffer = buffer.subarray(start);
+          searchFrom = 0;
+        }
+        const end = buffer.indexOf(JPEG_END, Math.max(2, searchFrom));
+        if (end === -1) {
+          // Never found the end: garbage, not a frame in progress
+          if (buffer.length > MAX_BUFFER) buffer = Buffer.alloc(0);
+          searchFrom = Math.max(2, buffer.length - 1);
+          return;
+        }
+        onFrame(Buffer.from(buffer.subarray(0, end + 2)));
+        buffer = buffer.subarray(end + 2);
+        searchFrom = 0;
+      }
+    }
+  };
+}
+
+// -- Sources --
+
+// List DirectShow video devices (Windows)
+function listDshowDevices(ffmpeg) {
+  const result = spawnSync(ffmpeg, ['-hide_banner', '-f', 'dshow', '-list_devices', 'true', '-i', 'dummy'], { encoding: 'utf-8', windowsHide: true });
+  const devices = [];
+  let inVideo = false;
+  for (const line of `${result.stdout || ''}${result.stderr || ''}`.split('\n')) {
+    // Older ffmpeg prints section headers, newer ones tag each device
+    if (line.includes('video devices')) { inVideo = true; continue; }
+    if (line.includes('audio devices')) { inVideo = false; continue; }
+    const match = line.match(/\[dshow[^\]]*\]\s*"(.*?)"\s*(\((video|audio|none)\))?/);
+    if (!match || match[1].startsWith('@device')) continue;
+    if (match[3] ? match[3] === 'video' : inVideo) devices.push(match[1].trim());
+  }
+  return devices;
+}
+
+// Prefer "OBS Virtual Camera" over lookalikes such as "Lovense OBS Virtual Camera"
+function pickObsCamera(devices) {
+  const candidates = devices.filter(name => {
+    const lower = name.toLowerCase();
+    return lower.includes('obs') && lower.includes('virtual') && !lower.includes('lovense');
+  });
+  return candidates.find(name => name.toLowerCase() === 'obs virtual camera') || candidates[0] || null;
+}
+
+const SOURCES = {
+  spout: {
+    label: 'Spout sender (DirectShow)',
+    platforms: ['win32'],
+    input: (o) => ({ args: ['-f', 'dshow', '-rtbufsize', '200M', '-framerate', String(o.fps), '-i', `video=${o.spoutSender}`] })
+  },
+
+  stream: {
+    label: 'HTTP/RTMP stream',
+    input: (o) => ({
+      args: [
+        '-timeout', '5000000', // 5 second timeout for network
+        '-reconnect', '1',
+        '-reconnect_at_eof', '1',
+        '-reconnect_streamed', '1',
+        '-reconnect_delay_max', '2',
+        '-i', o.streamUrl
+      ]
+    })
+  },
+
+  obs: {
+    label: 'OBS Virtual Camera (DirectShow)',
+    platforms: ['win32'],
+    input: (o, ffmpeg) => {
+      let camera = o.obsCamera;
+      if (!camera) {
+        const devices = listDshowDevices(ffmpeg);
+        console.log(devices.length ? `Video devices: ${devices.join(', ')}` : 'No DirectShow video devices found');
+        camera = pickObsCamera(devices);
+      }
+      if (!camera) {
+        return { error: 'OBS Virtual Camera not found - start it in OBS (Tools → Start Virtual Camera) or set OBS_CAMERA="Device Name"' };
+      }
+      return { args: ['-f', 'dshow', '-rtbufsize', '200M', '-framerate', String(o.fps), '-i', `video=${camera}`] };
+    }
+  },
+
+  desktop: {
+    label: 'Desktop (gdigrab)',
+    platforms: ['win32'],
+    input: (o) => ({ args: ['-f', 'gdigrab', '-framerate', String(o.fps), '-i', 'desktop'] })
+  },
+
+  v4l2: {
+    label: 'Video4Linux device',
+    platforms: ['linux'],
+    input: (o) => ({ args: ['-f', 'v4l2', '-framerate', String(o.fps), '-i', o.v4l2Device] })
+  },
+
+  x11grab: {
+    label: 'X11 screen',
+    platforms: ['linux'],
+    input: (o) => ({ args: ['-f', 'x11grab', '-framerate', String(o.fps), '-i', o.x11Display] })
+  },
+
+  file: {
+    label: 'Video file (looped)',
+    input: (o) => {
+      if (!o.file) return { error: 'Set CAPTURE_FILE to the video to play' };
+      return { args: ['-re', '-stream_loop', '-1', '-i', o.file] };
+    }
+  },
+
+  testsrc: {
+    label: 'Test pattern',
+    input: (o) => ({ args: ['-re', '-f', 'lavfi', '-i', `testsrc2=size=${o.size}:rate=${o.fps}`] })
+  }
+};
+
+function registerSource(name, source) {
+  if (typeof source.input !== 'function') throw new Error(`Capture source ${name} needs an input() function`);
+  SOURCES[name] = source;
+}
+
+// Sources to try, in order, when none is chosen
+function autoOrder(platform = process.platform) {
+  if (platform === 'win32') return ['spout', 'stream', 'obs', 'desktop'];
+  if (platform === 'linux') return ['v4l2', 'stream', 'x11grab', 'testsrc'];
+  return ['stream', 'testsrc'];
+}
+
+function outputArgs(o) {
+  return ['-c:v', 'mjpeg', '-q:v', String(o.quality), '-s', o.size, '-r', String(o.fps), '-f', 'mjpeg', 'pipe:1'];
+}
+
+// -- Options --
+
+const DEFAULT_OPTIONS = {
+  spoutSender: 'VRCSender1',
+  streamUrl: 'https://stream.vrcdn.live/live/',
+  obsCamera: null,          // found by name when not set
+  v4l2Device: '/dev/video0',
+  x11Display: ':0.0',
+  file: null,
+  size: '1280x720',
+  fps: 30,
+  quality: 5                // ffmpeg -q:v, 2 (best) to 31
+};
+
+const STREAM_PROTOCOLS = ['http:', 'https:', 'rtmp:', 'rtmps:', 'rtsp:', 'srt:'];
+
+// Validate a partial options object over current. Returns { options } or { error }.
+function mergeOptions(current, input) {
+  if (!input || typeof input !== 'object') return { error: 'options must be an object' };
+  const next = { ...current };
+  if (input.size !== undefined) {
+    const match = /^(\d{2,4})x(\d{2,4})$/.exec(input.size);
+    if (!match || match.slice(1).some(n => n % 2)) return { error: 'size must be WIDTHxHEIGHT with even numbers, e.g. 1280x720' };
+    next.size = input.size;
+  }
+  if (input.fps !== undefined) {
+    const fps = Number(input.fps);
+    if (!Number.isInteger(fps) || fps < 1 || fps > 120) return { error: 'fps must be a whole number from 1 to 120' };
+    next.fps = fps;
+  }
+  if (input.quality !== undefined) {
+    const quality = Number(input.quality);
+    if (!Number.isInteger(quality) || quality < 2 || quality > 31) return { error: 'quality must be a whole number from 2 (best) to 31' };
+    next.quality = quality;
+  }
+  if (input.streamUrl !== undefined) {
+    let url;
+    try { url = new URL(input.streamUrl); } catch (e) { url = null; }
+    if (!url || !STREAM_PROTOCOLS.includes(url.protocol)) return { error: `streamUrl must be a ${STREAM_PROTOCOLS.map(p => p.slice(0, -1)).join('/')} URL` };
+    next.streamUrl = input.streamUrl;
+  }
+  if (input.v4l2Device !== undefined) {
+    if (typeof input.v4l2Device !== 'string' || !/^\/dev\/video\d+$/.test(input.v4l2Device)) return { error: 'v4l2Device must look like /dev/video0' };
+    next.v4l2Device = input.v4l2Device;
+  }
+  for (const key of ['spoutSender', 'obsCamera', 'x11Display', 'file']) {
+    if (input[key] === undefined) continue;
+    const nullable = key === 'obsCamera' || key === 'file';
+    if (input[key] === null || input[key] === '') {
+      if (!nullable) return { error: `${key} required` };
+      next[key] = null;
+    } else if (typeof input[key] !== 'string' || input[key].length > 256 || /[\0\r\n]/.test(input[key])) {
+      return { error: `${key} must be a single line of text` };
+    } else {
+      next[key] = input[key];
+    }
+  }
+  if (input.file) {
+    // ffmpeg's -i takes URLs too (http:, concat:, subfile:...): only a plain
+    // local file, though a Windows drive letter looks like a protocol
+    const file = input.file;
+    let isFile = false;
+    try { isFile = fs.statSync(file).isFile(); } catch (e) {}
+    if (/^[a-z][a-z0-9+.-]+:/i.test(file) || !isFile) return { error: 'file must be an existing local video file' };
+    next.file = path.resolve(file);
+  }
+  return { options: next };
+}
+
+// -- Supervisor --
+
+// Runs one source at a time. onFrame(jpeg) gets every frame; onStatus(status)
+// runs when the state changes (starting, running, backoff, stopped).
+function createCaptureSupervisor({ ffmpeg, options: initial, onFrame, onStatus }) {
+  let options = { ...initial };
+  let source = null;
+  let child = null;
+  let state = 'stopped';
+  let delay = BACKOFF_MIN;
+  let restartTimer = null;
+  let watchdog = null;
+  let runStartedAt = 0;
+  let runFrames = 0;
+  let frames = 0;
+  let restarts = 0;
+  let lastFrameAt = null;
+  let lastError = null;
+  let firstResult = null; // resolves start()'s promise
+  let probing = false;     // give up instead of retrying until the first frame
+
+  function status() {
+    return {
+      source,
+      label: source && SOURCES[source] ? SOURCES[source].label : null,
+      state,
+      frames,
+      restarts,
+      lastFrameAt: lastFrameAt && new Date(lastFrameAt).toISOString(),
+      lastError,
+      retryIn: state === 'backoff' ? delay : null
+    };
+  }
+
+  function setState(next) {
+    if (state === next) return;
+    state = next;
+    if (onStatus) onStatus(status());
+  }
+
+  function settle(ok) {
+    if (!firstResult) return;
+    const resolve = firstResult;
+    firstResult = null;
+    resolve(ok);
+  }
+
+  function clearTimers() {
+    clearTimeout(restartTimer);
+    clearInterval(watchdog);
+    restartTimer = null;
+    watchdog = null;
+  }
+
+  function handleFrame(frame) {
+    frames++;
+    runFrames++;
+    lastFrameAt = Date.now();
+    onFrame(frame);
+    probing = false;
+    if (state !== 'running') {
+      setState('running');
+      console.log(`✓ ${SOURCES[source].label} capture running`);
+      settle(true);
+    }
+  }
+
+  function fail(message) {
+    lastError = message;
+    console.error(`[Capture] ${source}: ${message}`);
+    child = null;
+    clearInterval(watchdog);
+    watchdog = null;
+    settle(false);
+    if (probing) setState('stopped');
+    if (state === 'stopped') return;
+    // A long healthy run starts the backoff over
+    if (runFrames && Date.now() - runStartedAt > STABLE_MS) delay = BACKOFF_MIN;
+    setState('backoff');
+    console.log(`[Capture] Restarting ${source} in ${(delay / 1000).toFixed(0)}s`);
+    restartTimer = setTimeout(() => {
+      restartTimer = null;
+      restarts++;
+      launch();
+    }, delay);
+    delay = Math.min(delay * 2, BACKOFF_MAX);
+  }
+
+  async function launch() {
+    const name = source;
+    setState('starting');
+    runStartedAt = Date.now();
+    runFrames = 0;
+
+    let input;
+    try {
+      input = await SOURCES[name].input(options, ffmpeg);
+    } catch (err) {
+      input = { error: err.message };
+    }
+    if (source !== name || state === 'stopped') return; // stopped meanwhile
+    if (input.error) return fail(input.error);
+
+    const args = ['-hide_banner', '-nostats', '-loglevel', 'error', ...input.args, ...outputArgs(options)];
+    const proc = spawn(ffmpeg, args, { stdio: ['ignore', 'pipe', 'pipe'], windowsHide: true });
+    child = proc;
+    const parser = createFrameParser(handleFrame);
+    let stderrTail = '';
+    let ended = false;
+
+    const end = (message) => {
+      if (ended) return;
+      ended = true;
+      if (child === proc) fail(message);
+    };
+
+    proc.stdout.on('data', (chunk) => {
+      if (child === proc) parser.push(chunk);
+    });
+    proc.stderr.on('data', (data) => {
+      const text = data.toString('utf-8').trim();
+      if (!text) return;
+      stderrTail = text.split('\n').pop();
+      console.error(`[FFmpeg ${name}] ${text}`);
+    });
+    proc.on('error', (err) => end(`ffmpeg failed to start: ${err.message}`));
+    proc.on('exit', (code, signal) => {
+      end(stderrTail || `ffmpeg exited (${signal || `code ${code}`})`);
+    });
+
+    watchdog = setInterval(() => {
+      if (child !== proc) return;
+      const since = lastFrameAt && runFrames ? lastFrameAt : runStartedAt;
+      if (Date.now() - since > STALL_MS) {
+        const message = runFrames ? `no frames for ${STALL_MS / 1000}s` : `no frames within ${STALL_MS / 1000}s of starting`;
+        proc.kill();
+        end(message);
+      }
+    }, 1000);
+  }
+
+  return {
+    status,
+
+    // Start (or switch to) a source. Resolves true when the first frame
+    // arrives, false if the first attempt fails. Retries continue until
+    // stop(), except that a probe (trying sources in turn) gives up if the
+    // first attempt fails.
+    start(name, { probe = false } = {}) {
+      if (!SOURCES[name]) return Promise.resolve(false);
+      this.stop();
+      source = name;
+      probing = probe;
+      delay = BACKOFF_MIN;
+      state = 'stopped';
+      const result = new Promise((resolve) => { firstResult = resolve; });
+      console.log(`[Capture] Starting ${SOURCES[name].label}...`);
+      launch();
+      return result;
+    },
+
+    stop() {
+      clearTimers();
+      const proc = child;
+      child = null;
+      setState('stopped');
+      settle(false);
+      if (proc) proc.kill();
+    },
+
+    get options() {
+      return { ...options };
+    },
+
+    // Change options (see mergeOptions) and/or switch to nextSource, then
+    // restart with them if anything changed. Returns { options } or { error }
+    // (nothing changes then).
+    configure(input, nextSource = source) {
+      if (!SOURCES[nextSource]) return { error: `source must be one of ${Object.keys(SOURCES).join(', ')}` };
+      const result = mergeOptions(options, input);
+      if (result.error) return result;
+      const changed = Object.keys(result.options).some(key => result.options[key] !== options[key]);
+      options = result.options;
+      if (nextSource !== source || (changed && state !== 'stopped')) this.start(nextSource);
+      return result;
+    }
+  };
+}
+
+module.exports = { SOURCES, DEFAULT_OPTIONS, registerSource, autoOrder, findFfmpeg, mergeOptions, createFrameParser, createCaptureSupervisor };
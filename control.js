@@ -0,0 +1,125 @@
+// Control token: at most one session drives the camera at a time.
+//
+// The first operator to move while nobody holds control picks it up. Others
+// can queue a request; when the holder releases (or goes idle for
+// timeoutMs) control passes to the oldest request, or is left free. An admin
+// can take over at any time. Holders are tracked by session token so two
+// tabs of the same user are still two contenders.
+
+// onChange(status) runs whenever the holder or the request queue changes
+function createControlLock({ timeoutMs = 60000, onChange }) {
+  let holder = null;   // { token, username, since, lastActive }
+  let requests = [];   // [{ token, username, at }]
+  let idleTimer = null;
+  let timeout = timeoutMs;
+
+  function changed() {
+    if (onChange) onChange(status());
+  }
+
+  function armIdleTimer() {
+    clearTimeout(idleTimer);
+    idleTimer = null;
+    if (!holder || !(timeout > 0)) return;
+    const wait = Math.max(0, holder.lastActive + timeout - Date.now());
+    idleTimer = setTimeout(() => {
+      console.log(`[Control] ${holder.username} timed out after ${Math.round(timeout / 1000)}s idle`);
+      handOff();
+    }, wait);
+  }
+
+  // Give control to the oldest requester, or nobody
+  function handOff() {
+    const next = requests.shift();
+    holder = next ? { token: next.token, username: next.username, since: Date.now(), lastActive: Date.now() } : null;
+    armIdleTimer();
+    changed();
+  }
+
+  function take(token, username) {
+    requests = requests.filter(r => r.token !== token);
+    holder = { token, username, since: Date.now(), lastActive: Date.now() };
+    armIdleTimer();
+    changed();
+  }
+
+  function status() {
+    return {
+      holder: holder ? { username: holder.username, since: holder.since, lastActive: holder.lastActive } : null,
+      requests: requests.map(r => ({ username: r.username, at: r.at })),
+      timeoutMs: timeout
+    };
+  }
+
+  return {
+    status,
+
+    isHolder(token) {
+      return !!holder && holder.token === token;
+    },
+
+    // Called before a camera-moving command. Picks up free control and
+    // refreshes the idle timer. Returns null if allowed, else an error message.
+    check(token, username) {
+      if (!holder) {
+        take(token, username);
+        return null;
+      }
+      if (holder.token !== token) return `${holder.username} has control - request it first`;
+      holder.lastActive = Date.now();
+      armIdleTimer();
+      return null;
+    },
+
+    // Explicitly pick up control. force (admins) takes it from the holder.
+    claim(token, username, force) {
+      if (holder && holder.token === token) return null;
+      if (holder && !force) return `${holder.username} has control - request it first`;
+      if (holder) console.log(`[Control] ${username} took over from ${holder.username}`);
+      take(token, username);
+      return null;
+    },
+
+    // Ask the holder for control (queued, first come first served)
+    request(token, username) {
+      if (!holder) {
+        take(token, username);
+        return;
+      }
+      if (holder.token === token || requests.some(r => r.token === token)) return;
+      requests.push({ token, username, at: Date.now() });
+      changed();
+    },
+
+    // Holder gives up control; anyone else withdraws their request
+    release(token) {
+      if (holder && holder.token === token) {
+        handOff();
+        return;
+      }
+      const before = requests.length;
+      requests = requests.filter(r => r.token !== token);
+      if (requests.length !== before) changed();
+    },
+
+    // Drop a user's hold and requests (logged out everywhere, removed)
+    releaseUser(username) {
+      const before = requests.length;
+      requests = requests.filter(r => r.username !== username);
+      if (holder && holder.username === username) handOff();
+      else if (requests.length !== before) changed();
+    },
+
+    setTimeout(ms) {
+      timeout = ms;
+      armIdleTimer();
+    },
+
+    stop() {
+      clearTimeout(idleTimer);
+      idleTimer = null;
+    }
+  };
+}
+
+module.exports = { createControlLock };
@@ -0,0 +1,214 @@
+const http = require('http');
+
+// Fan-out for the MJPEG preview.
+//
+// A hub holds the latest JPEG and pushes each new one to every viewer as it
+// arrives (multipart/x-mixed-replace, each part tagged X-Frame-Seq). A frame
+// identical to the previous one is dropped. A viewer whose socket is still
+// busy with an earlier frame doesn't queue more: when it drains it gets
+// whatever is newest, so a slow phone sees a lower frame rate instead of a
+// growing buffer.
+//
+// The relay puts a hub in front of one upstream MJPEG stream (server.js ->
+// spout-bridge.js), connecting while someone is watching.
+
+const BOUNDARY = 'frame';
+const RELAY_LINGER_MS = 5000;    // keep the upstream open this long after the last viewer
+const RELAY_RETRY_MS = 2000;
+const MAX_PART_BYTES = 16 * 1024 * 1024;
+
+// onActive() when the first viewer attaches, onIdle() when the last leaves
+function createFrameHub({ onActive, onIdle } = {}) {
+  const clients = new Set(); // { res, sentSeq, busy }
+  let latest = null;         // { seq, data }
+  let seq = 0;
+  let duplicates = 0;
+  let skipped = 0;
+
+  function send(client) {
+    const frame = latest;
+    if (!frame || frame.seq <= client.sentSeq) return;
+    if (client.sentSeq && frame.seq > client.sentSeq + 1) skipped += frame.seq - client.sentSeq - 1;
+    client.sentSeq = frame.seq;
+    const head = `--${BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${frame.data.length}\r\nX-Frame-Seq: ${frame.seq}\r\n\r\n`;
+    client.res.write(head);
+    client.res.write(frame.data);
+    // Backpressure: wait for the socket before sending more
+    if (!client.res.write('\r\n')) {
+      client.busy = true;
+      client.res.once('drain', () => {
+        client.busy = false;
+        if (clients.has(client)) send(client);
+      });
+    }
+  }
+
+  return {
+    // Returns the frame's sequence number, or null if it was a repeat
+    publish(data) {
+      if (latest && latest.data.length === data.length && latest.data.equals(data)) {
+        duplicates++;
+        return null;
+      }
+      latest = { seq: ++seq, data };
+      for (const client of clients) {
+        if (!client.busy) send(client);
+      }
+      return seq;
+    },
+
+    // Stream to an HTTP response until it closes
+    attach(res) {
+      res.writeHead(200, {
+        'Content-Type': `multipart/x-mixed-replace; boundary=${BOUNDARY}`,
+        'Cache-Control': 'no-cache',
+        'Connection': 'close'
+      });
+      const client = { res, sentSeq: 0, busy: false };
+      clients.add(client);
+      if (clients.size === 1 && onActive) onActive();
+      const detach = () => {
+        if (!clients.delete(client)) return;
+        if (!clients.size && onIdle) onIdle();
+      };
+      res.on('close', detach);
+      res.on('error', detach);
+      // Start with the current picture rather than waiting for the next
+      send(client);
+    },
+
+    get latest() {
+      return latest;
+    },
+
+    get clientCount() {
+      return clients.size;
+    },
+
+    stats() {
+      return { seq, viewers: clients.size, duplicates, skipped };
+    },
+
+    closeAll() {
+      for (const client of clients) client.res.end();
+      clients.clear();
+    }
+  };
+}
+
+// Parses a multipart stream whose parts carry Content-Length (what
+// createFrameHub writes); onPart(body)
+function createMultipartParser(onPart) {
+  let buffer = Buffer.alloc(0);
+  let need = null; // body length once the headers are read
+
+  return {
+    push(chunk) {
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+      for (;;) {
+        if (need === null) {
+          const end = buffer.indexOf('\r\n\r\n');
+          if (end === -1) {
+            if (buffer.length > 64 * 1024) buffer = Buffer.alloc(0); // not headers
+            return;
+          }
+          const match = /content-length:\s*(\d+)/i.exec(buffer.subarray(0, end).toString('latin1'));
+          buffer = buffer.subarray(end + 4);
+          if (!match || Number(match[1]) > MAX_PART_BYTES) continue;
+          need = Number(match[1]);
+        }
+        if (buffer.length < need) return;
+        onPart(Buffer.from(buffer.subarray(0, need)));
+        buffer = buffer.subarray(need);
+        need = null;
+      }
+    }
+  };
+}
+
+// One upstream MJPEG connection shared by every viewer. serve(res, onError)
+// attaches a viewer, or calls onError(err) if the upstream can't be reached.
+function createMjpegRelay({ hostname, port, path, timeout = 5000 }) {
+  let upstream = null;     // the live http.ClientRequest
+  let connected = false;
+  let waiting = [];        // viewers waiting for the first connection: { res, onError }
+  let retryTimer = null;
+  let lingerTimer = null;
+
+  const hub = createFrameHub({
+    onActive: () => clearTimeout(lingerTimer),
+    onIdle: () => {
+      clearTimeout(lingerTimer);
+      lingerTimer = setTimeout(disconnect, RELAY_LINGER_MS);
+    }
+  });
+
+  function disconnect() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    connected = false;
+    if (upstream) upstream.destroy();
+    upstream = null;
+  }
+
+  function fail(err) {
+    const viewers = waiting;
+    waiting = [];
+    viewers.forEach(v => v.onError(err));
+    disconnect();
+    // Viewers already watching keep their last frame while we retry
+    if (hub.clientCount) retryTimer = setTimeout(connect, RELAY_RETRY_MS);
+  }
+
+  function connect() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    if (upstream) return;
+    const req = http.request({ hostname, port, path, method: 'GET', timeout }, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        return fail(new Error(`upstream answered ${res.statusCode}`));
+      }
+      connected = true;
+      // Frames can be far apart; only the connection attempt times out
+      req.setTimeout(0);
+      const parser = createMultipartParser((jpeg) => hub.publish(jpeg));
+      res.on('data', (chunk) => parser.push(chunk));
+      // A bridge that goes away mid-stream aborts the response rather than
+      // ending it; either way, retry
+      const lost = (err) => { if (upstream === req) fail(err || new Error('upstream closed')); };
+      res.on('end', () => lost());
+      res.on('aborted', () => lost(new Error('upstream aborted')));
+      res.on('error', lost);
+      res.on('close', () => lost());
+      const viewers = waiting;
+      waiting = [];
+      viewers.forEach(v => hub.attach(v.res));
+      // Everyone left while we were connecting
+      if (!hub.clientCount) lingerTimer = setTimeout(disconnect, RELAY_LINGER_MS);
+    });
+    upstream = req;
+    req.on('timeout', () => req.destroy(new Error('upstream not responding')));
+    req.on('error', (err) => { if (upstream === req) fail(err); });
+    req.end();
+  }
+
+  return {
+    hub,
+
+    serve(res, onError) {
+      if (connected) return hub.attach(res);
+      waiting.push({ res, onError });
+      res.on('close', () => { waiting = waiting.filter(v => v.res !== res); });
+      connect();
+    },
+
+    close() {
+      clearTimeout(lingerTimer);
+      disconnect();
+      hub.closeAll();
+    }
+  };
+}
+
+module.exports = { createFrameHub, createMultipartParser, createMjpegRelay };
@@ -0,0 +1,368 @@
+const { spawn } = require('child_process');
+
+// H.264 preview for remote operators: a fraction of the MJPEG bandwidth for
+// a little more latency.
+//
+// The bridge's JPEG frames are piped into an ffmpeg libx264 encoder that
+// writes fragmented MP4. Its output is split into the init segment (ftyp +
+// moov) and media fragments (moof + mdat), which go to WebSocket viewers as
+// binary messages for Media Source Extensions playback (public/preview.js).
+//
+// One encoder per latency profile, running only while someone watches it.
+// A viewer joining mid-GOP gets the fragments since the last keyframe; one
+// whose socket backs up skips ahead to the next keyframe instead of queueing.
+
+// gop and fragmentMs set the encoder latency, bitrate is kbit/s at 720p;
+// target and max are the playback delay (s) the browser aims for / tolerates
+const LATENCY_PROFILES = {
+  low:      { label: 'Low latency', gop: 1, fragmentMs: 0,    bitrate: 2500, target: 0.3, max: 1 },
+  balanced: { label: 'Balanced',    gop: 2, fragmentMs: 200,  bitrate: 1500, target: 0.8, max: 2 },
+  saver:    { label: 'Data saver',  gop: 4, fragmentMs: 1000, bitrate: 700,  target: 2,   max: 4 }
+};
+
+const LINGER_MS = 5000;          // keep encoding this long after the last viewer
+const RESTART_MS = 2000;
+const MAX_BUFFERED = 1024 * 1024; // bytes queued for a viewer before it skips
+const MAX_GOP_BYTES = 8 * 1024 * 1024;
+const MAX_BOX_BYTES = 16 * 1024 * 1024;
+const HEARTBEAT_MS = 30000;
+const DEFAULT_CODEC = 'avc1.4d401f';
+
+// -- MP4 boxes --
+
+// Splits a byte stream into top-level boxes; onBox(type, box)
+function createBoxParser(onBox) {
+  let buffer = Buffer.alloc(0);
+
+  return {
+    push(chunk) {
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+      while (buffer.length >= 8) {
+        let size = buffer.readUInt32BE(0);
+        if (size === 1) {
+          if (buffer.length < 16) return;
+          size = Number(buffer.readBigUInt64BE(8));
+        }
+        if (size < 8 || size > MAX_BOX_BYTES) throw new Error(`bad MP4 box size ${size}`);
+        if (buffer.length < size) return;
+        onBox(buffer.toString('latin1', 4, 8), Buffer.from(buffer.subarray(0, size)));
+        buffer = buffer.subarray(size);
+      }
+    }
+  };
+}
+
+// Content range of the first child box of this type, or null
+function findChild(buf, start, end, type) {
+  for (let pos = start; pos + 8 <= end;) {
+    const size = buf.readUInt32BE(pos);
+    if (size < 8 || pos + size > end) return null;
+    if (buf.toString('latin1', pos + 4, pos + 8) === type) return { start: pos + 8, end: pos + size };
+    pos += size;
+  }
+  return null;
+}
+
+// Flags of the first sample in a fragment (ISO/IEC 14496-12 tfhd/trun), or
+// null if the fragment doesn't say
+function firstSampleFlags(moof) {
+  const traf = findChild(moof, 8, moof.length, 'traf');
+  if (!traf) return null;
+  const read = (box, pos) => (pos + 4 <= box.end ? moof.readUInt32BE(pos) : null);
+
+  const trun = findChild(moof, traf.start, traf.end, 'trun');
+  if (trun) {
+    const flags = read(trun, trun.start) & 0xFFFFFF;
+    let pos = trun.start + 8;              // version/flags, sample_count
+    if (flags & 0x1) pos += 4;             // data_offset
+    if (flags & 0x4) return read(trun, pos);
+    if (flags & 0x400) {                   // per-sample flags: skip duration and size
+      if (flags & 0x100) pos += 4;
+      if (flags & 0x200) pos += 4;
+      return read(trun, pos);
+    }
+  }
+
+  const tfhd = findChild(moof, traf.start, traf.end, 'tfhd');
+  if (tfhd) {
+    const flags = read(tfhd, tfhd.start) & 0xFFFFFF;
+    let pos = tfhd.start + 8;              // version/flags, track_ID
+    if (flags & 0x1) pos += 8;             // base_data_offset
+    if (flags & 0x2) pos += 4;             // sample_description_index
+    if (flags & 0x8) pos += 4;             // default_sample_duration
+    if (flags & 0x10) pos += 4;            // default_sample_size
+    if (flags & 0x20) return read(tfhd, pos);
+  }
+  return null;
+}
+
+// Whether a viewer can start decoding at this fragment
+function startsWithKeyframe(moof) {
+  const flags = firstSampleFlags(moof);
+  // ffmpeg always says; assume the best if someone else doesn't
+  return flags === null || !(flags & 0x10000); // sample_is_non_sync_sample
+}
+
+// RFC 6381 codec string from the avcC box in the init segment
+function codecString(init) {
+  const at = init.indexOf('avcC');
+  if (at === -1 || at + 8 > init.length) return DEFAULT_CODEC;
+  return 'avc1.' + init.subarray(at + 5, at + 8).toString('hex');
+}
+
+// -- Encoder --
+
+function encoderArgs(profile, options) {
+  const [width, height] = options.size.split('x').map(Number);
+  const kbps = Math.round(profile.bitrate * Math.max(0.25, (width * height) / (1280 * 720)));
+  const gop = Math.max(1, Math.round(options.fps * profile.gop));
+  // At least one frame per fragment
+  const fragmentUs = Math.max(profile.fragmentMs * 1000, Math.ceil(1e6 / options.fps));
+  return [
+    '-hide_banner', '-nostats', '-loglevel', 'error',
+    // Frames arrive as they're captured (repeats are dropped); stamp them
+    // with the time they did
+    '-use_wallclock_as_timestamps', '1', '-f', 'mjpeg', '-i', 'pipe:0',
+    '-an', '-r', String(options.fps),
+    '-c:v', 'libx264', '-preset', 'veryfast', '-tune', 'zerolatency', '-profile:v', 'main', '-pix_fmt', 'yuv420p',
+    '-b:v', `${kbps}k`, '-maxrate', `${kbps}k`, '-bufsize', `${kbps}k`,
+    '-g', String(gop), '-keyint_min', String(gop), '-sc_threshold', '0',
+    '-f', 'mp4', '-movflags', 'empty_moov+default_base_moof+frag_keyframe', '-frag_duration', String(fragmentUs),
+    '-flush_packets', '1', 'pipe:1'
+  ];
+}
+
+// One latency profile's encoder and its viewers. getOptions() returns the
+// capture options (size, fps) to encode with.
+function createFmp4Stream({ ffmpeg, name, getOptions }) {
+  const profile = LATENCY_PROFILES[name];
+  const clients = new Set(); // { ws, waiting }
+  let proc = null;
+  let init = null;           // current init segment
+  let mime = null;
+  let gop = [];              // fragments since the last keyframe
+  let gopBytes = 0;
+  let inputBusy = false;
+  let lingerTimer = null;
+  let restartTimer = null;
+  let heartbeat = null;
+  let fragments = 0;
+  let bytes = 0;
+  let skipped = 0;
+  let dropped = 0;           // frames the encoder was too busy for
+  let restarts = 0;
+  let lastError = null;
+
+  function sendInit(client) {
+    client.ws.sendJson({ type: 'init', mime, profile: name, latency: { target: profile.target, max: profile.max } });
+    client.ws.send(init);
+    gop.forEach(fragment => client.ws.send(fragment));
+    client.waiting = !gop.length;
+  }
+
+  function handleInit(segment) {
+    init = segment;
+    mime = `video/mp4; codecs="${codecString(segment)}"`;
+    gop = [];
+    gopBytes = 0;
+    for (const client of clients) sendInit(client);
+  }
+
+  function handleFragment(fragment, key) {
+    fragments++;
+    bytes += fragment.length;
+    if (key) {
+      gop = [fragment];
+      gopBytes = fragment.length;
+    } else if (gop.length && gopBytes + fragment.length <= MAX_GOP_BYTES) {
+      gop.push(fragment);
+      gopBytes += fragment.length;
+    } else {
+      // Too long to replay to a new viewer; they wait for the next keyframe
+      gop = [];
+      gopBytes = 0;
+    }
+
+    for (const client of clients) {
+      if (client.waiting && !key) continue;
+      if (client.ws.bufferedAmount > MAX_BUFFERED) {
+        if (!client.waiting) skipped++;
+        client.waiting = true;
+        continue;
+      }
+      client.waiting = false;
+      client.ws.send(fragment);
+    }
+  }
+
+  function start() {
+    clearTimeout(restartTimer);
+    restartTimer = null;
+    if (proc) return;
+    init = null;
+    inputBusy = false;
+
+    const child = spawn(ffmpeg, encoderArgs(profile, getOptions()), { stdio: ['pipe', 'pipe', 'pipe'], windowsHide: true });
+    proc = child;
+    let pendingInit = null;  // ftyp, until the moov that completes it
+    let moof = null;
+    let stderrTail = '';
+    const parser = createBoxParser((type, box) => {
+      if (type === 'ftyp') {
+        moof = null;
+        init = null;
+        pendingInit = box;
+      } else if (type === 'moov') {
+        handleInit(pendingInit ? Buffer.concat([pendingInit, box]) : box);
+        pendingInit = null;
+      } else if (type === 'moof') {
+        moof = box;
+      } else if (type === 'mdat' && moof && init) {
+        handleFragment(Buffer.concat([moof, box]), startsWithKeyframe(moof));
+        moof = null;
+      }
+    });
+
+    child.stdout.on('data', (chunk) => {
+      if (proc !== child) return;
+      try {
+        parser.push(chunk);
+      } catch (err) {
+        lastError = err.message;
+        child.kill();
+      }
+    });
+    child.stderr.on('data', (data) => {
+      const text = data.toString('utf-8').trim();
+      if (!text) return;
+      stderrTail = text.split('\n').pop();
+      console.error(`[H.264 ${name}] ${text}`);
+    });
+    // Writes after ffmpeg dies are the exit handler's problem
+    child.stdin.on('error', () => {});
+    child.on('error', (err) => { stderrTail = `ffmpeg failed to start: ${err.message}`; });
+    child.on('close', (code, signal) => {
+      if (proc !== child) return;
+      proc = null;
+      const started = !!init;
+      lastError = stderrTail || lastError || `ffmpeg exited (${signal || `code ${code}`})`;
+      console.error(`[H.264 ${name}] Encoder stopped: ${lastError}`);
+      if (!clients.size) return;
+      if (!started) {
+        // Never produced anything (no libx264?): let viewers fall back to MJPEG
+        for (const client of clients) {
+          client.ws.sendJson({ type: 'error', message: `H.264 encoder failed: ${lastError}` });
+          client.ws.close(1011, 'Encoder failed');
+        }
+        clients.clear();
+        stopHeartbeat();
+        return;
+      }
+      restartTimer = setTimeout(() => {
+        restarts++;
+        start();
+      }, RESTART_MS);
+    });
+    console.log(`[H.264 ${name}] Encoder started`);
+  }
+
+  function stop() {
+    clearTimeout(restartTimer);
+    restartTimer = null;
+    if (!proc) return;
+    const child = proc;
+    proc = null;
+    init = null;
+    gop = [];
+    gopBytes = 0;
+    child.stdin.end();
+    child.kill();
+    console.log(`[H.264 ${name}] Encoder stopped`);
+  }
+
+  function stopHeartbeat() {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+
+  // Drop viewers that stopped answering pings
+  function startHeartbeat() {
+    if (heartbeat) return;
+    heartbeat = setInterval(() => {
+      for (const client of clients) {
+        if (!client.ws.isAlive) client.ws.terminate();
+        else client.ws.ping();
+      }
+    }, HEARTBEAT_MS);
+  }
+
+  return {
+    name,
+
+    // Feed a captured JPEG to the encoder (skipped while it's catching up)
+    write(jpeg) {
+      if (!proc || !proc.stdin.writable) return;
+      if (inputBusy) {
+        dropped++;
+        return;
+      }
+      if (!proc.stdin.write(jpeg)) {
+        inputBusy = true;
+        const child = proc;
+        child.stdin.once('drain', () => { if (proc === child) inputBusy = false; });
+      }
+    },
+
+    // Stream to a WebSocket connection (websocket.js) until it closes
+    attach(ws) {
+      clearTimeout(lingerTimer);
+      const client = { ws, waiting: true };
+      clients.add(client);
+      startHeartbeat();
+      ws.on('close', () => {
+        if (!clients.delete(client) || clients.size) return;
+        stopHeartbeat();
+        clearTimeout(lingerTimer);
+        lingerTimer = setTimeout(stop, LINGER_MS);
+      });
+      ws.on('error', () => {});
+      if (init) sendInit(client);
+      else start();
+    },
+
+    // Pick up new capture options
+    restart() {
+      if (!proc && !restartTimer) return;
+      stop();
+      if (clients.size) start();
+    },
+
+    get clientCount() {
+      return clients.size;
+    },
+
+    stats() {
+      return {
+        profile: name,
+        running: !!proc,
+        viewers: clients.size,
+        fragments,
+        bytes,
+        skipped,
+        dropped,
+        restarts,
+        lastError
+      };
+    },
+
+    close() {
+      clearTimeout(lingerTimer);
+      stopHeartbeat();
+      for (const client of clients) client.ws.close(1001, 'Bridge shutting down');
+      clients.clear();
+      stop();
+    }
+  };
+}
+
+module.exports = { LATENCY_PROFILES, createBoxParser, startsWithKeyframe, codecString, encoderArgs, createFmp4Stream };
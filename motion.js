@@ -0,0 +1,167 @@
+const cameraMath = require('./camera-math');
+
+// Server-side hold-to-move control loop.
+//
+// Clients set target velocities (linear m/s in a movement frame, angular
+// deg/s, zoom units/s) and keep refreshing them while a key/button/stick is
+// held. The loop eases each client's actual velocity toward its target under
+// acceleration limits and integrates at a fixed tick, so motion is smooth and
+// independent of OS key-repeat. A client that stops refreshing (closed tab,
+// dropped Wi-Fi) is brought to a stop by the dead-man timeout.
+
+const LINEAR = ['vx', 'vy', 'vz'];
+const ANGULAR = ['vpitch', 'vyaw', 'vroll'];
+
+const DEFAULT_LIMITS = {
+  rate: 30,              // ticks (pose sends) per second while moving
+  maxLinearSpeed: 20,    // m/s
+  maxAngularSpeed: 180,  // deg/s
+  maxZoomSpeed: 60,      // zoom units/s
+  linearAccel: 6,        // m/s^2
+  angularAccel: 540,     // deg/s^2
+  zoomAccel: 240,        // zoom units/s^2
+  deadmanMs: 500         // stop a client that hasn't refreshed for this long
+};
+
+function zeroVelocity() {
+  return { vx: 0, vy: 0, vz: 0, vpitch: 0, vyaw: 0, vroll: 0, vzoom: 0 };
+}
+
+function num(v) {
+  return typeof v === 'number' && isFinite(v) ? v : 0;
+}
+
+// Scale a 3-vector so its length is at most max
+function limitVector(v, max) {
+  const len = Math.hypot(v[0], v[1], v[2]);
+  if (len <= max || len === 0) return v;
+  return v.map(c => c * max / len);
+}
+
+// Move current toward target by at most maxStep (as a vector)
+function approach(current, target, maxStep) {
+  const diff = target.map((t, i) => t - current[i]);
+  const step = limitVector(diff, maxStep);
+  return current.map((c, i) => c + step[i]);
+}
+
+function isStill(v) {
+  return LINEAR.every(k => v[k] === 0) && ANGULAR.every(k => v[k] === 0) && v.vzoom === 0;
+}
+
+// applyStep(step) mutates the camera for one client's share of a tick, where
+// step looks like an /api/move delta body ({ frame, rotationFrame, dx, ..., dzoom }).
+// onTick() runs once per tick after all steps, to send/publish the result.
+function createMotionLoop({ applyStep, onTick, onIdle, limits = {} }) {
+  const cfg = { ...DEFAULT_LIMITS, ...limits };
+  const clients = new Map(); // id -> { target, current, frame, rotationFrame, lastSeen }
+  let timer = null;
+  let lastTick = 0;
+
+  function tick() {
+    const now = Date.now();
+    const dt = Math.min((now - lastTick) / 1000, 0.25); // don't jump after a stall
+    lastTick = now;
+    let moving = false;
+
+    for (const [id, c] of clients) {
+      if (now - c.lastSeen > cfg.deadmanMs) c.target = zeroVelocity();
+
+      const lin = approach(LINEAR.map(k => c.current[k]), LINEAR.map(k => c.target[k]), cfg.linearAccel * dt);
+      const ang = approach(ANGULAR.map(k => c.current[k]), ANGULAR.map(k => c.target[k]), cfg.angularAccel * dt);
+      const zoomStep = cameraMath.clamp(c.target.vzoom - c.current.vzoom, -cfg.zoomAccel * dt, cfg.zoomAccel * dt);
+      LINEAR.forEach((k, i) => { c.current[k] = lin[i]; });
+      ANGULAR.forEach((k, i) => { c.current[k] = ang[i]; });
+      c.current.vzoom += zoomStep;
+
+      // Snap tiny residuals to zero so the loop can go idle
+      for (const k of Object.keys(c.current)) {
+        if (Math.abs(c.current[k]) < 1e-4 && c.target[k] === 0) c.current[k] = 0;
+      }
+
+      if (isStill(c.current)) {
+        if (isStill(c.target)) clients.delete(id);
+        continue;
+      }
+
+      moving = true;
+      applyStep({
+        frame: c.frame,
+        rotationFrame: c.rotationFrame,
+        dx: c.current.vx * dt,
+        dy: c.current.vy * dt,
+        dz: c.current.vz * dt,
+        dpitch: c.current.vpitch * dt,
+        dyaw: c.current.vyaw * dt,
+        droll: c.current.vroll * dt,
+        dzoom: c.current.vzoom * dt
+      });
+    }
+
+    if (moving) onTick();
+    if (!clients.size) {
+      clearInterval(timer);
+      timer = null;
+      if (onIdle) onIdle();
+    }
+  }
+
+  function ensureRunning() {
+    if (timer) return;
+    lastTick = Date.now();
+    timer = setInterval(tick, 1000 / cfg.rate);
+  }
+
+  return {
+    // Set (or refresh) a client's target velocity
+    set(id, body) {
+      let c = clients.get(id);
+      if (!c) {
+        c = { target: zeroVelocity(), current: zeroVelocity(), frame: undefined, rotationFrame: undefined, lastSeen: 0 };
+        clients.set(id, c);
+      }
+      const lin = limitVector(LINEAR.map(k => num(body[k])), cfg.maxLinearSpeed);
+      const ang = limitVector(ANGULAR.map(k => num(body[k])), cfg.maxAngularSpeed);
+      LINEAR.forEach((k, i) => { c.target[k] = lin[i]; });
+      ANGULAR.forEach((k, i) => { c.target[k] = ang[i]; });
+      c.target.vzoom = cameraMath.clamp(num(body.vzoom), -cfg.maxZoomSpeed, cfg.maxZoomSpeed);
+      c.frame = body.frame;
+      c.rotationFrame = body.rotationFrame;
+      c.lastSeen = Date.now();
+      ensureRunning();
+    },
+
+    // Ease a client to a stop (button released)
+    release(id) {
+      const c = clients.get(id);
+      if (c) c.target = zeroVelocity();
+    },
+
+    // Stop everything immediately (another control took over)
+    halt() {
+      clients.clear();
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+
+    isMoving() {
+      return clients.size > 0;
+    },
+
+    setLimits(next) {
+      for (const key of Object.keys(DEFAULT_LIMITS)) {
+        if (typeof next[key] === 'number' && next[key] > 0) cfg[key] = next[key];
+      }
+      if (timer) {
+        clearInterval(timer);
+        timer = setInterval(tick, 1000 / cfg.rate);
+      }
+    },
+
+    get limits() {
+      return { ...cfg };
+    }
+  };
+}
+
+module.exports = { createMotionLoop, DEFAULT_LIMITS };
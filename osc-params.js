@@ -0,0 +1,179 @@
+// Declarative registry of the VRChat user camera OSC surface.
+//
+// Each entry describes one parameter: its type, range and default. The
+// registry drives outgoing sends, decoding of incoming messages, API
+// validation and the generated controls in the web UI. Pose is handled
+// separately (six floats, see broadcastState in server.js).
+//
+// Types: 'float' and 'int' (with min/max), 'bool' (OSC T/F), 'enum' (an
+// int with named values) and 'button' (fire-and-forget, not mirrored).
+// Ranges and defaults follow the VRChat 2025.3.3 user camera documentation.
+
+const PARAMS = [
+  // Camera
+  { key: 'mode', name: 'Mode', type: 'enum', group: 'Camera', default: 1,
+    options: { 0: 'Off', 1: 'Photo', 2: 'Stream', 3: 'Emoji', 4: 'Multilayer', 5: 'Print', 6: 'Drone' } },
+  { key: 'orientationIsLandscape', name: 'OrientationIsLandscape', label: 'Landscape', type: 'bool', group: 'Camera', default: true },
+  { key: 'showUIInCamera', name: 'ShowUIInCamera', label: 'Show UI in camera', type: 'bool', group: 'Camera', default: false },
+  { key: 'lock', name: 'Lock', label: 'Lock camera', type: 'bool', group: 'Camera', default: false },
+  { key: 'cameraEars', name: 'CameraEars', label: 'Camera ears', type: 'bool', group: 'Camera', default: false },
+  { key: 'triggerTakesPhotos', name: 'TriggerTakesPhotos', label: 'Trigger takes photos', type: 'bool', group: 'Camera', default: true },
+  { key: 'dollyPathsStayVisible', name: 'DollyPathsStayVisible', label: 'Dolly paths stay visible', type: 'bool', group: 'Camera', default: false },
+
+  // Lens
+  { key: 'zoom', name: 'Zoom', type: 'float', group: 'Lens', min: 20, max: 150, default: 45, stateKey: 'zoom' },
+  { key: 'exposure', name: 'Exposure', type: 'float', group: 'Lens', min: -10, max: 4, default: 0 },
+  { key: 'focalDistance', name: 'FocalDistance', label: 'Focal distance', type: 'float', group: 'Lens', min: 0, max: 10, default: 1.5 },
+  { key: 'aperture', name: 'Aperture', type: 'float', group: 'Lens', min: 1.4, max: 32, default: 15 },
+  { key: 'showFocus', name: 'ShowFocus', label: 'Show focus', type: 'bool', group: 'Lens', default: false },
+
+  // Color (green screen)
+  { key: 'greenScreen', name: 'GreenScreen', label: 'Green screen', type: 'bool', group: 'Color', default: false },
+  { key: 'hue', name: 'Hue', type: 'float', group: 'Color', min: 0, max: 360, default: 120 },
+  { key: 'saturation', name: 'Saturation', type: 'float', group: 'Color', min: -100, max: 100, default: 100 },
+  { key: 'lightness', name: 'Lightness', type: 'float', group: 'Color', min: -100, max: 100, default: 60 },
+
+  // Layers
+  { key: 'localPlayer', name: 'LocalPlayer', label: 'Local player', type: 'bool', group: 'Layers', default: true },
+  { key: 'remotePlayer', name: 'RemotePlayer', label: 'Remote players', type: 'bool', group: 'Layers', default: true },
+  { key: 'environment', name: 'Environment', type: 'bool', group: 'Layers', default: true },
+
+  // Movement
+  { key: 'flying', name: 'Flying', type: 'bool', group: 'Movement', default: false },
+  { key: 'flySpeed', name: 'FlySpeed', label: 'Fly speed', type: 'float', group: 'Movement', min: 0.1, max: 15, default: 3 },
+  { key: 'turnSpeed', name: 'TurnSpeed', label: 'Turn speed', type: 'float', group: 'Movement', min: 0.1, max: 5, default: 1 },
+  { key: 'rollWhileFlying', name: 'RollWhileFlying', label: 'Roll while flying', type: 'bool', group: 'Movement', default: false },
+  { key: 'smoothMovement', name: 'SmoothMovement', label: 'Smooth movement', type: 'bool', group: 'Movement', default: false },
+  { key: 'smoothingStrength', name: 'SmoothingStrength', label: 'Smoothing strength', type: 'float', group: 'Movement', min: 0.1, max: 10, default: 5 },
+  { key: 'autoLevelRoll', name: 'AutoLevelRoll', label: 'Auto-level roll', type: 'bool', group: 'Movement', default: false },
+  { key: 'autoLevelPitch', name: 'AutoLevelPitch', label: 'Auto-level pitch', type: 'bool', group: 'Movement', default: false },
+
+  // Look-at-me
+  { key: 'lookAtMe', name: 'LookAtMe', label: 'Look at me', type: 'bool', group: 'Look At Me', default: false },
+  { key: 'lookAtMeXOffset', name: 'LookAtMeXOffset', label: 'X offset', type: 'float', group: 'Look At Me', min: -25, max: 25, default: 0 },
+  { key: 'lookAtMeYOffset', name: 'LookAtMeYOffset', label: 'Y offset', type: 'float', group: 'Look At Me', min: -25, max: 25, default: 0 },
+
+  // Capture
+  { key: 'photoRate', name: 'PhotoRate', label: 'Photo rate', type: 'float', group: 'Capture', min: 0.1, max: 2, default: 1 },
+  { key: 'duration', name: 'Duration', label: 'Timer (s)', type: 'float', group: 'Capture', min: 0.1, max: 60, default: 2 },
+  { key: 'streaming', name: 'Streaming', type: 'bool', group: 'Capture', default: false },
+  { key: 'capture', name: 'Capture', type: 'button', group: 'Capture' },
+  { key: 'captureDelayed', name: 'CaptureDelayed', label: 'Delayed capture', type: 'button', group: 'Capture' },
+  { key: 'close', name: 'Close', label: 'Close camera', type: 'button', group: 'Capture' }
+];
+
+// Address profiles, one per VRChat release that changed the OSC surface.
+// A profile lists its prefix and any parameters that were renamed (by key),
+// and can extend an older profile. Extra profiles can be added in
+// config.json under "oscProfiles" without touching this file.
+const PROFILES = {
+  '2025.3.3': { prefix: '/usercamera/', renames: {} }
+};
+const DEFAULT_PROFILE = '2025.3.3';
+
+function resolveProfile(name, profiles) {
+  const seen = new Set();
+  let prefix = null;
+  const renames = {};
+  let current = name;
+  // Walk the extends chain; nearer profiles win
+  const chain = [];
+  while (current && profiles[current] && !seen.has(current)) {
+    seen.add(current);
+    chain.unshift(profiles[current]);
+    current = profiles[current].extends;
+  }
+  for (const p of chain) {
+    if (p.prefix) prefix = p.prefix;
+    Object.assign(renames, p.renames || {});
+  }
+  return { prefix: prefix || '/usercamera/', renames };
+}
+
+function clampNumber(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+// Build a registry for one profile. extraProfiles come from config.json.
+function createRegistry(profileName = DEFAULT_PROFILE, extraProfiles = {}) {
+  const profiles = { ...PROFILES, ...extraProfiles };
+  const name = profiles[profileName] ? profileName : DEFAULT_PROFILE;
+  const { prefix, renames } = resolveProfile(name, profiles);
+
+  const byKey = new Map();
+  const byAddress = new Map();
+  for (const param of PARAMS) {
+    const address = prefix + (renames[param.key] || param.name);
+    const entry = { ...param, address };
+    byKey.set(param.key, entry);
+    byAddress.set(address, entry);
+  }
+
+  return {
+    profile: name,
+    profiles: Object.keys(profiles),
+    params: [...byKey.values()],
+
+    get(key) {
+      return byKey.get(key) || null;
+    },
+
+    lookup(address) {
+      return byAddress.get(address) || null;
+    },
+
+    // Starting values for everything that's mirrored in state
+    defaults() {
+      const values = {};
+      for (const p of byKey.values()) {
+        if (p.type !== 'button' && !p.stateKey) values[p.key] = p.default;
+      }
+      return values;
+    },
+
+    // Validate/clamp a value from the API. Returns { value } or { error }.
+    coerce(param, value) {
+      if (param.type === 'button') return { value: true };
+      if (param.type === 'bool') {
+        if (typeof value === 'boolean') return { value };
+        if (value === 0 || value === 1) return { value: value === 1 };
+        return { error: `${param.key} must be true or false` };
+      }
+      const n = Number(value);
+      if (typeof value === 'boolean' || value === null || value === '' || !isFinite(n)) {
+        return { error: `${param.key} must be a number` };
+      }
+      if (param.type === 'enum') {
+        const i = Math.round(n);
+        if (!(i in param.options)) return { error: `${param.key} must be one of ${Object.keys(param.options).join(', ')}` };
+        return { value: i };
+      }
+      if (param.type === 'int') return { value: Math.round(clampNumber(n, param.min, param.max)) };
+      return { value: clampNumber(n, param.min, param.max) };
+    },
+
+    // OSC type tags + args for sending a (coerced) value
+    toOsc(param, value) {
+      if (param.type === 'button') return { types: ['T'], args: [true] };
+      if (param.type === 'bool') return { types: [value ? 'T' : 'F'], args: [value] };
+      if (param.type === 'int' || param.type === 'enum') return { types: ['i'], args: [value] };
+      return { types: ['f'], args: [value] };
+    },
+
+    // Decode an incoming message's args for a param. Returns undefined if unusable.
+    fromOsc(param, types, args) {
+      if (param.type === 'button') return undefined;
+      if (param.type === 'bool') {
+        if (types[0] === 'T') return true;
+        if (types[0] === 'F') return false;
+        if (typeof args[0] === 'number') return args[0] !== 0;
+        return undefined;
+      }
+      if (typeof args[0] !== 'number') return undefined;
+      const result = this.coerce(param, args[0]);
+      return result.error ? undefined : result.value;
+    }
+  };
+}
+
+module.exports = { PARAMS, PROFILES, DEFAULT_PROFILE, createRegistry };
@@ -0,0 +1,142 @@
+const osc = require('./osc');
+
+// OSC relay: forwards copies of the packets that pass through the bridge to
+// extra targets, so other OSC tools (face tracking, avatar controllers, ...)
+// can share VRChat's ports with us.
+//
+// A route looks like:
+//   { name: 'face tracking', host: '127.0.0.1', port: 9002,
+//     direction: 'in', include: ['/avatar/*'], exclude: [] }
+// direction is 'in' (what VRChat sends us), 'out' (what we send VRChat) or
+// 'both'. include/exclude are OSC address patterns (see osc.matchAddress);
+// an empty include list passes everything. Bundles are filtered per message
+// and keep their timetag.
+
+const DIRECTIONS = ['in', 'out', 'both'];
+
+function patternList(value, field) {
+  if (value === undefined || value === null) return { list: [] };
+  const list = typeof value === 'string' ? [value] : value;
+  if (!Array.isArray(list) || !list.every(p => typeof p === 'string' && p[0] === '/')) {
+    return { error: `${field} must be a list of OSC addresses starting with /` };
+  }
+  return { list };
+}
+
+// Validate one route from config/API. Returns { route } or { error }.
+function normalizeRoute(input, index) {
+  if (!input || typeof input !== 'object') return { error: `Route ${index} must be an object` };
+  const port = Number(input.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) return { error: `Route ${index}: port must be 1-65535` };
+  const direction = input.direction || 'in';
+  if (!DIRECTIONS.includes(direction)) return { error: `Route ${index}: direction must be one of ${DIRECTIONS.join(', ')}` };
+  const include = patternList(input.include, 'include');
+  if (include.error) return { error: `Route ${index}: ${include.error}` };
+  const exclude = patternList(input.exclude, 'exclude');
+  if (exclude.error) return { error: `Route ${index}: ${exclude.error}` };
+
+  return {
+    route: {
+      name: input.name ? String(input.name) : `route ${index + 1}`,
+      host: input.host ? String(input.host) : '127.0.0.1',
+      port,
+      direction,
+      include: include.list,
+      exclude: exclude.list,
+      enabled: input.enabled !== false
+    }
+  };
+}
+
+function normalizeRoutes(list) {
+  if (!Array.isArray(list)) return { error: 'Routes must be a list' };
+  const routes = [];
+  for (let i = 0; i < list.length; i++) {
+    const result = normalizeRoute(list[i], i);
+    if (result.error) return result;
+    routes.push(result.route);
+  }
+  return { routes };
+}
+
+const LOOPBACK = ['127.0.0.1', 'localhost', '::1'];
+
+function sameEndpoint(from, route) {
+  if (from.port !== route.port) return false;
+  return from.address === route.host || (LOOPBACK.includes(from.address) && LOOPBACK.includes(route.host));
+}
+
+function passes(route, address) {
+  if (route.include.length && !route.include.some(p => osc.matchAddress(p, address))) return false;
+  return !route.exclude.some(p => osc.matchAddress(p, address));
+}
+
+// Drop the messages a route doesn't want. Returns the packet unchanged if
+// everything passed, a smaller packet, or null if nothing is left.
+function filterPacket(route, packet) {
+  if (!packet.bundle) return passes(route, packet.address) ? packet : null;
+  let changed = false;
+  const elements = [];
+  for (const el of packet.elements) {
+    const kept = filterPacket(route, el);
+    if (kept !== el) changed = true;
+    if (kept) elements.push(kept);
+  }
+  if (!elements.length) return null;
+  return changed ? { bundle: true, timetag: packet.timetag, elements } : packet;
+}
+
+// send(buf, port, host) does the actual UDP write
+function createRelay({ send, routes = [] }) {
+  let current = [];
+  let stats = [];
+
+  function setRoutes(list) {
+    const result = normalizeRoutes(list);
+    if (result.error) return result;
+    current = result.routes;
+    stats = current.map(() => ({ packets: 0, lastError: null }));
+    return result;
+  }
+
+  // direction: 'in' or 'out'. buf is the raw packet, packet its decoded form.
+  // from ({ address, port }) keeps a packet from being echoed to its sender.
+  function forward(direction, buf, packet, from) {
+    current.forEach((route, i) => {
+      if (!route.enabled || (route.direction !== direction && route.direction !== 'both')) return;
+      if (from && sameEndpoint(from, route)) return;
+      const kept = filterPacket(route, packet);
+      if (!kept) return;
+      let out = buf;
+      if (kept !== packet) {
+        try {
+          out = osc.encodePacket(kept);
+        } catch (err) {
+          stats[i].lastError = err.message;
+          return;
+        }
+      }
+      stats[i].packets++;
+      send(out, route.port, route.host, (err) => {
+        if (err) stats[i].lastError = err.message;
+      });
+    });
+  }
+
+  const initial = setRoutes(routes);
+  if (initial.error) console.error(`[OSC Relay] Ignoring configured routes: ${initial.error}`);
+
+  return {
+    setRoutes,
+    forward,
+    get routes() {
+      return current.map(r => ({ ...r }));
+    },
+    // Per-route packet counts and the last send error, same order as routes
+    stats() {
+      return current.map((r, i) => ({ name: r.name, ...stats[i] }));
+    }
+  };
+}
+
+module.exports = { DIRECTIONS, normalizeRoutes, createRelay };
@@ -0,0 +1,521 @@
+// OSC 1.0/1.1 codec, shared by the sender and the receiver in server.js.
+//
+// Messages decode to { address, types, args } where types is the type tag
+// string without the leading ',' and args holds plain JS values:
+//   i -> number           f -> number            d -> number (double)
+//   s, S -> string        c -> one-char string    b -> Buffer
+//   h -> BigInt (int64)   t -> timetag            r -> { r, g, b, a }
+//   m -> { port, status, data1, data2 }           T/F -> true/false
+//   N -> null             I -> Infinity ("impulse" in 1.1)
+//   [ ... ] -> nested array
+// Bundles decode to { bundle: true, timetag, elements: [...] }.
+//
+// Timetags are { seconds, fraction } in NTP format (seconds since 1900).
+
+const NTP_EPOCH_OFFSET = 2208988800; // seconds between 1900-01-01 and 1970-01-01
+const TWO_POW_32 = 4294967296;
+const IMMEDIATE = Object.freeze({ seconds: 0, fraction: 1 });
+const BUNDLE_TAG = '#bundle';
+const MAX_SCHEDULE_AHEAD_MS = 60000; // further ahead than this is almost certainly clock skew
+const PATTERN_CACHE_SIZE = 256;      // patterns come off the network: keep the most recent
+const MAX_PENDING = 256;             // bundles held for their timetag, each one a timer
+
+// -- Timetags --
+
+function timetagFromDate(ms) {
+  const seconds = ms / 1000 + NTP_EPOCH_OFFSET;
+  const whole = Math.floor(seconds);
+  return { seconds: whole >>> 0, fraction: Math.floor((seconds - whole) * TWO_POW_32) >>> 0 };
+}
+
+// Milliseconds since the Unix epoch. Immediate tags map to "now".
+function timetagToDate(tt) {
+  if (isImmediate(tt)) return Date.now();
+  return (tt.seconds - NTP_EPOCH_OFFSET + tt.fraction / TWO_POW_32) * 1000;
+}
+
+function isImmediate(tt) {
+  return !tt || (tt.seconds === 0 && tt.fraction === 1);
+}
+
+// Accept a timetag object, a Date, ms since epoch, or nothing (immediate)
+function toTimetag(value) {
+  if (value === undefined || value === null) return IMMEDIATE;
+  if (value instanceof Date) return timetagFromDate(value.getTime());
+  if (typeof value === 'number') return timetagFromDate(value);
+  return value;
+}
+
+// -- Encoding --
+
+function pad4(n) { return (4 - (n % 4)) % 4; }
+
+function encodeString(str) {
+  const s = Buffer.from(str + '\0', 'utf8');
+  const pad = pad4(s.length);
+  return pad === 0 ? s : Buffer.concat([s, Buffer.alloc(pad)]);
+}
+
+function encodeBlob(buf) {
+  const size = Buffer.alloc(4);
+  size.writeInt32BE(buf.length, 0);
+  return Buffer.concat([size, buf, Buffer.alloc(pad4(buf.length))]);
+}
+
+function encodeTimetag(value) {
+  const tt = toTimetag(value);
+  const b = Buffer.alloc(8);
+  b.writeUInt32BE(tt.seconds >>> 0, 0);
+  b.writeUInt32BE(tt.fraction >>> 0, 4);
+  return b;
+}
+
+function encodeArg(type, value) {
+  let b;
+  switch (type) {
+    case 'i':
+      b = Buffer.alloc(4);
+      b.writeInt32BE(Number(value) | 0, 0);
+      return b;
+    case 'f':
+      b = Buffer.alloc(4);
+      b.writeFloatBE(Number(value), 0);
+      return b;
+    case 'd':
+      b = Buffer.alloc(8);
+      b.writeDoubleBE(Number(value), 0);
+      return b;
+    case 'h':
+      b = Buffer.alloc(8);
+      b.writeBigInt64BE(BigInt(value), 0);
+      return b;
+    case 't':
+      return encodeTimetag(value);
+    case 's':
+    case 'S':
+      return encodeString(String(value));
+    case 'b':
+      return encodeBlob(Buffer.isBuffer(value) ? value : Buffer.from(value));
+    case 'c':
+      b = Buffer.alloc(4);
+      b.writeUInt32BE(typeof value === 'number' ? value : String(value).charCodeAt(0), 0);
+      return b;
+    case 'r':
+      return Buffer.from([value.r, value.g, value.b, value.a]);
+    case 'm':
+      return Buffer.from([value.port, value.status, value.data1, value.data2]);
+    default:
+      throw new Error(`Unsupported OSC type tag '${type}'`);
+  }
+}
+
+// Pick a type tag for a plain JS value
+function inferType(value) {
+  if (value === true) return 'T';
+  if (value === false) return 'F';
+  if (value === null || value === undefined) return 'N';
+  if (value === Infinity) return 'I';
+  if (typeof value === 'bigint') return 'h';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'i' : 'f';
+  if (typeof value === 'string') return 's';
+  if (Buffer.isBuffer(value)) return 'b';
+  if (Array.isArray(value)) return '[';
+  if (typeof value === 'object' && 'seconds' in value && 'fraction' in value) return 't';
+  throw new Error(`Can't infer an OSC type for ${typeof value}`);
+}
+
+// Walk types/args together. Returns the flat type tag string and arg buffers.
+// Arrays are written as '[' ... ']' in types with a nested JS array in args.
+// T/F/N/I carry no data but still take a slot in args (as decodePacket
+// returns them), so a decoded message re-encodes unchanged.
+function encodeArgs(types, args) {
+  const tags = [];
+  const bufs = [];
+  let t = 0;
+
+  function walk(list, typeList) {
+    let a = 0;
+    while (t < typeList.length) {
+      const type = typeList[t++];
+      if (type === ']') return;
+      if (type === '[') {
+        tags.push('[');
+        const nested = list[a++];
+        if (!Array.isArray(nested)) throw new Error('OSC array type needs an array argument');
+        walk(nested, typeList);
+        tags.push(']');
+        continue;
+      }
+      tags.push(type);
+      if ('TFNI'.includes(type)) {
+        a++;
+        continue;
+      }
+      bufs.push(encodeArg(type, list[a++]));
+    }
+  }
+
+  walk(args, types);
+  return { tags: tags.join(''), bufs };
+}
+
+function inferTypes(args) {
+  const types = [];
+  for (const value of args) {
+    const type = inferType(value);
+    if (type === '[') {
+      types.push('[', ...inferTypes(value), ']');
+    } else {
+      types.push(type);
+    }
+  }
+  return types;
+}
+
+// Build a message. types is a string/array of type tags, or omitted to
+// infer them from the args.
+function encodeMessage(address, types, args = []) {
+  if (typeof address !== 'string' || address[0] !== '/') throw new Error(`Invalid OSC address: ${address}`);
+  const typeList = types === undefined || types === null ? inferTypes(args) : [...(Array.isArray(types) ? types.join('') : types)];
+  const { tags, bufs } = encodeArgs(typeList, args);
+  return Buffer.concat([encodeString(address), encodeString(',' + tags), ...bufs]);
+}
+
+// Build a bundle. Elements are Buffers (already-encoded packets),
+// { address, types, args } messages or { timetag, elements } bundles.
+function encodeBundle(timetag, elements) {
+  const parts = [encodeString(BUNDLE_TAG), encodeTimetag(timetag)];
+  for (const el of elements) {
+    const packet = encodePacket(el);
+    const size = Buffer.alloc(4);
+    size.writeInt32BE(packet.length, 0);
+    parts.push(size, packet);
+  }
+  return Buffer.concat(parts);
+}
+
+function encodePacket(packet) {
+  if (Buffer.isBuffer(packet)) return packet;
+  if (packet.elements) return encodeBundle(packet.timetag, packet.elements);
+  return encodeMessage(packet.address, packet.types, packet.args);
+}
+
+// -- Decoding --
+
+function readString(buf, offset) {
+  const end = buf.indexOf(0, offset);
+  if (end === -1) throw new Error('Unterminated OSC string');
+  const value = buf.toString('utf8', offset, end);
+  return { value, offset: end + 1 + pad4(end + 1 - offset) };
+}
+
+function need(buf, offset, n) {
+  if (offset + n > buf.length) throw new Error('OSC packet truncated');
+}
+
+function decodeArgs(buf, offset, types) {
+  const stack = [[]];
+  for (const type of types) {
+    const args = stack[stack.length - 1];
+    switch (type) {
+      case 'i': need(buf, offset, 4); args.push(buf.readInt32BE(offset)); offset += 4; break;
+      case 'f': need(buf, offset, 4); args.push(buf.readFloatBE(offset)); offset += 4; break;
+      case 'd': need(buf, offset, 8); args.push(buf.readDoubleBE(offset)); offset += 8; break;
+      case 'h': need(buf, offset, 8); args.push(buf.readBigInt64BE(offset)); offset += 8; break;
+      case 't':
+        need(buf, offset, 8);
+        args.push({ seconds: buf.readUInt32BE(offset), fraction: buf.readUInt32BE(offset + 4) });
+        offset += 8;
+        break;
+      case 's':
+      case 'S': {
+        const r = readString(buf, offset);
+        args.push(r.value);
+        offset = r.offset;
+        break;
+      }
+      case 'b': {
+        need(buf, offset, 4);
+        const size = buf.readInt32BE(offset);
+        offset += 4;
+        if (size < 0) throw new Error('Negative OSC blob size');
+        need(buf, offset, size);
+        args.push(Buffer.from(buf.slice(offset, offset + size)));
+        offset += size + pad4(size);
+        break;
+      }
+      case 'c': need(buf, offset, 4); args.push(String.fromCharCode(buf.readUInt32BE(offset))); offset += 4; break;
+      case 'r':
+        need(buf, offset, 4);
+        args.push({ r: buf[offset], g: buf[offset + 1], b: buf[offset + 2], a: buf[offset + 3] });
+        offset += 4;
+        break;
+      case 'm':
+        need(buf, offset, 4);
+        args.push({ port: buf[offset], status: buf[offset + 1], data1: buf[offset + 2], data2: buf[offset + 3] });
+        offset += 4;
+        break;
+      case 'T': args.push(true); break;
+      case 'F': args.push(false); break;
+      case 'N': args.push(null); break;
+      case 'I': args.push(Infinity); break;
+      case '[': {
+        const nested = [];
+        args.push(nested);
+        stack.push(nested);
+        break;
+      }
+      case ']':
+        if (stack.length === 1) throw new Error('Unbalanced ] in OSC type tag');
+        stack.pop();
+        break;
+      default:
+        // Without knowing its size we can't skip an unknown type safely
+        throw new Error(`Unknown OSC type tag '${type}'`);
+    }
+  }
+  if (stack.length !== 1) throw new Error('Unbalanced [ in OSC type tag');
+  return stack[0];
+}
+
+function decodeMessage(buf) {
+  const addr = readString(buf, 0);
+  if (addr.value[0] !== '/') throw new Error(`Invalid OSC address: ${addr.value}`);
+  // OSC 1.0 allowed omitting the type tag entirely
+  if (addr.offset >= buf.length || buf[addr.offset] !== 0x2C) {
+    return { address: addr.value, types: '', args: [] };
+  }
+  const tag = readString(buf, addr.offset);
+  const types = tag.value.slice(1);
+  return { address: addr.value, types, args: decodeArgs(buf, tag.offset, types) };
+}
+
+function decodeBundle(buf) {
+  need(buf, 8, 8);
+  const timetag = { seconds: buf.readUInt32BE(8), fraction: buf.readUInt32BE(12) };
+  const elements = [];
+  let offset = 16;
+  while (offset < buf.length) {
+    need(buf, offset, 4);
+    const size = buf.readInt32BE(offset);
+    offset += 4;
+    if (size <= 0 || size % 4 !== 0) throw new Error('Invalid OSC bundle element size');
+    need(buf, offset, size);
+    elements.push(decodePacket(buf.slice(offset, offset + size)));
+    offset += size;
+  }
+  return { bundle: true, timetag, elements };
+}
+
+// Decode a UDP payload. Throws on malformed input.
+function decodePacket(buf) {
+  if (buf.length < 4 || buf.length % 4 !== 0) throw new Error('OSC packet size must be a multiple of 4');
+  if (buf[0] === 0x23 && buf.toString('ascii', 0, 8) === BUNDLE_TAG + '\0') return decodeBundle(buf);
+  return decodeMessage(buf);
+}
+
+// -- Address pattern matching --
+
+const patternCache = new Map();
+
+function isPattern(address) {
+  return /[*?[\]{}]|\/\//.test(address);
+}
+
+// Translate an OSC address pattern into a RegExp:
+//   *  any run of characters within one part   ?  any single character
+//   [abc] [a-z] [!abc]  character sets           {foo,bar}  alternatives
+//   //  any number of whole parts (OSC 1.1), e.g. //Zoom matches /usercamera/Zoom
+function compilePattern(pattern) {
+  let cached = patternCache.get(pattern);
+  if (cached) {
+    // Most recently used goes to the back
+    patternCache.delete(pattern);
+    patternCache.set(pattern, cached);
+    return cached;
+  }
+
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '/' && pattern[i + 1] === '/') {
+      re += '/(?:[^/]+/)*';
+      i++;
+    } else if (ch === '*') {
+      re += '[^/]*';
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else if (ch === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) throw new Error(`Unclosed [ in OSC pattern: ${pattern}`);
+      let set = pattern.slice(i + 1, end);
+      let negate = false;
+      if (set[0] === '!') {
+        negate = true;
+        set = set.slice(1);
+      }
+      // Keep ranges (a-z) but escape everything regex-special
+      set = set.replace(/[\\\]^]/g, '\\$&');
+      re += negate ? `[^/${set}]` : `[${set}]`;
+      i = end;
+    } else if (ch === '{') {
+      const end = pattern.indexOf('}', i + 1);
+      if (end === -1) throw new Error(`Unclosed { in OSC pattern: ${pattern}`);
+      const options = pattern.slice(i + 1, end).split(',').map(escapeRegex);
+      re += `(?:${options.join('|')})`;
+      i = end;
+    } else {
+      re += escapeRegex(ch);
+    }
+  }
+  cached = new RegExp(`^${re}$`);
+  patternCache.set(pattern, cached);
+  if (patternCache.size > PATTERN_CACHE_SIZE) patternCache.delete(patternCache.keys().next().value);
+  return cached;
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+function matchAddress(pattern, address) {
+  if (pattern === address) return true;
+  try {
+    return compilePattern(pattern).test(address);
+  } catch (e) {
+    return false;
+  }
+}
+
+// -- Dispatch --
+
+// Milliseconds until a timetag: 0 if it's immediate, past, or so far ahead
+// it's almost certainly clock skew
+function delayUntil(value) {
+  const timetag = toTimetag(value);
+  const delay = isImmediate(timetag) ? 0 : timetagToDate(timetag) - Date.now();
+  return delay > 0 && delay <= MAX_SCHEDULE_AHEAD_MS ? delay : 0;
+}
+
+// Run fn at a timetag: now if it's immediate/past, later if it's ahead.
+// Returns the timer, or null if fn already ran. A late fn that throws is
+// logged; nobody up the stack is left to catch it.
+function scheduleAt(value, fn) {
+  const delay = delayUntil(value);
+  if (!delay) {
+    fn();
+    return null;
+  }
+  return setTimeout(() => {
+    try {
+      fn();
+    } catch (e) {
+      console.error('[OSC] Error in scheduled bundle:', e);
+    }
+  }, delay);
+}
+
+// scheduleAt() with at most max callbacks waiting, since anyone who can send
+// us a packet can ask for a timer. at() returns false (and doesn't run fn)
+// when it would have to wait and the queue is full; stop() drops the lot.
+function createScheduler(max = MAX_PENDING) {
+  const timers = new Set();
+  return {
+    at(value, fn) {
+      if (delayUntil(value) && timers.size >= max) return false;
+      let timer = null;
+      timer = scheduleAt(value, () => {
+        timers.delete(timer);
+        fn();
+      });
+      if (timer) timers.add(timer);
+      return true;
+    },
+    get pending() {
+      return timers.size;
+    },
+    stop() {
+      timers.forEach(clearTimeout);
+      timers.clear();
+    }
+  };
+}
+
+// Routes decoded packets to handlers registered by address or pattern.
+// Either side may hold the wildcards: a handler for '/usercamera/*' sees
+// '/usercamera/Zoom', and an incoming '/usercamera/{Zoom,Exposure}' reaches
+// handlers for both. Bundles are unpacked and held until their timetag, at
+// most maxPending of them; more future bundles than that are dropped.
+function createDispatcher({ maxPending = MAX_PENDING } = {}) {
+  const handlers = [];
+  const scheduler = createScheduler(maxPending);
+  let fallback = null;
+  let dropping = false;
+
+  function dispatchMessage(msg, rinfo) {
+    let handled = false;
+    for (const h of handlers) {
+      if (matchAddress(h.pattern, msg.address) || (isPattern(msg.address) && matchAddress(msg.address, h.pattern))) {
+        h.fn(msg, rinfo);
+        handled = true;
+      }
+    }
+    if (!handled && fallback) fallback(msg, rinfo);
+  }
+
+  function dispatch(packet, rinfo) {
+    if (!packet.bundle) {
+      dispatchMessage(packet, rinfo);
+      return;
+    }
+    const queued = scheduler.at(packet.timetag, () => {
+      for (const el of packet.elements) dispatch(el, rinfo);
+    });
+    // Logged once per flood, not once per packet
+    if (!queued && !dropping) console.warn(`[OSC] ${maxPending} bundles already waiting for their timetag; dropping future bundles`);
+    dropping = !queued;
+  }
+
+  return {
+    on(pattern, fn) {
+      handlers.push({ pattern, fn });
+    },
+    // Called for messages no handler matched
+    otherwise(fn) {
+      fallback = fn;
+    },
+    dispatch,
+    get pending() {
+      return scheduler.pending;
+    },
+    // Forget bundles still waiting (on shutdown)
+    stop() {
+      scheduler.stop();
+    }
+  };
+}
+
+// Flatten a decoded packet into its messages (ignoring timetags)
+function messagesOf(packet) {
+  if (!packet.bundle) return [packet];
+  return packet.elements.flatMap(messagesOf);
+}
+
+module.exports = {
+  IMMEDIATE,
+  MAX_SCHEDULE_AHEAD_MS,
+  timetagFromDate,
+  timetagToDate,
+  isImmediate,
+  toTimetag,
+  encodeMessage,
+  encodeBundle,
+  encodePacket,
+  decodePacket,
+  isPattern,
+  matchAddress,
+  scheduleAt,
+  createScheduler,
+  createDispatcher,
+  messagesOf
+};
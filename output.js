@@ -0,0 +1,243 @@
+const cameraMath = require('./camera-math');
+
+// Output stage between the commanded camera state and VRChat.
+//
+// Moves only set a target. A fixed-rate loop eases the sent pose toward it
+// and sends Pose/Zoom packets, so a burst of key-repeat moves becomes one
+// smooth stream at `rate` instead of a packet (and a visible pop) per request.
+// Packets that wouldn't change anything are skipped, and the loop sleeps
+// once the output has settled on the target.
+//
+// Filters:
+//   none    - send the latest target as is (still rate-limited)
+//   spring  - critically damped spring; smoothTime is roughly the lag in s
+//   oneEuro - one-euro filter: heavy smoothing when slow, little lag when
+//             fast (minCutoff Hz at rest, beta raises it with speed)
+
+const FILTERS = ['none', 'spring', 'oneEuro'];
+const POSITION = ['x', 'y', 'z'];
+const ANGLES = ['pitch', 'yaw', 'roll'];
+const CHANNELS = [...POSITION, ...ANGLES, 'zoom'];
+
+// Below these the output counts as arrived (m, deg, zoom units)
+const EPSILON = { x: 1e-4, y: 1e-4, z: 1e-4, pitch: 1e-3, yaw: 1e-3, roll: 1e-3, zoom: 1e-3 };
+
+const DEFAULTS = {
+  rate: 30,          // packets per second while moving
+  filter: 'spring',
+  smoothTime: 0.08,  // spring, s
+  minCutoff: 1.5,    // oneEuro, Hz
+  beta: 0.5,         // oneEuro, cutoff gain per unit/s
+  dCutoff: 1         // oneEuro, Hz for the speed estimate
+};
+
+const RANGES = {
+  rate: [1, 120],
+  smoothTime: [0.01, 2],
+  minCutoff: [0.01, 30],
+  beta: [0, 10],
+  dCutoff: [0.01, 30]
+};
+
+// Unity's SmoothDamp: stable for any dt
+function springStep(current, target, velocity, smoothTime, dt) {
+  const omega = 2 / smoothTime;
+  const x = omega * dt;
+  const decay = 1 / (1 + x + 0.48 * x * x + 0.235 * x * x * x);
+  const change = current - target;
+  const temp = (velocity + omega * change) * dt;
+  return {
+    value: target + (change + temp) * decay,
+    velocity: (velocity - omega * temp) * decay
+  };
+}
+
+function lowPassAlpha(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+// channel holds { value, velocity } for the spring, { value, speed } for oneEuro
+function filterStep(settings, channel, target, dt) {
+  if (settings.filter === 'spring') {
+    const next = springStep(channel.value, target, channel.velocity, settings.smoothTime, dt);
+    channel.value = next.value;
+    channel.velocity = next.velocity;
+  } else if (settings.filter === 'oneEuro') {
+    const rawSpeed = (target - channel.value) / dt;
+    channel.speed += lowPassAlpha(settings.dCutoff, dt) * (rawSpeed - channel.speed);
+    const cutoff = settings.minCutoff + settings.beta * Math.abs(channel.speed);
+    channel.value += lowPassAlpha(cutoff, dt) * (target - channel.value);
+  } else {
+    channel.value = target;
+  }
+}
+
+// send(pose, { pose, zoom }) sends the pose and/or zoom packet (flags say
+// which changed)
+function createOutputStage({ send, settings: initial }) {
+  let settings = { ...DEFAULTS };
+  let target = null;      // commanded pose
+  let channels = null;    // filter state per channel, angles unwrapped
+  let lastSent = null;
+  let snapNext = false;
+  let timer = null;
+  let lastTick = 0;
+  let packets = 0;
+
+  if (initial) {
+    const result = validate(initial);
+    if (result.error) console.error(`[Output] Ignoring configured settings: ${result.error}`);
+    else settings = result.settings;
+  }
+
+  // Returns { settings } or { error } against the current settings
+  function validate(input) {
+    if (!input || typeof input !== 'object') return { error: 'output must be an object' };
+    const next = { ...settings };
+    if (input.filter !== undefined) {
+      if (!FILTERS.includes(input.filter)) return { error: `output.filter must be one of ${FILTERS.join(', ')}` };
+      next.filter = input.filter;
+    }
+    for (const [key, [min, max]] of Object.entries(RANGES)) {
+      if (input[key] === undefined) continue;
+      const n = Number(input[key]);
+      if (!isFinite(n) || n < min || n > max) return { error: `output.${key} must be between ${min} and ${max}` };
+      next[key] = n;
+    }
+    return { settings: next };
+  }
+
+  function resetChannels(pose) {
+    channels = {};
+    for (const key of CHANNELS) channels[key] = { value: pose[key], velocity: 0, speed: 0 };
+  }
+
+  function outputPose() {
+    const pose = {};
+    for (const key of CHANNELS) pose[key] = channels[key].value;
+    for (const key of ANGLES) pose[key] = cameraMath.wrapAngle(pose[key]);
+    return pose;
+  }
+
+  function changed(a, b, keys) {
+    return !b || keys.some(key => Math.abs(a[key] - b[key]) > EPSILON[key]);
+  }
+
+  // One filter step and send. Returns true once the output has arrived.
+  function tick() {
+    const now = Date.now();
+    const dt = cameraMath.clamp((now - lastTick) / 1000, 1 / 1000, 0.25);
+    lastTick = now;
+
+    let settled = true;
+    for (const key of CHANNELS) {
+      const channel = channels[key];
+      let goal = target[key];
+      // Take the short way round, e.g. yaw 179 -> -179
+      if (ANGLES.includes(key)) goal = channel.value + cameraMath.wrapAngle(goal - channel.value);
+      if (snapNext) {
+        channel.value = goal;
+      } else {
+        filterStep(settings, channel, goal, dt);
+      }
+      if (Math.abs(goal - channel.value) <= EPSILON[key]) {
+        channel.value = goal;
+        channel.velocity = 0;
+        channel.speed = 0;
+      } else {
+        settled = false;
+      }
+    }
+    snapNext = false;
+
+    const pose = outputPose();
+    const poseChanged = changed(pose, lastSent, [...POSITION, ...ANGLES]);
+    const zoomChanged = changed(pose, lastSent, ['zoom']);
+    if (poseChanged || zoomChanged) {
+      send(pose, { pose: poseChanged, zoom: zoomChanged });
+      packets += poseChanged + zoomChanged;
+      lastSent = pose;
+    }
+    return settled;
+  }
+
+  function runTimer() {
+    if (timer) clearInterval(timer);
+    timer = setInterval(() => {
+      if (tick()) stopTimer();
+    }, 1000 / settings.rate);
+  }
+
+  function startTimer() {
+    if (timer) return;
+    // The first packet of a move goes out now rather than a tick later,
+    // unless that would beat the rate
+    const interval = 1000 / settings.rate;
+    if (Date.now() - lastTick >= interval) {
+      lastTick = Date.now() - interval;
+      if (tick()) return;
+    }
+    runTimer();
+  }
+
+  function stopTimer() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    // A new commanded pose; the loop takes it from here
+    setTarget(pose) {
+      target = {};
+      for (const key of CHANNELS) target[key] = pose[key];
+      if (!channels) {
+        resetChannels(target);
+        snapNext = true;
+      }
+      startTimer();
+    },
+
+    // The next target is a cut: jump to it instead of easing
+    snap() {
+      snapNext = true;
+    },
+
+    // VRChat moved the camera itself; carry on from there without easing
+    // back or resending
+    observe(pose) {
+      resetChannels(pose);
+      lastSent = outputPose();
+      target = { ...lastSent };
+      stopTimer();
+    },
+
+    // Still easing toward the target (poses coming back from VRChat now are
+    // most likely our own output)
+    isActive() {
+      return !!timer;
+    },
+
+    stop: stopTimer,
+
+    // Returns { settings } or { error } (nothing changes then)
+    configure(input) {
+      const result = validate(input);
+      if (result.error) return result;
+      settings = result.settings;
+      if (timer) runTimer();
+      return result;
+    },
+
+    get settings() {
+      return { ...settings };
+    },
+
+    // Packets sent since startup
+    stats() {
+      return { packets };
+    }
+  };
+}
+
+module.exports = { FILTERS, createOutputStage };
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Named camera shots, persisted as JSON next to config.json.
+// Each preset: { id, name, notes, thumbnail, pose: { x, y, z, pitch, yaw, roll, zoom }, createdAt, updatedAt }
+
+const POSE_KEYS = ['x', 'y', 'z', 'pitch', 'yaw', 'roll', 'zoom'];
+const MAX_NAME_LENGTH = 64;
+const MAX_NOTES_LENGTH = 1000;
+const MAX_THUMBNAIL_LENGTH = 256 * 1024; // data: URL, keeps presets.json small
+const ZOOM_MIN = 20;  // VRChat's user camera zoom range
+const ZOOM_MAX = 150;
+
+// Copy the pose fields, with zoom clamped to the camera's range. Check poses
+// from a request with validatePose first.
+function pickPose(src) {
+  const pose = {};
+  for (const key of POSE_KEYS) pose[key] = Number(src[key]) || 0;
+  pose.zoom = Math.max(ZOOM_MIN, Math.min(ZOOM_MAX, pose.zoom));
+  return pose;
+}
+
+// Returns an error string, or null if all seven fields are finite numbers
+function validatePose(pose) {
+  if (!pose || typeof pose !== 'object') return 'pose must be an object';
+  const bad = POSE_KEYS.filter(key => typeof pose[key] !== 'number' || !Number.isFinite(pose[key]));
+  if (bad.length) return `pose needs finite numbers for ${bad.join(', ')}`;
+  return null;
+}
+
+// Returns an error string, or null if the fields are fine
+function validateFields(fields) {
+  if (fields.name !== undefined) {
+    if (typeof fields.name !== 'string' || !fields.name.trim()) return 'name required';
+    if (fields.name.length > MAX_NAME_LENGTH) return `name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (fields.notes !== undefined && fields.notes !== null) {
+    if (typeof fields.notes !== 'string' || fields.notes.length > MAX_NOTES_LENGTH) return 'notes too long';
+  }
+  if (fields.thumbnail !== undefined && fields.thumbnail !== null) {
+    if (typeof fields.thumbnail !== 'string' || !/^data:image\/(jpeg|png|webp);base64,/.test(fields.thumbnail)) {
+      return 'thumbnail must be a data:image URL';
+    }
+    if (fields.thumbnail.length > MAX_THUMBNAIL_LENGTH) return 'thumbnail too large';
+  }
+  return null;
+}
+
+function createPresetStore(file) {
+  let presets = [];
+
+  try {
+    if (fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      presets = Array.isArray(data.presets) ? data.presets : [];
+      console.log(`Loaded ${presets.length} preset(s) from ${file}`);
+    }
+  } catch (err) {
+    console.error('Error loading presets:', err.message);
+  }
+
+  function save() {
+    // Write to a temp file first so a crash mid-write can't eat the presets
+    const tmp = file + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify({ presets }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    list() {
+      return presets;
+    },
+
+    get(id) {
+      return presets.find(p => p.id === id) || null;
+    },
+
+    // Returns { preset } or { error }
+    create(fields, pose) {
+      const error = validateFields({ ...fields, name: fields.name === undefined ? '' : fields.name }) || validatePose(pose);
+      if (error) return { error };
+      const now = new Date().toISOString();
+      const preset = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name: fields.name.trim(),
+        notes: fields.notes || '',
+        thumbnail: fields.thumbnail || null,
+        pose: pickPose(pose),
+        createdAt: now,
+        updatedAt: now
+      };
+      presets.push(preset);
+      save();
+      return { preset };
+    },
+
+    // pose is optional: pass it to re-capture the shot
+    update(id, fields, pose) {
+      const preset = this.get(id);
+      if (!preset) return { error: 'Preset not found', notFound: true };
+      const error = validateFields(fields) || (pose ? validatePose(pose) : null);
+      if (error) return { error };
+      if (fields.name !== undefined) preset.name = fields.name.trim();
+      if (fields.notes !== undefined) preset.notes = fields.notes || '';
+      if (fields.thumbnail !== undefined) preset.thumbnail = fields.thumbnail || null;
+      if (pose) preset.pose = pickPose(pose);
+      preset.updatedAt = new Date().toISOString();
+      save();
+      return { preset };
+    },
+
+    remove(id) {
+      const before = presets.length;
+      presets = presets.filter(p => p.id !== id);
+      if (presets.length === before) return false;
+      save();
+      return true;
+    }
+  };
+}
+
+module.exports = { createPresetStore, pickPose, validatePose };
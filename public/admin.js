@@ -0,0 +1,183 @@
+(() => {
+  const $ = (id) => document.getElementById(id);
+  let roles = ['viewer', 'operator', 'admin'];
+  let csrfToken = '';
+
+  function showError(msg) {
+    $('usersError').textContent = msg || '';
+  }
+
+  function request(method, path, body) {
+    return fetch(path, {
+      method,
+      headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+      body: body ? JSON.stringify(body) : undefined
+    }).then(r => r.json().then(data => {
+      if (r.status === 401) throw new Error('Please log in as an admin first');
+      if (!r.ok || data.error) throw new Error(data.message || data.error || `HTTP ${r.status}`);
+      return data;
+    }));
+  }
+
+  function roleSelect(value) {
+    const select = document.createElement('select');
+    for (const role of roles) {
+      const opt = document.createElement('option');
+      opt.value = role;
+      opt.textContent = role;
+      opt.selected = role === value;
+      select.appendChild(opt);
+    }
+    return select;
+  }
+
+  function button(label, onClick) {
+    const btn = document.createElement('button');
+    btn.textContent = label;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  function render(users) {
+    const tbody = $('usersTable').tBodies[0];
+    tbody.innerHTML = '';
+    for (const user of users) {
+      const row = tbody.insertRow();
+      row.insertCell().textContent = user.username;
+
+      const select = roleSelect(user.role);
+      select.addEventListener('change', () => {
+        request('POST', `/api/users/${encodeURIComponent(user.username)}`, { role: select.value })
+          .then(load)
+          .catch(err => { showError(err.message); load(); });
+      });
+      row.insertCell().appendChild(select);
+
+      row.insertCell().textContent = new Date(user.createdAt).toLocaleString();
+
+      const actions = row.insertCell();
+      actions.appendChild(button('Reset password', () => {
+        const password = prompt(`New password for ${user.username} (8+ characters):`);
+        if (!password) return;
+        request('POST', `/api/users/${encodeURIComponent(user.username)}`, { password })
+          .then(() => showError(''))
+          .catch(err => showError(err.message));
+      }));
+      actions.appendChild(button('Remove', () => {
+        if (!confirm(`Remove ${user.username}? They will be logged out.`)) return;
+        request('POST', `/api/users/${encodeURIComponent(user.username)}/delete`)
+          .then(load)
+          .catch(err => showError(err.message));
+      }));
+    }
+  }
+
+  function load() {
+    return request('GET', '/api/users').then(data => {
+      roles = data.roles;
+      const current = $('newRole').value || 'operator';
+      $('newRole').replaceWith(Object.assign(roleSelect(current), { id: 'newRole' }));
+      render(data.users);
+      showError('');
+    }).catch(err => showError(err.message));
+  }
+
+  // -- API keys --
+
+  function showKeyError(msg) {
+    $('keysError').textContent = msg || '';
+  }
+
+  function renderScopes(scopes) {
+    const container = $('newKeyScopes');
+    if (container.childNodes.length) return;
+    for (const [scope, description] of Object.entries(scopes)) {
+      const label = document.createElement('label');
+      label.title = description;
+      label.style.marginRight = '8px';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = scope;
+      box.checked = scope === 'read' || scope === 'move';
+      label.append(box, ` ${scope}`);
+      container.appendChild(label);
+    }
+  }
+
+  function renderKeys(keys) {
+    const tbody = $('keysTable').tBodies[0];
+    tbody.innerHTML = '';
+    for (const key of keys) {
+      const row = tbody.insertRow();
+      if (key.revokedAt) row.style.opacity = '0.5';
+      row.insertCell().textContent = key.name;
+      row.insertCell().textContent = key.scopes.join(', ');
+      row.insertCell().textContent = `${new Date(key.createdAt).toLocaleString()} by ${key.createdBy}`;
+      row.insertCell().textContent = key.lastUsedAt ? new Date(key.lastUsedAt).toLocaleString() : 'never';
+      const actions = row.insertCell();
+      if (key.revokedAt) {
+        actions.textContent = `revoked ${new Date(key.revokedAt).toLocaleString()}`;
+        continue;
+      }
+      actions.appendChild(button('Revoke', () => {
+        if (!confirm(`Revoke ${key.name}? Clients using it stop working immediately.`)) return;
+        request('POST', `/api/keys/${encodeURIComponent(key.id)}/revoke`)
+          .then(loadKeys)
+          .catch(err => showKeyError(err.message));
+      }));
+    }
+  }
+
+  function loadKeys() {
+    return request('GET', '/api/keys').then(data => {
+      renderScopes(data.scopes);
+      renderKeys(data.keys);
+      showKeyError('');
+    }).catch(err => showKeyError(err.message));
+  }
+
+  function showSecret(secret, scopes) {
+    const base = `${location.origin}/api/trigger`;
+    const examples = [];
+    if (scopes.includes('presets')) examples.push(`${base}/preset/1?key=${secret}&duration=2`);
+    if (scopes.includes('move')) {
+      examples.push(`${base}/move?key=${secret}&dyaw=15`);
+      examples.push(`${base}/timeline/play?key=${secret}`);
+      examples.push(`${base}/stop?key=${secret}`);
+    }
+    if (scopes.includes('read')) examples.push(`curl -H "Authorization: Bearer ${secret}" ${location.origin}/api/state`);
+    $('newKeyValue').value = secret;
+    $('newKeyExamples').textContent = examples.join('\n');
+    $('newKeySecret').style.display = '';
+    $('newKeyValue').select();
+  }
+
+  $('addKeyForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const scopes = [...$('newKeyScopes').querySelectorAll('input:checked')].map(box => box.value);
+    request('POST', '/api/keys', { name: $('newKeyName').value.trim(), scopes }).then(data => {
+      $('newKeyName').value = '';
+      showSecret(data.secret, data.key.scopes);
+      return loadKeys();
+    }).catch(err => showKeyError(err.message));
+  });
+
+  $('addUserForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    request('POST', '/api/users', {
+      username: $('newUsername').value.trim(),
+      password: $('newPassword').value,
+      role: $('newRole').value
+    }).then(() => {
+      $('newUsername').value = '';
+      $('newPassword').value = '';
+      return load();
+    }).catch(err => showError(err.message));
+  });
+
+  fetch('/api/auth').then(r => r.json()).then(data => {
+    csrfToken = data.csrfToken || '';
+    load();
+    loadKeys();
+  });
+})();
@@ -1,12 +1,33 @@
 (() => {
   const $ = (id) => document.getElementById(id);
   let authenticated = false;
+  let user = null; // { username, role } while logged in
+  let csrfToken = null; // echoed in X-CSRF-Token on every POST
   let allowPublicViewing = true;
+  const ROLES = ['viewer', 'operator', 'admin'];
+
+  function hasRole(role) {
+    return authenticated && !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  }
+
+  // Viewers are logged in but can't move the camera
+  function canControl() {
+    return hasRole('operator');
+  }
+
+  // Control token status from the server (see control.js). Moving picks up
+  // free control, but is pointless while another session holds it.
+  let control = null;
+  function hasControl() {
+    return canControl() && (!control || !control.holder || control.mine);
+  }
   
   // Check authentication status on load
   function checkAuth() {
     return fetch('/api/auth').then(r => r.json()).then(data => {
       authenticated = data.authenticated;
+      user = data.user || null;
+      csrfToken = data.csrfToken || null;
       allowPublicViewing = data.allowPublicViewing;
       updateUI();
       return authenticated;
@@ -20,27 +41,32 @@
     const logoutBtn = $('logoutBtn');
     const authStatus = $('authStatus');
     const loginHint = $('loginHint');
+    const adminLink = $('adminLink');
+    if (adminLink) adminLink.style.display = hasRole('admin') ? 'inline' : 'none';
     
     if (authenticated) {
+      const control = canControl();
       if (loginDiv) loginDiv.style.display = 'none';
       if (controlsDiv) controlsDiv.style.display = 'block';
       if (logoutBtn) logoutBtn.style.display = 'inline-block';
-      if (authStatus) authStatus.textContent = '✓ Authenticated';
-      if (loginHint) loginHint.style.display = 'none';
-      // Enable all controls
-      const buttons = document.querySelectorAll('#controlsDiv button:not(#logoutBtn), #controlsDiv input[type="range"]');
+      if ($('logoutAllBtn')) $('logoutAllBtn').style.display = 'inline-block';
+      if (authStatus) authStatus.textContent = user ? `✓ ${user.username} (${user.role})` : '✓ Authenticated';
+      if (loginHint) loginHint.style.display = control ? 'none' : 'inline';
+      // Enable all controls (viewers keep them disabled)
+      const buttons = document.querySelectorAll('#controlsDiv button:not(#logoutBtn):not(#logoutAllBtn), #controlsDiv input[type="range"]');
       buttons.forEach(btn => {
-        btn.disabled = false;
-        btn.style.opacity = '1';
+        btn.disabled = !control;
+        btn.style.opacity = control ? '1' : '0.5';
       });
     } else {
       if (loginDiv) loginDiv.style.display = 'block';
       if (controlsDiv) controlsDiv.style.display = allowPublicViewing ? 'block' : 'none';
       if (logoutBtn) logoutBtn.style.display = 'none';
+      if ($('logoutAllBtn')) $('logoutAllBtn').style.display = 'none';
       if (authStatus) authStatus.textContent = allowPublicViewing ? 'Viewing only (not authenticated)' : 'Not authenticated';
       if (loginHint) loginHint.style.display = 'inline';
       // Disable control buttons (but keep video visible if public viewing is allowed)
-      const controlButtons = document.querySelectorAll('#controlsDiv button:not(#logoutBtn), #controlsDiv input[type="range"]');
+      const controlButtons = document.querySelectorAll('#controlsDiv button:not(#logoutBtn):not(#logoutAllBtn), #controlsDiv input[type="range"]');
       controlButtons.forEach(btn => {
         btn.disabled = true;
         btn.style.opacity = '0.5';
@@ -49,32 +75,38 @@
   }
   
   // Login function
-  function login(password) {
+  function login(username, password) {
     return fetch('/api/login', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ password })
+      body: JSON.stringify({ username, password })
     }).then(r => {
       if (r.ok) {
-        return checkAuth();
+        return checkAuth().then((ok) => { reconnectSocket(); return ok; });
       } else {
         return r.json().then(data => {
-          throw new Error(data.error || 'Login failed');
+          throw new Error(data.message || data.error || 'Login failed');
         });
       }
     });
   }
   
   // Logout function
-  function logout() {
-    return fetch('/api/logout', { method: 'POST' }).then(() => {
+  // everywhere ends this user's sessions on every device
+  function logout(everywhere) {
+    const path = everywhere ? '/api/logout/all' : '/api/logout';
+    return fetch(path, { method: 'POST', headers: { 'X-CSRF-Token': csrfToken || '' } }).then(() => {
       authenticated = false;
+      user = null;
+      csrfToken = null;
       updateUI();
+      reconnectSocket();
     });
   }
   
   // Setup login form
   const loginForm = $('loginForm');
+  const usernameInput = $('usernameInput');
   const passwordInput = $('passwordInput');
   const loginError = $('loginError');
   const logoutBtn = $('logoutBtn');
@@ -83,11 +115,11 @@
     loginForm.addEventListener('submit', (e) => {
       e.preventDefault();
       const password = passwordInput.value;
-      login(password).then(() => {
+      login(usernameInput ? usernameInput.value.trim() : '', password).then(() => {
         if (loginError) loginError.textContent = '';
         if (passwordInput) passwordInput.value = '';
       }).catch(err => {
-        if (loginError) loginError.textContent = err.message || 'Invalid password';
+        if (loginError) loginError.textContent = err.message || 'Invalid username or password';
       });
     });
   }
@@ -97,13 +129,31 @@
       logout();
     });
   }
+  const logoutAllBtn = $('logoutAllBtn');
+  if (logoutAllBtn) {
+    logoutAllBtn.addEventListener('click', () => {
+      if (confirm('Log out on every device?')) logout(true);
+    });
+  }
   
+  // Speed in m/s while a move button/key is held
   const speedEl = $('speed');
-  let speed = speedEl ? parseFloat(speedEl.value) : 0.1;
+  let speed = speedEl ? parseFloat(speedEl.value) : 1;
   if (speedEl) speedEl.addEventListener('input', () => speed = parseFloat(speedEl.value));
 
+  function setSpeed(value) {
+    const min = speedEl ? parseFloat(speedEl.min) : 0.1;
+    const max = speedEl ? parseFloat(speedEl.max) : 10;
+    speed = Math.max(min, Math.min(max, value));
+    if (speedEl) speedEl.value = speed;
+    updateHeld();
+  }
+
+  // obj is sent as JSON; a string goes as-is (file uploads)
   function post(path, obj) {
-    return fetch(path, {method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(obj)}).then(r => {
+    const text = typeof obj === 'string';
+    const headers = {'Content-Type': text ? 'text/plain' : 'application/json', 'X-CSRF-Token': csrfToken || ''};
+    return fetch(path, {method:'POST', headers, body: text ? obj : JSON.stringify(obj)}).then(r => {
       if (r.status === 401) {
         authenticated = false;
         updateUI();
@@ -113,12 +163,123 @@
     });
   }
 
+  // -- WebSocket control/state channel --
+  // Moves go upstream over the socket and every state change (ours, another
+  // operator's, or VRChat's own) comes back down as a 'state' message.
+  let socket = null;
+  let reconnectDelay = 1000;
+  let reconnectTimer = null;
+  let nextMsgId = 1;
+  const pending = new Map();
+  const messageListeners = [];
+  let lastState = null;
+
+  function setConnStatus(text) {
+    const el = $('connStatus');
+    if (el) el.textContent = text;
+  }
+
+  function connectSocket() {
+    clearTimeout(reconnectTimer);
+    const proto = location.protocol === 'https:' ? 'wss' : 'ws';
+    const ws = new WebSocket(`${proto}://${location.host}/ws`);
+    socket = ws;
+    setConnStatus('Connecting...');
+
+    ws.addEventListener('open', () => {
+      reconnectDelay = 1000;
+      setConnStatus('● Live');
+    });
+
+    ws.addEventListener('message', (ev) => {
+      let msg;
+      try { msg = JSON.parse(ev.data); } catch (e) { return; }
+      handleSocketMessage(msg);
+    });
+
+    ws.addEventListener('close', () => {
+      if (socket !== ws) return; // replaced by reconnectSocket()
+      socket = null;
+      for (const p of pending.values()) p.reject(new Error('Connection lost'));
+      pending.clear();
+      setConnStatus('○ Disconnected - retrying...');
+      reconnectTimer = setTimeout(connectSocket, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, 15000);
+    });
+  }
+
+  // Auth lives in the session cookie, so a new socket picks up login/logout
+  function reconnectSocket() {
+    const old = socket;
+    socket = null;
+    if (old) old.close();
+    connectSocket();
+  }
+
+  function updateState(resp) {
+    const d = resp.state;
+    if (!d) return;
+    lastState = d;
+    $('state').innerText = `x:${d.x.toFixed(2)} y:${d.y.toFixed(2)} z:${d.z.toFixed(2)} yaw:${d.yaw.toFixed(1)} pitch:${d.pitch.toFixed(1)} roll:${d.roll.toFixed(1)} zoom:${d.zoom.toFixed(1)}`;
+  }
+
+  function handleSocketMessage(msg) {
+    if (msg.id && pending.has(msg.id)) {
+      const p = pending.get(msg.id);
+      pending.delete(msg.id);
+      if (msg.type === 'error') p.reject(new Error(msg.error === 'Unauthorized' ? 'Unauthorized - please log in' : msg.message || msg.error));
+      else p.resolve(msg);
+    }
+
+    if (msg.type === 'hello') {
+      authenticated = msg.authenticated;
+      user = msg.user || null;
+      control = msg.control || null;
+      updateUI();
+      updateState(msg);
+    } else if (msg.type === 'state' || msg.type === 'ack') {
+      if (msg.state) updateState(msg);
+    } else if (msg.type === 'auth') {
+      authenticated = msg.authenticated;
+      user = msg.user || null;
+      if (!canControl()) releaseAll();
+      updateUI();
+    } else if (msg.type === 'control') {
+      control = msg.control;
+      if (!hasControl()) releaseAll();
+    } else if (msg.type === 'error' && msg.error === 'Unauthorized') {
+      authenticated = false;
+      updateUI();
+    }
+
+    messageListeners.forEach(fn => fn(msg));
+  }
+
+  function sendCommand(type, payload) {
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error('Not connected'));
+    }
+    const id = nextMsgId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      socket.send(JSON.stringify({ ...payload, type, id }));
+    });
+  }
+
   function move(d) {
-    if (!authenticated) {
-      console.log('Not authenticated - controls disabled');
+    if (!canControl()) {
+      console.log('Not allowed to control - controls disabled');
+      return Promise.resolve();
+    }
+    if (!hasControl()) {
+      console.log(`${control.holder.username} has control`);
       return Promise.resolve();
     }
-    return post('/api/move', d).then(updateState).catch(err => {
+    // Fall back to plain HTTP while the socket is (re)connecting
+    const sent = socket && socket.readyState === WebSocket.OPEN
+      ? sendCommand('move', d)
+      : post('/api/move', d).then(updateState);
+    return sent.catch(err => {
       console.error('Move error:', err);
       if (err.message.includes('Unauthorized')) {
         if (loginError) loginError.textContent = 'Session expired - please log in again';
@@ -126,22 +287,112 @@
     });
   }
 
-  $('up').addEventListener('click', () => move({dy: speed}));
-  $('down').addEventListener('click', () => move({dy: -speed}));
-  $('forward').addEventListener('click', () => move({dz: -speed}));
-  $('back').addEventListener('click', () => move({dz: speed}));
-  $('left').addEventListener('click', () => move({dx: -speed}));
-  $('right').addEventListener('click', () => move({dx: speed}));
-  $('yawLeft').addEventListener('click', () => move({dyaw: -5}));
-  $('yawRight').addEventListener('click', () => move({dyaw: 5}));
-  $('pitchUp').addEventListener('click', () => move({dpitch: -5}));
-  $('pitchDown').addEventListener('click', () => move({dpitch: 5}));
+  // Movement frame: 'drone' flies relative to where the camera faces (level),
+  // 'local' follows pitch too, 'world' moves along fixed world axes
+  const frameEl = $('moveFrame');
+  const localRotEl = $('localRotation');
+  let moveFrame = frameEl ? frameEl.value : 'drone';
+  if (frameEl) frameEl.addEventListener('change', () => { moveFrame = frameEl.value; sendVelocity(); });
 
-  function updateState(resp) {
-    const d = resp.state;
-    $('state').innerText = `x:${d.x.toFixed(2)} y:${d.y.toFixed(2)} z:${d.z.toFixed(2)} yaw:${d.yaw.toFixed(1)} pitch:${d.pitch.toFixed(1)} fov:${d.fov.toFixed(1)}`;
+  const turnEl = $('turnRate');
+  let turnRate = turnEl ? parseFloat(turnEl.value) : 45;
+  if (turnEl) turnEl.addEventListener('input', () => turnRate = parseFloat(turnEl.value));
+
+  // -- Hold-to-move --
+  // Each input source (keys/buttons here, gamepad/touch elsewhere) reports a
+  // velocity; the sum is streamed to the server's motion loop while non-zero
+  // and refreshed often enough to keep its dead-man timer from firing.
+  const VELOCITY_KEYS = ['vx', 'vy', 'vz', 'vpitch', 'vyaw', 'vroll', 'vzoom'];
+  const VELOCITY_REFRESH = 150; // ms, must stay well under the server's deadmanMs
+  const velocitySources = new Map();
+  let velocityTimer = null;
+  let wasMoving = false;
+
+  function combinedVelocity() {
+    const v = { frame: moveFrame, rotationFrame: localRotEl && localRotEl.checked ? 'local' : 'euler' };
+    VELOCITY_KEYS.forEach(k => v[k] = 0);
+    for (const src of velocitySources.values()) {
+      VELOCITY_KEYS.forEach(k => v[k] += src[k] || 0);
+    }
+    // Screen-forward is +z for camera frames; world mode keeps the old
+    // convention where Forward is world -Z
+    if (moveFrame === 'world') v.vz = -v.vz;
+    return v;
   }
 
+  function sendVelocity() {
+    if (!hasControl()) return;
+    const v = combinedVelocity();
+    const moving = VELOCITY_KEYS.some(k => v[k] !== 0);
+    if (!moving && !wasMoving) return;
+    wasMoving = moving;
+    const type = moving ? 'velocity' : 'stop';
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ ...v, type }));
+    } else {
+      post(moving ? '/api/velocity' : '/api/velocity/stop', v).catch(err => console.error('Velocity error:', err));
+    }
+  }
+
+  // Set (or clear, with null) one source's velocity
+  function setVelocitySource(name, velocity) {
+    if (velocity && VELOCITY_KEYS.some(k => velocity[k])) velocitySources.set(name, velocity);
+    else velocitySources.delete(name);
+
+    sendVelocity();
+    if (velocitySources.size && !velocityTimer) {
+      velocityTimer = setInterval(sendVelocity, VELOCITY_REFRESH);
+    } else if (!velocitySources.size && velocityTimer) {
+      clearInterval(velocityTimer);
+      velocityTimer = null;
+    }
+  }
+
+  // Keys and on-screen buttons share one source built from what's held
+  const AXES = {
+    forward: ['vz', 1], back: ['vz', -1],
+    left: ['vx', -1], right: ['vx', 1],
+    up: ['vy', 1], down: ['vy', -1],
+    yawLeft: ['vyaw', -1], yawRight: ['vyaw', 1],
+    pitchUp: ['vpitch', -1], pitchDown: ['vpitch', 1]
+  };
+  const held = new Set();
+
+  function updateHeld() {
+    const v = {};
+    for (const name of held) {
+      const [axis, sign] = AXES[name];
+      const rate = axis === 'vyaw' || axis === 'vpitch' ? turnRate : speed;
+      v[axis] = (v[axis] || 0) + sign * rate;
+    }
+    setVelocitySource('keys', v);
+  }
+
+  function press(name) {
+    if (!hasControl() || held.has(name)) return;
+    held.add(name);
+    updateHeld();
+  }
+
+  function release(name) {
+    if (!held.delete(name)) return;
+    updateHeld();
+  }
+
+  function releaseAll() {
+    held.clear();
+    updateHeld();
+  }
+
+  Object.keys(AXES).forEach(name => {
+    const btn = $(name);
+    if (!btn) return;
+    btn.addEventListener('pointerdown', (ev) => { btn.setPointerCapture(ev.pointerId); press(name); });
+    btn.addEventListener('pointerup', () => release(name));
+    btn.addEventListener('pointercancel', () => release(name));
+    btn.addEventListener('lostpointercapture', () => release(name));
+  });
+
   // keyboard controls
   const KEY = {
     ArrowUp: 'forward',
@@ -149,6 +400,8 @@
     ArrowLeft: 'left',
     ArrowRight: 'right',
     w: 'forward', s: 'back', a: 'left', d: 'right',
+    q: 'yawLeft', e: 'yawRight',
+    r: 'up', f: 'down'
   };
 
   window.addEventListener('keydown', (ev) => {
@@ -165,23 +418,49 @@
       return;
     }
     
-    // Only handle keys if authenticated
-    if (!authenticated) {
+    // Only handle keys if allowed to control
+    if (!canControl()) {
       return;
     }
     
-    if (ev.key === 'q') { move({dyaw: -5}); ev.preventDefault(); }
-    else if (ev.key === 'e') { move({dyaw: 5}); ev.preventDefault(); }
-    else if (ev.key === 'r') { move({dy: speed}); ev.preventDefault(); }
-    else if (ev.key === 'f') { move({dy: -speed}); ev.preventDefault(); }
-    else if (KEY[ev.key]) { const k = KEY[ev.key]; if (k==='forward') move({dz:-speed}); if (k==='back') move({dz:speed}); if (k==='left') move({dx:-speed}); if (k==='right') move({dx:speed}); ev.preventDefault(); }
+    const k = KEY[ev.key.length === 1 ? ev.key.toLowerCase() : ev.key];
+    if (k) {
+      // OS key-repeat is ignored; the key counts as held until keyup
+      if (!ev.repeat) press(k);
+      ev.preventDefault();
+    }
   });
 
-  // Initialize: check auth and poll initial state
+  window.addEventListener('keyup', (ev) => {
+    const k = KEY[ev.key.length === 1 ? ev.key.toLowerCase() : ev.key];
+    if (k) release(k);
+  });
+
+  // Losing focus means we'll never see the keyup
+  window.addEventListener('blur', releaseAll);
+
+  // Initialize: check auth, then open the live state channel
   checkAuth().then(() => {
-    fetch('/api/state').then(r=>r.json()).then(d=>{ updateState(d); });
+    connectSocket();
   });
 
+  // Shared with the other panel scripts (timeline.js, ...)
+  window.cameraBridge = {
+    post,
+    move,
+    setVelocitySource,
+    getSpeed: () => ({ speed, turnRate }),
+    setSpeed,
+    onMessage: (fn) => messageListeners.push(fn),
+    isAuthenticated: () => authenticated,
+    canControl,
+    hasControl,
+    getControl: () => control,
+    hasRole,
+    getUser: () => user,
+    getState: () => lastState
+  };
+
   // Spout stream is now handled directly by the <img> src attribute pointing to /api/spout
   // which proxies to the MJPEG stream from spout-bridge.js
 
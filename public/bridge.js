@@ -0,0 +1,110 @@
+(() => {
+  const $ = (id) => document.getElementById(id);
+  const bridge = window.cameraBridge;
+  if (!bridge || !$('bridgeControls')) return;
+
+  // Capture settings of spout-bridge.js, through /api/bridge/capture
+  const FIELDS = { bridgeStreamUrl: 'streamUrl', bridgeSpoutSender: 'spoutSender', bridgeFile: 'file' };
+  let current = null;
+  let refreshTimer = null;
+
+  function showError(msg) {
+    $('bridgeError').textContent = msg || '';
+  }
+
+  function setField(id, value) {
+    if (document.activeElement !== $(id)) $(id).value = value === null ? '' : value;
+  }
+
+  function showFields(source) {
+    for (const el of document.querySelectorAll('#bridgeControls .bridgeField')) {
+      el.style.display = el.dataset.source === source ? '' : 'none';
+    }
+  }
+
+  function render(data) {
+    if (data) current = data;
+    const disabled = !current || !bridge.hasRole('admin');
+    for (const el of $('bridgeControls').querySelectorAll('input, select, button')) el.disabled = disabled;
+    if (!current) return;
+
+    const select = $('bridgeSource');
+    if (select.options.length !== current.sources.length) {
+      select.innerHTML = '';
+      for (const source of current.sources) {
+        const opt = document.createElement('option');
+        opt.value = source.name;
+        opt.textContent = source.native ? source.label : `${source.label} (other OS)`;
+        select.appendChild(opt);
+      }
+    }
+    if (document.activeElement !== select) select.value = current.capture.source;
+
+    const size = $('bridgeSize');
+    if (![...size.options].some(opt => opt.value === current.options.size)) {
+      const opt = document.createElement('option');
+      opt.textContent = current.options.size;
+      size.appendChild(opt);
+    }
+    if (document.activeElement !== size) size.value = current.options.size;
+    setField('bridgeFps', current.options.fps);
+    setField('bridgeQuality', current.options.quality);
+    for (const [id, key] of Object.entries(FIELDS)) setField(id, current.options[key]);
+    showFields(select.value);
+
+    const { state, lastError, retryIn } = current.capture;
+    $('bridgeStatus').textContent = state === 'backoff'
+      ? `retrying in ${Math.round(retryIn / 1000)}s: ${lastError}`
+      : state;
+  }
+
+  function load() {
+    fetch('/api/bridge/capture').then(r => r.json()).then(data => {
+      if (data.error) {
+        current = null;
+        render();
+        $('bridgeStatus').textContent = data.error;
+        return;
+      }
+      render(data);
+    }).catch(() => {});
+  }
+
+  // Capture takes a moment to come up after a change
+  function refreshSoon() {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(load, 3000);
+  }
+
+  $('bridgeSource').addEventListener('change', () => showFields($('bridgeSource').value));
+
+  $('bridgeApply').addEventListener('click', () => {
+    const body = {
+      source: $('bridgeSource').value,
+      size: $('bridgeSize').value,
+      fps: Number($('bridgeFps').value),
+      quality: Number($('bridgeQuality').value)
+    };
+    // Only the visible source-specific field
+    for (const [id, key] of Object.entries(FIELDS)) {
+      if ($(id).parentElement.style.display !== 'none') body[key] = $(id).value.trim();
+    }
+    bridge.post('/api/bridge/capture', body).then(data => {
+      if (data.error) throw new Error(data.message || data.error);
+      showError('');
+      render(data);
+      refreshSoon();
+    }).catch(err => showError(err.message));
+  });
+
+  bridge.onMessage((msg) => {
+    if (msg.type === 'bridgeCapture') {
+      render(msg);
+      refreshSoon();
+    } else if (msg.type === 'hello') {
+      load();
+    } else if (msg.type === 'auth') {
+      render();
+    }
+  });
+})();
@@ -0,0 +1,55 @@
+(() => {
+  const $ = (id) => document.getElementById(id);
+  const bridge = window.cameraBridge;
+  if (!bridge || !$('controlBar')) return;
+
+  // Who drives the camera (control.js on the server). The first operator to
+  // move picks up free control; otherwise request it and wait for a handoff.
+  let control = null;
+
+  function command(action, body) {
+    bridge.post(`/api/control/${action}`, body || {}).then(data => {
+      if (data.error) throw new Error(data.message || data.error);
+      render(data.control);
+    }).catch(err => { $('controlStatus').textContent = err.message; });
+  }
+
+  function render(next) {
+    if (next) control = next;
+    const bar = $('controlBar');
+    bar.style.display = bridge.isAuthenticated() ? '' : 'none';
+    if (!control) return;
+
+    const user = bridge.getUser();
+    const holder = control.holder;
+    const waiting = control.requests.map(r => r.username);
+    const requested = !control.mine && !!user && waiting.includes(user.username);
+    const operator = bridge.canControl();
+
+    let text;
+    if (!holder) text = '🎮 Control: free';
+    else if (control.mine) text = '🎮 You have control';
+    else text = `🎮 ${holder.username} has control`;
+    if (waiting.length) text += ` - waiting: ${waiting.join(', ')}`;
+    $('controlStatus').textContent = text;
+    $('controlStatus').className = control.mine ? 'controlMine' : holder ? 'controlOther' : '';
+
+    $('controlTake').style.display = operator && !holder ? '' : 'none';
+    $('controlRequest').style.display = operator && holder && !control.mine && !requested ? '' : 'none';
+    $('controlRelease').style.display = control.mine || requested ? '' : 'none';
+    $('controlRelease').textContent = control.mine ? (waiting.length ? `Hand to ${waiting[0]}` : 'Release') : 'Cancel request';
+    $('controlTakeover').style.display = bridge.hasRole('admin') && holder && !control.mine ? '' : 'none';
+  }
+
+  $('controlTake').addEventListener('click', () => command('claim'));
+  $('controlRequest').addEventListener('click', () => command('request'));
+  $('controlRelease').addEventListener('click', () => command('release'));
+  $('controlTakeover').addEventListener('click', () => {
+    if (confirm(`Take control from ${control.holder.username}?`)) command('claim', { force: true });
+  });
+
+  bridge.onMessage((msg) => {
+    if (msg.type === 'hello' || msg.type === 'control') render(msg.control);
+    else if (msg.type === 'auth') render();
+  });
+})();
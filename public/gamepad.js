@@ -0,0 +1,212 @@
+(() => {
+  const $ = (id) => document.getElementById(id);
+  const bridge = window.cameraBridge;
+  if (!bridge || !$('gamepadDiv') || !navigator.getGamepads) return;
+
+  // Standard-mapping (Xbox-style) layout:
+  //   left stick  - strafe / forward-back
+  //   right stick - yaw / pitch
+  //   triggers    - down / up (or zoom out / in, see triggerMode)
+  //   bumpers     - zoom out / in (or down / up)
+  //   face buttons and d-pad - mappable actions below
+  const BUTTONS = [
+    { index: 0, name: 'A' }, { index: 1, name: 'B' }, { index: 2, name: 'X' }, { index: 3, name: 'Y' },
+    { index: 8, name: 'View/Back' }, { index: 9, name: 'Menu/Start' },
+    { index: 10, name: 'Left stick' }, { index: 11, name: 'Right stick' },
+    { index: 12, name: 'D-pad up' }, { index: 13, name: 'D-pad down' },
+    { index: 14, name: 'D-pad left' }, { index: 15, name: 'D-pad right' }
+  ];
+  const ACTIONS = {
+    none: 'None',
+    speedUp: 'Speed +',
+    speedDown: 'Speed −',
+    preset1: 'Preset 1', preset2: 'Preset 2', preset3: 'Preset 3',
+    preset4: 'Preset 4', preset5: 'Preset 5', preset6: 'Preset 6',
+    preset7: 'Preset 7', preset8: 'Preset 8', preset9: 'Preset 9'
+  };
+  const ZOOM_RATE = 30;      // zoom units/s at full deflection
+  const SEND_INTERVAL = 50;  // ms between velocity updates while sticks move
+  const STORAGE_KEY = 'gamepadSettings';
+
+  const defaults = {
+    deadzone: 0.15,
+    curve: 2,            // response exponent: 1 = linear, higher = finer control near center
+    invertX: false,
+    invertY: false,
+    triggerMode: 'vertical',
+    buttons: { 0: 'preset1', 1: 'preset2', 2: 'preset3', 3: 'preset4', 12: 'speedUp', 13: 'speedDown' }
+  };
+  let settings = loadSettings();
+  const prevPressed = {};
+  let lastSent = 0;
+  let lastVelocity = null;
+
+  function loadSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return saved ? { ...defaults, ...saved, buttons: { ...defaults.buttons, ...saved.buttons } } : { ...defaults };
+    } catch (e) {
+      return { ...defaults };
+    }
+  }
+
+  function saveSettings() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  }
+
+  // Radial deadzone on a stick, then the response curve on what's left
+  function shapeStick(x, y) {
+    const mag = Math.hypot(x, y);
+    if (mag < settings.deadzone) return [0, 0];
+    const scaled = Math.min(1, (mag - settings.deadzone) / (1 - settings.deadzone));
+    const shaped = Math.pow(scaled, settings.curve);
+    return [x / mag * shaped, y / mag * shaped];
+  }
+
+  function shapeAxis(v) {
+    const mag = Math.abs(v);
+    if (mag < settings.deadzone) return 0;
+    const scaled = Math.min(1, (mag - settings.deadzone) / (1 - settings.deadzone));
+    return Math.sign(v) * Math.pow(scaled, settings.curve);
+  }
+
+  function runAction(action) {
+    if (action === 'speedUp' || action === 'speedDown') {
+      const { speed } = bridge.getSpeed();
+      bridge.setSpeed(action === 'speedUp' ? speed * 1.5 : speed / 1.5);
+    } else if (action && action.startsWith('preset') && bridge.recallPreset) {
+      bridge.recallPreset(Number(action.slice(6)) - 1);
+    }
+  }
+
+  function firstGamepad() {
+    for (const pad of navigator.getGamepads()) {
+      if (pad && pad.connected) return pad;
+    }
+    return null;
+  }
+
+  function readVelocity(pad) {
+    const { speed, turnRate } = bridge.getSpeed();
+    const [lx, ly] = shapeStick(pad.axes[0] || 0, pad.axes[1] || 0);
+    const [rx, ry] = shapeStick(pad.axes[2] || 0, pad.axes[3] || 0);
+    const lt = pad.buttons[6] ? shapeAxis(pad.buttons[6].value) : 0;
+    const rt = pad.buttons[7] ? shapeAxis(pad.buttons[7].value) : 0;
+    const lb = pad.buttons[4] && pad.buttons[4].pressed ? 1 : 0;
+    const rb = pad.buttons[5] && pad.buttons[5].pressed ? 1 : 0;
+
+    const triggers = rt - lt;
+    const bumpers = rb - lb;
+    const vertical = settings.triggerMode === 'vertical' ? triggers : bumpers;
+    const zoom = settings.triggerMode === 'vertical' ? bumpers : triggers;
+
+    return {
+      vx: lx * speed,
+      vz: -ly * speed, // stick up is negative
+      vy: vertical * speed,
+      vyaw: rx * turnRate * (settings.invertX ? -1 : 1),
+      vpitch: ry * turnRate * (settings.invertY ? -1 : 1),
+      // Zoom in narrows the field of view
+      vzoom: -zoom * ZOOM_RATE
+    };
+  }
+
+  function sameVelocity(a, b) {
+    if (!a || !b) return a === b;
+    return Object.keys(a).every(k => Math.abs(a[k] - b[k]) < 1e-3);
+  }
+
+  function poll() {
+    const pad = firstGamepad();
+    if (pad && bridge.canControl()) {
+      for (const { index } of BUTTONS) {
+        const pressed = !!(pad.buttons[index] && pad.buttons[index].pressed);
+        if (pressed && !prevPressed[index]) runAction(settings.buttons[index]);
+        prevPressed[index] = pressed;
+      }
+
+      const now = performance.now();
+      const v = readVelocity(pad);
+      if (!sameVelocity(v, lastVelocity) && now - lastSent >= SEND_INTERVAL) {
+        bridge.setVelocitySource('gamepad', v);
+        lastVelocity = v;
+        lastSent = now;
+      }
+    } else if (lastVelocity) {
+      bridge.setVelocitySource('gamepad', null);
+      lastVelocity = null;
+    }
+    requestAnimationFrame(poll);
+  }
+
+  function updateStatus() {
+    const pad = firstGamepad();
+    $('gamepadStatus').textContent = pad
+      ? `🎮 ${pad.id}${pad.mapping === 'standard' ? '' : ' (non-standard mapping, layout may differ)'}`
+      : 'No controller detected - press a button on it to wake it up';
+  }
+
+  function renderSettings() {
+    $('gpDeadzone').value = settings.deadzone;
+    $('gpDeadzoneValue').textContent = settings.deadzone.toFixed(2);
+    $('gpCurve').value = settings.curve;
+    $('gpCurveValue').textContent = settings.curve.toFixed(1);
+    $('gpInvertX').checked = settings.invertX;
+    $('gpInvertY').checked = settings.invertY;
+    $('gpTriggerMode').value = settings.triggerMode;
+
+    const table = $('gpButtons');
+    table.innerHTML = '';
+    for (const { index, name } of BUTTONS) {
+      const row = table.insertRow();
+      row.insertCell().textContent = name;
+      const select = document.createElement('select');
+      for (const [value, label] of Object.entries(ACTIONS)) {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = label;
+        opt.selected = (settings.buttons[index] || 'none') === value;
+        select.appendChild(opt);
+      }
+      select.addEventListener('change', () => {
+        settings.buttons[index] = select.value;
+        saveSettings();
+      });
+      row.insertCell().appendChild(select);
+    }
+  }
+
+  $('gpDeadzone').addEventListener('input', () => {
+    settings.deadzone = parseFloat($('gpDeadzone').value);
+    $('gpDeadzoneValue').textContent = settings.deadzone.toFixed(2);
+    saveSettings();
+  });
+  $('gpCurve').addEventListener('input', () => {
+    settings.curve = parseFloat($('gpCurve').value);
+    $('gpCurveValue').textContent = settings.curve.toFixed(1);
+    saveSettings();
+  });
+  $('gpInvertX').addEventListener('change', () => { settings.invertX = $('gpInvertX').checked; saveSettings(); });
+  $('gpInvertY').addEventListener('change', () => { settings.invertY = $('gpInvertY').checked; saveSettings(); });
+  $('gpTriggerMode').addEventListener('change', () => { settings.triggerMode = $('gpTriggerMode').value; saveSettings(); });
+  $('gpReset').addEventListener('click', () => {
+    settings = { ...defaults, buttons: { ...defaults.buttons } };
+    saveSettings();
+    renderSettings();
+  });
+
+  // Background tabs stop getting animation frames; don't leave the camera drifting
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden && lastVelocity) {
+      bridge.setVelocitySource('gamepad', null);
+      lastVelocity = null;
+    }
+  });
+
+  window.addEventListener('gamepadconnected', updateStatus);
+  window.addEventListener('gamepaddisconnected', updateStatus);
+
+  renderSettings();
+  updateStatus();
+  requestAnimationFrame(poll);
+})();
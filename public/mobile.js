@@ -0,0 +1,161 @@
+(() => {
+  const $ = (id) => document.getElementById(id);
+  const bridge = window.cameraBridge;
+  if (!bridge || !$('moveStick')) return;
+
+  const STICK_DEADZONE = 0.08;
+  const ZOOM_SEND_INTERVAL = 50; // ms
+
+  function haptic(ms) {
+    if (navigator.vibrate) navigator.vibrate(ms);
+  }
+
+  // A multitouch virtual joystick. Each stick tracks its own pointer, so
+  // both thumbs can drive at once. onChange(x, y) gets -1..1, +y is down.
+  function createStick(el, onChange) {
+    const knob = el.querySelector('.mKnob');
+    let pointerId = null;
+    let cx = 0, cy = 0, radius = 1;
+    let atEdge = false;
+
+    function update(ev) {
+      let dx = ev.clientX - cx;
+      let dy = ev.clientY - cy;
+      const dist = Math.hypot(dx, dy);
+      if (dist > radius) {
+        dx = dx / dist * radius;
+        dy = dy / dist * radius;
+      }
+      knob.style.transform = `translate(${dx}px, ${dy}px)`;
+
+      const edge = dist >= radius * 0.98;
+      if (edge && !atEdge) haptic(8);
+      atEdge = edge;
+
+      let x = dx / radius, y = dy / radius;
+      const mag = Math.hypot(x, y);
+      if (mag < STICK_DEADZONE) {
+        x = 0;
+        y = 0;
+      } else {
+        // Squared response: fine control near the center, full speed at the rim
+        const shaped = Math.pow((mag - STICK_DEADZONE) / (1 - STICK_DEADZONE), 2);
+        x = x / mag * shaped;
+        y = y / mag * shaped;
+      }
+      onChange(x, y);
+    }
+
+    function end(ev) {
+      if (ev.pointerId !== pointerId) return;
+      pointerId = null;
+      atEdge = false;
+      el.classList.remove('active');
+      knob.style.transform = '';
+      onChange(0, 0);
+      haptic(5);
+    }
+
+    el.addEventListener('pointerdown', (ev) => {
+      if (pointerId !== null || !bridge.canControl()) return;
+      ev.preventDefault();
+      pointerId = ev.pointerId;
+      el.setPointerCapture(pointerId);
+      const r = el.getBoundingClientRect();
+      cx = r.left + r.width / 2;
+      cy = r.top + r.height / 2;
+      radius = r.width / 2;
+      el.classList.add('active');
+      haptic(12);
+      update(ev);
+    });
+    el.addEventListener('pointermove', (ev) => {
+      if (ev.pointerId === pointerId) update(ev);
+    });
+    el.addEventListener('pointerup', end);
+    el.addEventListener('pointercancel', end);
+    el.addEventListener('lostpointercapture', end);
+  }
+
+  createStick($('moveStick'), (x, y) => {
+    const { speed } = bridge.getSpeed();
+    bridge.setVelocitySource('touchMove', { vx: x * speed, vz: -y * speed });
+  });
+
+  createStick($('lookStick'), (x, y) => {
+    const { turnRate } = bridge.getSpeed();
+    bridge.setVelocitySource('touchLook', { vyaw: x * turnRate, vpitch: y * turnRate });
+  });
+
+  // -- Zoom: slider, or pinch anywhere outside the sticks --
+  const zoomEl = $('mZoom');
+  let zoomDragging = false;
+  let lastZoomSent = 0;
+  let zoomTimer = null;
+  let pendingZoom = null;
+
+  function sendZoom(zoom) {
+    pendingZoom = Math.max(20, Math.min(150, zoom));
+    const wait = ZOOM_SEND_INTERVAL - (performance.now() - lastZoomSent);
+    if (zoomTimer) return;
+    zoomTimer = setTimeout(() => {
+      zoomTimer = null;
+      lastZoomSent = performance.now();
+      bridge.move({ absolute: true, zoom: pendingZoom });
+    }, Math.max(0, wait));
+  }
+
+  zoomEl.addEventListener('input', () => {
+    zoomDragging = true;
+    sendZoom(parseFloat(zoomEl.value));
+  });
+  zoomEl.addEventListener('change', () => { zoomDragging = false; });
+
+  const pinchPointers = new Map();
+  let pinchStart = null; // { dist, zoom }
+  const controls = $('controlsDiv');
+
+  function pinchDistance() {
+    const [a, b] = [...pinchPointers.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  controls.addEventListener('pointerdown', (ev) => {
+    // Only bare background touches take part in pinching
+    if (ev.target !== controls || !bridge.canControl()) return;
+    pinchPointers.set(ev.pointerId, { x: ev.clientX, y: ev.clientY });
+    if (pinchPointers.size === 2) {
+      const state = bridge.getState();
+      pinchStart = { dist: pinchDistance(), zoom: state ? state.zoom : parseFloat(zoomEl.value) };
+      haptic(10);
+    }
+  });
+  controls.addEventListener('pointermove', (ev) => {
+    if (!pinchPointers.has(ev.pointerId)) return;
+    pinchPointers.set(ev.pointerId, { x: ev.clientX, y: ev.clientY });
+    if (pinchStart && pinchPointers.size === 2) {
+      // Spreading fingers zooms in, i.e. a smaller field of view
+      const scale = pinchDistance() / pinchStart.dist;
+      if (scale > 0) sendZoom(pinchStart.zoom / scale);
+    }
+  });
+  const endPinch = (ev) => {
+    pinchPointers.delete(ev.pointerId);
+    if (pinchPointers.size < 2) pinchStart = null;
+  };
+  controls.addEventListener('pointerup', endPinch);
+  controls.addEventListener('pointercancel', endPinch);
+
+  bridge.onMessage((msg) => {
+    if ((msg.type === 'state' || msg.type === 'hello') && msg.state && !zoomDragging && !pinchStart) {
+      zoomEl.value = msg.state.zoom;
+    }
+  });
+
+  // Stop everything if the page is backgrounded mid-move
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) return;
+    bridge.setVelocitySource('touchMove', null);
+    bridge.setVelocitySource('touchLook', null);
+  });
+})();
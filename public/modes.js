@@ -0,0 +1,107 @@
+(() => {
+  const $ = (id) => document.getElementById(id);
+  const bridge = window.cameraBridge;
+  if (!bridge || !$('modeDiv')) return;
+
+  // Orbit / look-at / follow (camera-modes.js on the server)
+  const LABELS = { free: 'free fly', lookAt: 'look at', orbit: 'orbit', follow: 'follow' };
+  let status = null;
+
+  function showError(msg) {
+    $('modeError').textContent = msg || '';
+  }
+
+  function command(body) {
+    if (!bridge.canControl()) return;
+    bridge.post('/api/mode', body).then(data => {
+      if (data.error) throw new Error(data.message || data.error);
+      showError('');
+      render(data);
+    }).catch(err => showError(err.message));
+  }
+
+  function setVector(prefix, v) {
+    ['X', 'Y', 'Z'].forEach((axis, i) => {
+      const el = $(prefix + axis);
+      if (document.activeElement !== el) el.value = v ? Number(v[i].toFixed(3)) : '';
+    });
+  }
+
+  function readVector(prefix) {
+    const v = ['X', 'Y', 'Z'].map(axis => parseFloat($(prefix + axis).value));
+    return v.every(isFinite) ? v : undefined;
+  }
+
+  function setField(id, value) {
+    if (document.activeElement !== $(id)) $(id).value = value;
+  }
+
+  function showFields(mode) {
+    for (const el of document.querySelectorAll('#modeDiv .modeFields')) {
+      el.style.display = el.dataset.modes.split(' ').includes(mode) ? '' : 'none';
+    }
+  }
+
+  function render(next) {
+    if (next) status = next;
+    if (!status) return;
+    $('modeSummary').textContent = status.mode === 'free' ? '' : `(${LABELS[status.mode]})`;
+    $('modeSelect').value = status.mode;
+    setVector('modeTarget', status.target);
+    setField('modeRadius', Number(status.radius.toFixed(3)));
+    setField('modeHeight', Number(status.height.toFixed(3)));
+    setField('modeSpeed', status.speed);
+    setField('modeAddress', status.address);
+    setVector('modeOffset', status.offset);
+    setField('modeLag', status.lag);
+    setField('modeDamping', status.damping);
+    $('modeFollowTarget').textContent = status.followTarget
+      ? `target at ${status.followTarget.map(v => v.toFixed(2)).join(', ')}`
+      : 'no target received yet';
+    showFields(status.mode);
+
+    const disabled = !bridge.canControl();
+    for (const el of $('modeDiv').querySelectorAll('input, select, button')) el.disabled = disabled;
+  }
+
+  $('modeSelect').addEventListener('change', () => showFields($('modeSelect').value));
+
+  $('modeApply').addEventListener('click', () => {
+    const mode = $('modeSelect').value;
+    const body = { mode };
+    const target = readVector('modeTarget');
+    if (target) body.target = target;
+    if (mode === 'orbit') {
+      body.radius = parseFloat($('modeRadius').value);
+      body.height = parseFloat($('modeHeight').value);
+      body.speed = parseFloat($('modeSpeed').value);
+    }
+    if (mode === 'follow') {
+      body.address = $('modeAddress').value.trim();
+      body.offset = readVector('modeOffset');
+      body.lag = parseFloat($('modeLag').value);
+      body.damping = parseFloat($('modeDamping').value);
+    }
+    // Leave out blanks so the server keeps its current values
+    for (const key of Object.keys(body)) {
+      if (body[key] === undefined || Number.isNaN(body[key])) delete body[key];
+    }
+    command(body);
+  });
+
+  $('modeFree').addEventListener('click', () => command({ mode: 'free' }));
+  $('modeTargetAhead').addEventListener('click', () => {
+    const mode = $('modeSelect').value;
+    command({ mode: mode === 'orbit' ? 'orbit' : 'lookAt', target: null });
+  });
+
+  bridge.onMessage((msg) => {
+    if (msg.type === 'cameraMode') {
+      render(msg.cameraMode);
+    } else if (msg.type === 'hello') {
+      fetch('/api/mode').then(r => r.json()).then(data => { if (!data.error) render(data); });
+    } else if (msg.type === 'auth' || msg.type === 'control') {
+      render();
+    }
+  });
+})();
@@ -0,0 +1,179 @@
+(() => {
+  const $ = (id) => document.getElementById(id);
+  const bridge = window.cameraBridge;
+  if (!bridge || !$('paramsDiv')) return;
+
+  // Controls are generated from the server's parameter registry (osc-params.js)
+  let registry = { params: [], profile: '', profiles: [] };
+  const controls = new Map(); // key -> { param, input, readout }
+  let editing = null;         // key of the slider being dragged, don't fight the user
+  let sendTimer = null;
+  const queued = {};
+
+  function showError(msg) {
+    const el = $('paramsError');
+    if (el) el.textContent = msg || '';
+  }
+
+  // Slider drags fire a lot of input events; batch them to ~10 sends/s
+  function queueSend(key, value) {
+    queued[key] = value;
+    if (sendTimer) return;
+    sendTimer = setTimeout(flush, 100);
+  }
+
+  function flush() {
+    sendTimer = null;
+    const values = { ...queued };
+    Object.keys(queued).forEach(k => delete queued[k]);
+    if (!Object.keys(values).length || !bridge.canControl()) return;
+    bridge.post('/api/params', values).then(data => {
+      const errors = data.errors ? Object.values(data.errors) : data.message ? [data.message] : [];
+      showError(errors.join('; '));
+    }).catch(err => showError(err.message));
+  }
+
+  function formatValue(param, value) {
+    if (param.type === 'float') return Number(value).toFixed(param.max - param.min > 20 ? 0 : 2);
+    return String(value);
+  }
+
+  function buildControl(param) {
+    const row = document.createElement('div');
+    row.className = 'paramRow';
+    const label = document.createElement('label');
+    label.textContent = param.label || param.name;
+    row.appendChild(label);
+
+    let input, readout = null;
+    if (param.type === 'button') {
+      input = document.createElement('button');
+      input.textContent = param.label || param.name;
+      label.textContent = '';
+      input.addEventListener('click', () => { queueSend(param.key, true); flush(); });
+    } else if (param.type === 'bool') {
+      input = document.createElement('input');
+      input.type = 'checkbox';
+      input.addEventListener('change', () => { queueSend(param.key, input.checked); flush(); });
+    } else if (param.type === 'enum') {
+      input = document.createElement('select');
+      for (const [value, name] of Object.entries(param.options)) {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = name;
+        input.appendChild(opt);
+      }
+      input.addEventListener('change', () => { queueSend(param.key, Number(input.value)); flush(); });
+    } else {
+      input = document.createElement('input');
+      input.type = 'range';
+      input.min = param.min;
+      input.max = param.max;
+      input.step = param.type === 'int' ? 1 : (param.max - param.min) / 200;
+      readout = document.createElement('span');
+      readout.className = 'paramValue';
+      input.addEventListener('input', () => {
+        editing = param.key;
+        readout.textContent = formatValue(param, input.value);
+        queueSend(param.key, Number(input.value));
+      });
+      input.addEventListener('change', () => { editing = null; flush(); });
+    }
+    row.appendChild(input);
+    if (readout) row.appendChild(readout);
+    controls.set(param.key, { param, input, readout });
+    return row;
+  }
+
+  function render() {
+    const container = $('paramsControls');
+    container.innerHTML = '';
+    controls.clear();
+
+    const groups = new Map();
+    for (const param of registry.params) {
+      if (!groups.has(param.group)) groups.set(param.group, []);
+      groups.get(param.group).push(param);
+    }
+    for (const [group, params] of groups) {
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = 'paramGroup';
+      const legend = document.createElement('legend');
+      legend.textContent = group;
+      fieldset.appendChild(legend);
+      params.forEach(p => fieldset.appendChild(buildControl(p)));
+      container.appendChild(fieldset);
+    }
+
+    const profileEl = $('paramsProfile');
+    profileEl.innerHTML = '';
+    for (const name of registry.profiles) {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name;
+      opt.selected = name === registry.profile;
+      profileEl.appendChild(opt);
+    }
+    updateEnabled();
+  }
+
+  function updateValues(values) {
+    for (const [key, value] of Object.entries(values)) {
+      const c = controls.get(key);
+      if (!c || key === editing) continue;
+      if (c.param.type === 'bool') c.input.checked = !!value;
+      else if (c.param.type !== 'button') c.input.value = value;
+      if (c.readout) c.readout.textContent = formatValue(c.param, value);
+    }
+  }
+
+  function updateEnabled() {
+    const disabled = !bridge.canControl();
+    for (const c of controls.values()) c.input.disabled = disabled;
+    $('paramsProfile').disabled = !bridge.hasRole('admin');
+    $('outputFilter').disabled = !bridge.hasRole('admin');
+    $('outputRate').disabled = !bridge.hasRole('admin');
+  }
+
+  // Output stage settings (output.js on the server)
+  function renderOutput(settings) {
+    $('outputFilter').value = settings.filter;
+    if (document.activeElement !== $('outputRate')) $('outputRate').value = settings.rate;
+  }
+
+  function setOutput(settings) {
+    bridge.post('/api/config', { output: settings }).then(data => {
+      if (data.error) throw new Error(data.message || data.error);
+      $('paramsError').textContent = '';
+      renderOutput(data.cfg.output);
+    }).catch(err => { $('paramsError').textContent = err.message; });
+  }
+
+  function load() {
+    return fetch('/api/params').then(r => r.json()).then(data => {
+      registry = data;
+      render();
+      updateValues(data.values);
+    });
+  }
+
+  $('paramsProfile').addEventListener('change', () => {
+    bridge.post('/api/config', { oscProfile: $('paramsProfile').value }).then(load);
+  });
+  $('outputFilter').addEventListener('change', () => setOutput({ filter: $('outputFilter').value }));
+  $('outputRate').addEventListener('change', () => setOutput({ rate: Number($('outputRate').value) }));
+
+  bridge.onMessage((msg) => {
+    if (msg.type === 'hello') {
+      load();
+      fetch('/api/state').then(r => r.json()).then(data => { if (data.cfg) renderOutput(data.cfg.output); });
+    } else if (msg.type === 'state' && msg.state) {
+      updateValues({ ...msg.state.params, zoom: msg.state.zoom });
+    } else if (msg.type === 'config') {
+      renderOutput(msg.cfg.output);
+      if (msg.cfg.oscProfile !== registry.profile) load();
+    } else if (msg.type === 'auth') {
+      updateEnabled();
+    }
+  });
+})();
@@ -0,0 +1,148 @@
+(() => {
+  const $ = (id) => document.getElementById(id);
+  const bridge = window.cameraBridge;
+  if (!bridge || !$('presetsDiv')) return;
+
+  let presets = [];
+
+  function showError(msg) {
+    const el = $('presetError');
+    if (el) el.textContent = msg || '';
+  }
+
+  function command(path, body) {
+    if (!bridge.canControl()) return Promise.resolve(null);
+    return bridge.post(path, body || {}).then(data => {
+      if (data.error) throw new Error(data.message || data.error);
+      showError('');
+      return data;
+    }).catch(err => {
+      showError(err.message);
+      return null;
+    });
+  }
+
+  // Grab the current preview frame as a small JPEG data URL
+  function captureThumbnail() {
+    const img = $('spoutImg');
+    if (!img || !img.naturalWidth) return null;
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = 192;
+      canvas.height = 108;
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      return canvas.toDataURL('image/jpeg', 0.7);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function glideDuration() {
+    const v = parseFloat($('presetGlide').value);
+    return isFinite(v) && v > 0 ? v : 0;
+  }
+
+  function recall(preset) {
+    return command(`/api/presets/${preset.id}/recall`, { duration: glideDuration() });
+  }
+
+  function render() {
+    const grid = $('presetGrid');
+    grid.innerHTML = '';
+    const disabled = !bridge.canControl();
+
+    presets.forEach((preset, i) => {
+      const card = document.createElement('div');
+      card.className = 'preset';
+      card.title = preset.notes || '';
+
+      const thumb = document.createElement('div');
+      thumb.className = 'presetThumb';
+      if (preset.thumbnail) thumb.style.backgroundImage = `url(${preset.thumbnail})`;
+      if (i < 9) {
+        const key = document.createElement('span');
+        key.className = 'presetKey';
+        key.textContent = i + 1;
+        thumb.appendChild(key);
+      }
+      thumb.addEventListener('click', () => { if (!disabled) recall(preset); });
+      card.appendChild(thumb);
+
+      const name = document.createElement('div');
+      name.className = 'presetName';
+      name.textContent = preset.name;
+      card.appendChild(name);
+
+      const actions = document.createElement('div');
+      const addButton = (label, title, fn) => {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        btn.title = title;
+        btn.disabled = disabled;
+        btn.addEventListener('click', fn);
+        actions.appendChild(btn);
+      };
+      addButton('Go', 'Recall this shot', () => recall(preset));
+      addButton('⟳', 'Overwrite with the current camera', () => {
+        command(`/api/presets/${preset.id}`, { capture: true, thumbnail: captureThumbnail() || preset.thumbnail });
+      });
+      addButton('✕', 'Delete preset', () => {
+        if (confirm(`Delete preset "${preset.name}"?`)) command(`/api/presets/${preset.id}/delete`);
+      });
+      card.appendChild(actions);
+
+      grid.appendChild(card);
+    });
+  }
+
+  function load() {
+    fetch('/api/presets').then(r => r.json()).then(data => {
+      presets = data.presets || [];
+      render();
+    });
+  }
+
+  $('presetForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const name = $('presetName').value.trim();
+    if (!name) return showError('Give the shot a name');
+    const body = { name, notes: $('presetNotes').value };
+    if ($('presetThumb').checked) body.thumbnail = captureThumbnail();
+    command('/api/presets', body).then(data => {
+      if (!data) return;
+      $('presetName').value = '';
+      $('presetNotes').value = '';
+    });
+  });
+
+  // For other inputs (gamepad buttons): recall by grid position
+  bridge.recallPreset = (index) => {
+    const preset = presets[index];
+    if (preset && bridge.canControl()) recall(preset);
+  };
+
+  // 1-9 recall the first nine presets
+  window.addEventListener('keydown', (ev) => {
+    const active = document.activeElement;
+    if (active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA' || active.isContentEditable)) return;
+    if (!bridge.canControl() || ev.ctrlKey || ev.altKey || ev.metaKey) return;
+    if (ev.key >= '1' && ev.key <= '9') {
+      const preset = presets[Number(ev.key) - 1];
+      if (preset) {
+        recall(preset);
+        ev.preventDefault();
+      }
+    }
+  });
+
+  bridge.onMessage((msg) => {
+    if (msg.type === 'presets') {
+      presets = msg.presets;
+      render();
+    } else if (msg.type === 'hello') {
+      load();
+    } else if (msg.type === 'auth') {
+      render();
+    }
+  });
+})();
@@ -0,0 +1,193 @@
+(() => {
+  const $ = (id) => document.getElementById(id);
+  const img = $('spoutImg');
+  const video = $('spoutVideo');
+  const select = $('previewMode');
+  if (!img || !video || !select) return;
+
+  // Preview player: the MJPEG <img>, or the bridge's H.264 stream
+  // (h264-preview.js) over a WebSocket into Media Source Extensions. MJPEG
+  // stays up until H.264 is actually playing, and any trouble with H.264
+  // falls back to it and tries again later.
+  const STORAGE_KEY = 'previewMode';
+  const MJPEG_URL = '/api/spout';
+  const START_MS = 10000;   // no picture by then: fall back
+  const STALL_MS = 5000;    // no data for this long while playing
+  const RETRY_MS = 30000;
+  const KEEP_S = 10;        // seconds of played video kept in the buffer
+  const MAX_QUEUE = 120;    // fragments waiting for the SourceBuffer
+  const MediaSourceType = window.ManagedMediaSource || window.MediaSource;
+
+  let session = null;       // the H.264 attempt in progress
+  let retryTimer = null;
+
+  function setStatus(text) {
+    $('previewStatus').textContent = text;
+  }
+
+  function showMjpeg() {
+    if (!img.hasAttribute('src')) img.src = MJPEG_URL;
+    img.style.display = '';
+    video.style.display = 'none';
+  }
+
+  // Removing src ends the MJPEG download, which is the point of H.264
+  function hideMjpeg() {
+    img.removeAttribute('src');
+    img.style.display = 'none';
+    video.style.display = '';
+  }
+
+  function stopH264() {
+    if (!session) return;
+    const s = session;
+    session = null;
+    clearInterval(s.timer);
+    s.ws.onclose = null;
+    s.ws.close();
+    if (s.url) {
+      video.removeAttribute('src');
+      video.load();
+      URL.revokeObjectURL(s.url);
+    }
+  }
+
+  function fallback(reason) {
+    stopH264();
+    showMjpeg();
+    setStatus(`MJPEG (${reason}; trying H.264 again in ${RETRY_MS / 1000}s)`);
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(apply, RETRY_MS);
+  }
+
+  // Drop what's long been played so the buffer doesn't fill up. Returns
+  // true if that's under way.
+  function trim(s) {
+    const sb = s.sourceBuffer;
+    if (!sb.buffered.length || video.currentTime - sb.buffered.start(0) < KEEP_S * 2) return false;
+    sb.remove(0, video.currentTime - KEEP_S);
+    return true;
+  }
+
+  function pump(s) {
+    if (!s.sourceBuffer || s.sourceBuffer.updating || !s.queue.length) return;
+    try {
+      s.sourceBuffer.appendBuffer(s.queue.shift());
+    } catch (err) {
+      fallback(`playback error: ${err.message}`);
+    }
+  }
+
+  // An init message starts a fresh MediaSource (also when the encoder
+  // restarts); the init segment and fragments follow as binary messages
+  function setupMedia(s, msg) {
+    if (!MediaSourceType.isTypeSupported(msg.mime)) return fallback(`this browser can't play ${msg.mime}`);
+    if (s.url) URL.revokeObjectURL(s.url);
+    s.sourceBuffer = null;
+    s.queue = [];
+    s.latency = msg.latency;
+    const mediaSource = new MediaSourceType();
+    s.url = URL.createObjectURL(mediaSource);
+    video.disableRemotePlayback = true; // ManagedMediaSource needs this
+    video.src = s.url;
+    mediaSource.addEventListener('sourceopen', () => {
+      if (session !== s || s.url !== video.src) return;
+      const sb = mediaSource.addSourceBuffer(msg.mime);
+      sb.mode = 'segments';
+      sb.addEventListener('updateend', () => {
+        if (session === s && s.sourceBuffer === sb && !trim(s)) pump(s);
+      });
+      s.sourceBuffer = sb;
+      pump(s);
+    }, { once: true });
+  }
+
+  function inBuffered(buffered, time) {
+    for (let i = 0; i < buffered.length; i++) {
+      if (time >= buffered.start(i) && time <= buffered.end(i)) return true;
+    }
+    return false;
+  }
+
+  function tick(s) {
+    const now = Date.now();
+    if (!s.playing && now - s.startedAt > START_MS) return fallback('no H.264 picture');
+    if (s.playing && now - s.lastDataAt > STALL_MS) return fallback('H.264 stream stalled');
+
+    const buffered = video.buffered;
+    if (buffered.length && s.latency) {
+      const end = buffered.end(buffered.length - 1);
+      // Stay near the live edge: catch up after falling behind, and jump
+      // gaps left by fragments the bridge skipped for a slow connection
+      if (end - video.currentTime > s.latency.max || !inBuffered(buffered, video.currentTime)) {
+        video.currentTime = Math.max(buffered.start(buffered.length - 1), end - s.latency.target);
+      }
+      s.behind = end - video.currentTime;
+      if (video.paused) video.play().catch(() => {});
+    }
+
+    if (now - s.rateAt >= 2000) {
+      s.kbps = (s.bytesSinceRate * 8) / (now - s.rateAt);
+      s.bytesSinceRate = 0;
+      s.rateAt = now;
+    }
+    if (s.playing) setStatus(`H.264 ${s.profile} · ${s.behind.toFixed(1)} s buffered · ${Math.round(s.kbps)} kbit/s`);
+  }
+
+  function startH264(profile) {
+    const proto = location.protocol === 'https:' ? 'wss' : 'ws';
+    const ws = new WebSocket(`${proto}://${location.host}/api/spout/h264?latency=${encodeURIComponent(profile)}`);
+    ws.binaryType = 'arraybuffer';
+    const now = Date.now();
+    const s = {
+      ws, profile, queue: [], sourceBuffer: null, url: null, latency: null, playing: false,
+      startedAt: now, lastDataAt: now, rateAt: now, bytesSinceRate: 0, kbps: 0, behind: 0
+    };
+    session = s;
+    setStatus(`H.264 ${profile}: connecting...`);
+
+    ws.onmessage = (event) => {
+      if (session !== s) return;
+      if (typeof event.data === 'string') {
+        let msg;
+        try { msg = JSON.parse(event.data); } catch (e) { return; }
+        if (msg.type === 'init') setupMedia(s, msg);
+        else if (msg.type === 'error') fallback(msg.message);
+        return;
+      }
+      s.lastDataAt = Date.now();
+      s.bytesSinceRate += event.data.byteLength;
+      if (s.queue.length >= MAX_QUEUE) return fallback('playback can\'t keep up');
+      s.queue.push(event.data);
+      pump(s);
+    };
+    ws.onclose = () => {
+      if (session === s) fallback(s.url ? 'H.264 stream closed' : 'H.264 stream unavailable');
+    };
+    s.timer = setInterval(() => { if (session === s) tick(s); }, 500);
+  }
+
+  function apply() {
+    clearTimeout(retryTimer);
+    stopH264();
+    showMjpeg();
+    const mode = select.value;
+    if (!mode.startsWith('h264:')) return setStatus('');
+    if (!MediaSourceType) return setStatus('MJPEG (this browser has no Media Source Extensions)');
+    startH264(mode.slice('h264:'.length));
+  }
+
+  video.addEventListener('playing', () => {
+    if (!session || session.playing) return;
+    session.playing = true;
+    hideMjpeg();
+  });
+
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if ([...select.options].some(opt => opt.value === saved)) select.value = saved;
+  select.addEventListener('change', () => {
+    localStorage.setItem(STORAGE_KEY, select.value);
+    apply();
+  });
+  apply();
+})();
@@ -0,0 +1,135 @@
+(() => {
+  const $ = (id) => document.getElementById(id);
+  const bridge = window.cameraBridge;
+  if (!bridge || !$('safetyDiv')) return;
+
+  // Geofence / rate limits (safety.js on the server) and the Home panic button
+  const WARNING_MS = 3000;
+  const POSE_KEYS = ['x', 'y', 'z', 'pitch', 'yaw', 'roll', 'zoom'];
+  let status = null;
+  let home = null;          // edited home pose, saved with the rest
+  let warningTimer = null;
+
+  function showError(msg) {
+    $('safetyError').textContent = msg || '';
+  }
+
+  function showWarning(msg) {
+    clearTimeout(warningTimer);
+    $('safetyWarning').textContent = msg;
+    warningTimer = setTimeout(() => { $('safetyWarning').textContent = ''; }, WARNING_MS);
+  }
+
+  function setVector(prefix, v) {
+    ['X', 'Y', 'Z'].forEach((axis, i) => {
+      const el = $(prefix + axis);
+      if (document.activeElement !== el) el.value = v[i];
+    });
+  }
+
+  function readVector(prefix) {
+    const v = ['X', 'Y', 'Z'].map(axis => parseFloat($(prefix + axis).value));
+    return v.every(isFinite) ? v : undefined;
+  }
+
+  function setField(id, value) {
+    if (document.activeElement !== $(id)) $(id).value = value;
+  }
+
+  function showFields(shape) {
+    for (const el of document.querySelectorAll('#safetyDiv .safetyFields')) {
+      el.style.display = el.dataset.shapes === shape ? '' : 'none';
+    }
+  }
+
+  function formatPose(pose) {
+    return POSE_KEYS.map(key => `${key} ${Number(pose[key]).toFixed(key === 'zoom' ? 0 : 2)}`).join('  ');
+  }
+
+  function render(next) {
+    if (next) {
+      // A new violation since the last update gets the banner
+      const last = next.lastViolation;
+      if (status && last && (!status.lastViolation || last.at !== status.lastViolation.at)) {
+        showWarning(`⚠ Safety: move ${last.rejected ? 'rejected' : 'clamped'} (${last.kinds.join(', ')})`);
+      }
+      status = next;
+      home = next.home;
+    }
+    if (!status) return;
+    $('safetySummary').textContent = status.enabled ? `(on, ${status.policy})` : '(off)';
+    $('safetyEnabled').checked = status.enabled;
+    $('safetyPolicy').value = status.policy;
+    $('safetyShape').value = status.shape;
+    setVector('safetyAnchor', status.anchor);
+    setVector('safetySize', status.size);
+    setField('safetyRadius', status.radius);
+    setField('safetyMaxLinearSpeed', status.maxLinearSpeed);
+    setField('safetyMaxAngularSpeed', status.maxAngularSpeed);
+    setField('safetyMaxZoomRate', status.maxZoomRate);
+    $('safetyHomePose').textContent = formatPose(home);
+    $('safetyCount').textContent = status.violations
+      ? `${status.violations} violation(s), last at ${new Date(status.lastViolation.at).toLocaleTimeString()}`
+      : '';
+    showFields(status.shape);
+
+    // Anyone can go home; only admins change the envelope
+    $('safetyHome').disabled = !bridge.canControl();
+    const disabled = !bridge.hasRole('admin');
+    for (const el of $('safetyDiv').querySelectorAll('input, select, button')) el.disabled = disabled;
+  }
+
+  function load() {
+    fetch('/api/safety').then(r => r.json()).then(data => { if (!data.error) render(data); });
+  }
+
+  $('safetyShape').addEventListener('change', () => showFields($('safetyShape').value));
+
+  $('safetyHomeSet').addEventListener('click', () => {
+    const state = bridge.getState();
+    if (!state) return;
+    home = {};
+    for (const key of POSE_KEYS) home[key] = state[key];
+    $('safetyHomePose').textContent = `${formatPose(home)} (unsaved)`;
+  });
+
+  $('safetyApply').addEventListener('click', () => {
+    const settings = {
+      enabled: $('safetyEnabled').checked,
+      policy: $('safetyPolicy').value,
+      shape: $('safetyShape').value,
+      anchor: readVector('safetyAnchor'),
+      size: readVector('safetySize'),
+      radius: parseFloat($('safetyRadius').value),
+      maxLinearSpeed: parseFloat($('safetyMaxLinearSpeed').value),
+      maxAngularSpeed: parseFloat($('safetyMaxAngularSpeed').value),
+      maxZoomRate: parseFloat($('safetyMaxZoomRate').value),
+      home
+    };
+    // Leave out blanks so the server keeps its current values
+    for (const key of Object.keys(settings)) {
+      if (settings[key] === undefined || Number.isNaN(settings[key])) delete settings[key];
+    }
+    bridge.post('/api/config', { safety: settings }).then(data => {
+      if (data.error) throw new Error(data.message || data.error);
+      showError('');
+      load();
+    }).catch(err => showError(err.message));
+  });
+
+  $('safetyHome').addEventListener('click', () => {
+    bridge.post('/api/safety/home', {}).then(data => {
+      if (data.error) throw new Error(data.message || data.error);
+    }).catch(err => showWarning(err.message));
+  });
+
+  bridge.onMessage((msg) => {
+    if (msg.type === 'safety') {
+      render(msg.safety);
+    } else if (msg.type === 'hello') {
+      load();
+    } else if (msg.type === 'auth') {
+      render();
+    }
+  });
+})();
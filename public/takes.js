@@ -0,0 +1,170 @@
+(() => {
+  const $ = (id) => document.getElementById(id);
+  const bridge = window.cameraBridge;
+  if (!bridge || !$('takesDiv')) return;
+
+  let takes = [];
+  let recording = { recording: false };
+  let recordingReceivedAt = performance.now();
+  let playback = { playing: false };
+
+  function showError(msg) {
+    const el = $('takeError');
+    if (el) el.textContent = msg || '';
+  }
+
+  function command(path, body) {
+    if (!bridge.canControl()) return Promise.resolve(null);
+    return bridge.post(path, body || {}).then(data => {
+      if (data.error) throw new Error(data.message || data.error);
+      showError('');
+      applyTakes(data);
+      return data;
+    }).catch(err => {
+      showError(err.message);
+      return null;
+    });
+  }
+
+  function applyTakes(data) {
+    if (data.takes) {
+      takes = data.takes;
+      render();
+    }
+    if (data.recording) setRecording(data.recording);
+    if (data.playback) setPlayback(data.playback);
+  }
+
+  function setRecording(r) {
+    recording = r;
+    recordingReceivedAt = performance.now();
+    $('takeRecord').textContent = r.recording ? '■ Stop recording' : '● Record';
+  }
+
+  function setPlayback(p) {
+    playback = p;
+    render();
+  }
+
+  function renderStatus() {
+    let text = '';
+    if (recording.recording) {
+      const elapsed = recording.elapsed + (performance.now() - recordingReceivedAt) / 1000;
+      text = `REC ${recording.name} ${elapsed.toFixed(1)}s`;
+    } else if (playback.playing) {
+      text = `▶ ${playback.name} (${playback.speed}x)`;
+    } else if (recording.message) {
+      text = recording.message;
+    }
+    $('takeStatus').textContent = text;
+    requestAnimationFrame(renderStatus);
+  }
+
+  function speed() {
+    const v = parseFloat($('takeSpeed').value);
+    return isFinite(v) && v > 0 ? v : 1;
+  }
+
+  // Query string for /api/export/... from the export controls
+  function exportUrl(path) {
+    const params = new URLSearchParams({ format: $('pathFormat').value, fps: $('pathFps').value || 30 });
+    if ($('pathRightHanded').checked) params.set('space', 'rh');
+    return `${path}?${params}`;
+  }
+
+  function download(path) {
+    fetch(exportUrl(path)).then(r => {
+      if (!r.ok) return r.json().then(data => { throw new Error(data.message || data.error); });
+      const name = (/filename="([^"]+)"/.exec(r.headers.get('Content-Disposition') || '') || [])[1] || 'camera-path';
+      return r.blob().then(blob => {
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = name;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+        showError('');
+      });
+    }).catch(err => showError(err.message));
+  }
+
+  function button(label, title, onClick) {
+    const btn = document.createElement('button');
+    btn.textContent = label;
+    btn.title = title;
+    btn.disabled = !bridge.canControl();
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  function render() {
+    $('exportTimeline').disabled = !bridge.hasRole('operator');
+    const table = $('takeList');
+    table.innerHTML = '';
+    for (const take of takes) {
+      const row = table.insertRow();
+      row.insertCell().textContent = (playback.playing && playback.id === take.id ? '▶ ' : '') + take.name;
+      row.insertCell().textContent = `${take.duration.toFixed(2)}s`;
+      row.insertCell().textContent = `${take.sampleCount} samples (${take.source})`;
+
+      const actions = row.insertCell();
+      actions.appendChild(button('Play', 'Replay through VRChat', () => command(`/api/takes/${take.id}/play`, { speed: speed() })));
+      actions.appendChild(button('Trim', 'Keep only part of the take', () => {
+        const range = prompt(`Keep which part of ${take.name}? start-end in seconds (0-${take.duration.toFixed(2)})`, `0-${take.duration.toFixed(2)}`);
+        const match = range && /^\s*([\d.]+)\s*-\s*([\d.]+)\s*$/.exec(range);
+        if (!match) return;
+        command(`/api/takes/${take.id}/trim`, { start: parseFloat(match[1]), end: parseFloat(match[2]) });
+      }));
+      const exportBtn = button('Export', 'Download in the selected format', () => download(`/api/export/takes/${take.id}`));
+      // Export needs a login but not the control token
+      exportBtn.disabled = !bridge.hasRole('operator');
+      actions.appendChild(exportBtn);
+      actions.appendChild(button('Rename', 'Rename take', () => {
+        const name = prompt('Take name:', take.name);
+        if (name) command(`/api/takes/${take.id}`, { name });
+      }));
+      actions.appendChild(button('✕', 'Delete take', () => {
+        if (confirm(`Delete ${take.name}?`)) command(`/api/takes/${take.id}/delete`);
+      }));
+    }
+  }
+
+  $('takeRecord').addEventListener('click', () => {
+    if (recording.recording) {
+      command('/api/takes/record/stop');
+      return;
+    }
+    const name = $('takeName').value.trim();
+    command('/api/takes/record', { name: name || undefined, source: $('takeSource').value }).then(data => {
+      if (data) $('takeName').value = '';
+    });
+  });
+  $('takeStop').addEventListener('click', () => command('/api/takes/stop'));
+  $('exportTimeline').addEventListener('click', () => download('/api/export/timeline'));
+
+  $('pathImport').addEventListener('change', () => {
+    const file = $('pathImport').files[0];
+    if (!file) return;
+    const format = /\.chan$/i.test(file.name) ? 'chan' : 'csv';
+    const params = new URLSearchParams({ format, fps: $('pathFps').value || 30, name: file.name.replace(/\.[^.]+$/, '').slice(0, 64) });
+    file.text()
+      .then(text => command(`/api/import?${params}`, text))
+      .then(() => { $('pathImport').value = ''; });
+  });
+
+  bridge.onMessage((msg) => {
+    if (msg.type === 'takes') {
+      takes = msg.takes;
+      render();
+    } else if (msg.type === 'recording') {
+      setRecording(msg.recording);
+    } else if (msg.type === 'takePlayback') {
+      setPlayback(msg.takePlayback);
+    } else if (msg.type === 'hello') {
+      fetch('/api/takes').then(r => r.json()).then(applyTakes);
+    } else if (msg.type === 'auth') {
+      render();
+    }
+  });
+
+  requestAnimationFrame(renderStatus);
+})();
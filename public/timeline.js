@@ -0,0 +1,117 @@
+(() => {
+  const $ = (id) => document.getElementById(id);
+  const bridge = window.cameraBridge;
+  if (!bridge || !$('timelineDiv')) return;
+
+  let timeline = { keyframes: [], loop: false };
+  let playback = { playing: false, time: 0, duration: 0, loop: false };
+  let playbackReceivedAt = performance.now();
+  let seeking = false;
+
+  function showError(msg) {
+    const el = $('tlError');
+    if (el) el.textContent = msg || '';
+  }
+
+  // POST a timeline command and refresh from the response
+  function command(path, body) {
+    if (!bridge.canControl()) return Promise.resolve();
+    return bridge.post(path, body || {}).then(data => {
+      if (data.error) throw new Error(data.message || data.error);
+      showError('');
+      applyTimeline(data);
+    }).catch(err => showError(err.message));
+  }
+
+  function applyTimeline(data) {
+    if (data.timeline) {
+      timeline = data.timeline;
+      renderKeyframes();
+    }
+    if (data.playback) setPlayback(data.playback);
+  }
+
+  function setPlayback(p) {
+    playback = p;
+    playbackReceivedAt = performance.now();
+    $('tlLoop').checked = !!p.loop;
+    $('tlSeek').max = p.duration;
+  }
+
+  // Extrapolate between server updates so the readout runs smoothly
+  function currentTime() {
+    if (!playback.playing) return playback.time;
+    let t = playback.time + (performance.now() - playbackReceivedAt) / 1000;
+    if (playback.loop && playback.duration > 0) t %= playback.duration;
+    return Math.min(t, playback.duration);
+  }
+
+  function renderClock() {
+    const t = currentTime();
+    $('tlTime').textContent = `${t.toFixed(2)} / ${playback.duration.toFixed(2)} s${playback.playing ? ' ▶' : ''}`;
+    if (!seeking) $('tlSeek').value = t;
+    requestAnimationFrame(renderClock);
+  }
+
+  function renderKeyframes() {
+    const table = $('tlKeyframes');
+    table.innerHTML = '';
+    const disabled = !bridge.canControl();
+    timeline.keyframes.forEach((k, i) => {
+      const row = table.insertRow();
+      row.insertCell().textContent = `${k.t.toFixed(2)}s`;
+      row.insertCell().textContent = `x:${k.x.toFixed(2)} y:${k.y.toFixed(2)} z:${k.z.toFixed(2)}`;
+      row.insertCell().textContent = `p:${k.pitch.toFixed(0)} y:${k.yaw.toFixed(0)} r:${k.roll.toFixed(0)} zoom:${k.zoom.toFixed(0)}`;
+      row.insertCell().textContent = i < timeline.keyframes.length - 1 ? k.easing : '';
+
+      const actions = row.insertCell();
+      const goBtn = document.createElement('button');
+      goBtn.textContent = 'Go';
+      goBtn.title = 'Seek to this keyframe';
+      goBtn.disabled = disabled;
+      goBtn.addEventListener('click', () => command('/api/timeline/seek', { time: k.t }));
+      const delBtn = document.createElement('button');
+      delBtn.textContent = '✕';
+      delBtn.title = 'Delete keyframe';
+      delBtn.disabled = disabled;
+      delBtn.addEventListener('click', () => command('/api/timeline/keyframe/delete', { index: i }));
+      actions.appendChild(goBtn);
+      actions.appendChild(delBtn);
+    });
+  }
+
+  $('tlPlay').addEventListener('click', () => command('/api/timeline/play'));
+  $('tlPause').addEventListener('click', () => command('/api/timeline/pause'));
+  $('tlStop').addEventListener('click', () => command('/api/timeline/stop'));
+  $('tlLoop').addEventListener('change', () => command('/api/timeline', { loop: $('tlLoop').checked }));
+
+  const seekEl = $('tlSeek');
+  seekEl.addEventListener('input', () => { seeking = true; });
+  seekEl.addEventListener('change', () => {
+    seeking = false;
+    command('/api/timeline/seek', { time: parseFloat(seekEl.value) });
+  });
+
+  $('tlAddKey').addEventListener('click', () => {
+    const timeValue = $('tlKeyTime').value;
+    const body = { easing: $('tlEasing').value };
+    if (timeValue !== '') body.t = parseFloat(timeValue);
+    command('/api/timeline/keyframe', body).then(() => { $('tlKeyTime').value = ''; });
+  });
+
+  bridge.onMessage((msg) => {
+    if (msg.type === 'playback') {
+      setPlayback(msg.playback);
+    } else if (msg.type === 'timeline') {
+      // Keyframe edits, ours or another operator's
+      applyTimeline(msg);
+    } else if (msg.type === 'hello') {
+      if (msg.playback) setPlayback(msg.playback);
+      fetch('/api/timeline').then(r => r.json()).then(applyTimeline);
+    } else if (msg.type === 'auth') {
+      renderKeyframes();
+    }
+  });
+
+  requestAnimationFrame(renderClock);
+})();
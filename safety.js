@@ -0,0 +1,225 @@
+const cameraMath = require('./camera-math');
+
+// Safety envelope: the last check on every pose we send to VRChat.
+//
+//   geofence - a box (half extents `size`) or sphere (`radius`) around
+//              `anchor`; shape 'none' turns it off
+//   rates    - max linear speed (m/s), angular speed (deg/s) and zoom rate
+//              (units/s) between consecutive poses; 0 turns a limit off
+//
+// policy 'clamp' moves a violating pose to the nearest allowed one, 'reject'
+// keeps the camera where it was. Rates are measured against the last pose
+// sent or received, so VRChat moving the camera itself doesn't count.
+// Deliberate cuts (preset recall, the home pose) can skip the rate limits
+// once, but never the geofence.
+
+const POLICIES = ['clamp', 'reject'];
+const SHAPES = ['none', 'box', 'sphere'];
+const POSE_KEYS = ['x', 'y', 'z', 'pitch', 'yaw', 'roll', 'zoom'];
+const MIN_DT = 1 / 60;  // two sends in the same instant still get a step's worth
+const MAX_DT = 0.1;     // after a pause, a single move can't jump further than this allows
+
+const DEFAULTS = {
+  enabled: false,
+  policy: 'clamp',
+  shape: 'box',
+  anchor: [0, 0, 0],
+  size: [100, 50, 100],
+  radius: 100,
+  maxLinearSpeed: 30,
+  maxAngularSpeed: 360,
+  maxZoomRate: 200,
+  home: { x: 0, y: 1.6, z: 0, pitch: 0, yaw: 0, roll: 0, zoom: 45 }
+};
+
+function pickPose(src) {
+  const pose = {};
+  for (const key of POSE_KEYS) pose[key] = src[key];
+  return pose;
+}
+
+function isVector(v) {
+  return Array.isArray(v) && v.length === 3 && v.every(n => typeof n === 'number' && isFinite(n));
+}
+
+// Validate a partial settings object over current. Returns { settings } or { error }.
+function mergeSettings(current, input) {
+  if (!input || typeof input !== 'object') return { error: 'safety must be an object' };
+  const next = { ...current, home: { ...current.home } };
+  if (input.enabled !== undefined) next.enabled = !!input.enabled;
+  if (input.policy !== undefined) {
+    if (!POLICIES.includes(input.policy)) return { error: `safety.policy must be one of ${POLICIES.join(', ')}` };
+    next.policy = input.policy;
+  }
+  if (input.shape !== undefined) {
+    if (!SHAPES.includes(input.shape)) return { error: `safety.shape must be one of ${SHAPES.join(', ')}` };
+    next.shape = input.shape;
+  }
+  for (const key of ['anchor', 'size']) {
+    if (input[key] === undefined) continue;
+    if (!isVector(input[key]) || (key === 'size' && input[key].some(n => n <= 0))) {
+      return { error: `safety.${key} must be [x, y, z]${key === 'size' ? ' with positive half extents' : ''}` };
+    }
+    next[key] = input[key].slice();
+  }
+  for (const key of ['radius', 'maxLinearSpeed', 'maxAngularSpeed', 'maxZoomRate']) {
+    if (input[key] === undefined) continue;
+    const n = Number(input[key]);
+    if (!isFinite(n) || n < 0 || (key === 'radius' && n === 0)) return { error: `safety.${key} must be a positive number` };
+    next[key] = n;
+  }
+  if (input.home !== undefined) {
+    if (!input.home || !POSE_KEYS.every(k => typeof input.home[k] === 'number' && isFinite(input.home[k]))) {
+      return { error: `safety.home needs ${POSE_KEYS.join(', ')}` };
+    }
+    next.home = pickPose(input.home);
+  }
+  return { settings: next };
+}
+
+// Move pose's position inside the geofence. Returns true if it had to.
+function fence(settings, pose) {
+  const [ax, ay, az] = settings.anchor;
+  if (settings.shape === 'box') {
+    const [hx, hy, hz] = settings.size;
+    const x = cameraMath.clamp(pose.x, ax - hx, ax + hx);
+    const y = cameraMath.clamp(pose.y, ay - hy, ay + hy);
+    const z = cameraMath.clamp(pose.z, az - hz, az + hz);
+    const moved = x !== pose.x || y !== pose.y || z !== pose.z;
+    Object.assign(pose, { x, y, z });
+    return moved;
+  }
+  if (settings.shape === 'sphere') {
+    const d = [pose.x - ax, pose.y - ay, pose.z - az];
+    const len = Math.hypot(...d);
+    if (len <= settings.radius) return false;
+    const k = settings.radius / len;
+    Object.assign(pose, { x: ax + d[0] * k, y: ay + d[1] * k, z: az + d[2] * k });
+    return true;
+  }
+  return false;
+}
+
+// Angle between two orientations, deg
+function rotationBetween(a, b) {
+  const qa = cameraMath.eulerToQuaternion(a.pitch, a.yaw, a.roll);
+  const qb = cameraMath.eulerToQuaternion(b.pitch, b.yaw, b.roll);
+  const dot = Math.abs(qa[0] * qb[0] + qa[1] * qb[1] + qa[2] * qb[2] + qa[3] * qb[3]);
+  return 2 * Math.acos(Math.min(1, dot)) * 180 / Math.PI;
+}
+
+// Limit how far pose moved from prev in dt seconds. Returns the kinds of
+// limit it hit.
+function limitRates(settings, prev, pose, dt) {
+  const hit = [];
+  if (settings.maxLinearSpeed > 0) {
+    const d = [pose.x - prev.x, pose.y - prev.y, pose.z - prev.z];
+    const len = Math.hypot(...d);
+    const max = settings.maxLinearSpeed * dt;
+    if (len > max + 1e-9) {
+      const k = max / len;
+      Object.assign(pose, { x: prev.x + d[0] * k, y: prev.y + d[1] * k, z: prev.z + d[2] * k });
+      hit.push('speed');
+    }
+  }
+  if (settings.maxAngularSpeed > 0) {
+    const angle = rotationBetween(prev, pose);
+    const max = settings.maxAngularSpeed * dt;
+    if (angle > max + 1e-6) {
+      const q = cameraMath.slerp(
+        cameraMath.eulerToQuaternion(prev.pitch, prev.yaw, prev.roll),
+        cameraMath.eulerToQuaternion(pose.pitch, pose.yaw, pose.roll),
+        max / angle
+      );
+      Object.assign(pose, cameraMath.quaternionToEuler(q));
+      hit.push('rotation');
+    }
+  }
+  if (settings.maxZoomRate > 0) {
+    const max = settings.maxZoomRate * dt;
+    const dz = pose.zoom - prev.zoom;
+    if (Math.abs(dz) > max + 1e-9) {
+      pose.zoom = prev.zoom + Math.sign(dz) * max;
+      hit.push('zoom');
+    }
+  }
+  return hit;
+}
+
+function createSafetyEnvelope(initial, pose) {
+  let settings = { ...DEFAULTS, home: { ...DEFAULTS.home } };
+  let reference = pickPose(pose);   // last pose sent or received
+  let referenceAt = Date.now();
+  let skipRatesOnce = false;
+  let violations = 0;
+  let lastViolation = null;
+
+  if (initial) {
+    const result = mergeSettings(settings, initial);
+    if (result.error) console.error(`[Safety] Ignoring configured settings: ${result.error}`);
+    else settings = result.settings;
+  }
+
+  function observe(p) {
+    reference = pickPose(p);
+    referenceAt = Date.now();
+  }
+
+  return {
+    get settings() {
+      return { ...settings, home: { ...settings.home } };
+    },
+
+    // Returns { settings } or { error } (nothing changes then)
+    configure(input) {
+      const result = mergeSettings(settings, input);
+      if (result.error) return result;
+      settings = result.settings;
+      return result;
+    },
+
+    status() {
+      return { ...this.settings, violations, lastViolation };
+    },
+
+    // A pose that didn't go through check() (VRChat's own)
+    observe,
+
+    // The next check() won't apply rate limits (a deliberate cut)
+    skipRates() {
+      skipRatesOnce = true;
+    },
+
+    // Check (and fix up) an outgoing pose in place.
+    // Returns { violations: ['geofence', 'speed', ...], rejected }.
+    check(p) {
+      const skip = skipRatesOnce;
+      skipRatesOnce = false;
+      if (!settings.enabled) {
+        observe(p);
+        return { violations: [], rejected: false };
+      }
+
+      const now = Date.now();
+      const dt = cameraMath.clamp((now - referenceAt) / 1000, MIN_DT, MAX_DT);
+      const candidate = pickPose(p);
+      const hit = skip ? [] : limitRates(settings, reference, candidate, dt);
+      if (fence(settings, candidate)) hit.push('geofence');
+
+      const rejected = hit.length > 0 && settings.policy === 'reject';
+      // Rejecting keeps the last good pose (fenced, in case the fence moved)
+      const result = rejected ? pickPose(reference) : candidate;
+      if (rejected) fence(settings, result);
+      Object.assign(p, result);
+      observe(p);
+
+      if (hit.length) {
+        violations++;
+        lastViolation = { kinds: hit, rejected, at: new Date(now).toISOString() };
+      }
+      return { violations: hit, rejected };
+    }
+  };
+}
+
+module.exports = { POLICIES, SHAPES, createSafetyEnvelope };
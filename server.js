@@ -1,10 +1,33 @@
 const http = require('http');
+const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
 const dgram = require('dgram');
+const net = require('net');
 const crypto = require('crypto');
+const os = require('os');
 const { getLocalIP } = require('./utils');
+const { acceptUpgrade, rejectUpgrade } = require('./websocket');
+const cameraMath = require('./camera-math');
+const animation = require('./animation');
+const { createPresetStore, pickPose } = require('./presets');
+const { createRegistry, DEFAULT_PROFILE } = require('./osc-params');
+const { createMotionLoop, DEFAULT_LIMITS: MOTION_LIMITS } = require('./motion');
+const osc = require('./osc');
+const { createRelay } = require('./osc-relay');
+const { ROLES, hasRole, createUserStore } = require('./users');
+const { createControlLock } = require('./control');
+const { createSessionStore } = require('./sessions');
+const { createLoginThrottle } = require('./throttle');
+const { SCOPES, createApiKeyStore } = require('./api-keys');
+const { loadCertificate, fingerprint } = require('./tls-cert');
+const { createTakeStore, createRecorder, createTakePlayer } = require('./takes');
+const cameraPath = require('./camera-path');
+const { createCameraModes } = require('./camera-modes');
+const { createSafetyEnvelope } = require('./safety');
+const { createOutputStage } = require('./output');
+const { createMjpegRelay } = require('./frame-hub');
 
 // Load config from file
 let serverConfig = {
@@ -29,35 +52,71 @@ try {
   console.log('Using default configuration');
 }
 
-// Session management
-const activeSessions = new Set();
-const SESSION_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+// HTTPS: "https": true serves the UI over TLS on httpsPort, using tlsCert/tlsKey
+// (PEM paths, relative to this folder) or a generated self-signed certificate
+// in certs/. The plain port then only redirects.
+const USE_HTTPS = !!serverConfig.https;
 
-function generateSessionToken() {
-  return crypto.randomBytes(32).toString('hex');
+// User accounts (users.json). The first run turns config.json's password
+// into an 'admin' account.
+const userStore = createUserStore(path.join(__dirname, 'users.json'), serverConfig.password);
+
+// Session management (sessions.json, survives restarts)
+const SESSION_IDLE = 24 * 60 * 60 * 1000;          // expires after a day without use
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000;  // and 30 days after login regardless
+const sessionStore = createSessionStore(path.join(__dirname, 'sessions.json'), { idleMs: SESSION_IDLE, maxAgeMs: SESSION_MAX_AGE });
+
+// API keys for scripts and hardware controllers (api-keys.json)
+const apiKeys = createApiKeyStore(path.join(__dirname, 'api-keys.json'));
+
+// Failed logins lock out the username after 5 tries, and the address after 20
+const LOGIN_WINDOW = 15 * 60 * 1000;
+const userThrottle = createLoginThrottle({ maxFailures: 5, windowMs: LOGIN_WINDOW, lockoutMs: LOGIN_WINDOW });
+const ipThrottle = createLoginThrottle({ maxFailures: 20, windowMs: LOGIN_WINDOW, lockoutMs: LOGIN_WINDOW });
+
+// The session's user with their current role, or null. Looked up on every
+// call so role changes and removals take effect immediately.
+function getSessionUser(token) {
+  const session = sessionStore.get(token);
+  return session ? userStore.get(session.username) : null;
 }
 
 function isValidSession(token) {
-  return activeSessions.has(token);
+  return !!getSessionUser(token);
 }
 
-function createSession() {
-  const token = generateSessionToken();
-  activeSessions.add(token);
-  // Clean up session after duration
-  setTimeout(() => activeSessions.delete(token), SESSION_DURATION);
-  return token;
+// End every session of a user (removed account, password reset, "log out everywhere")
+function endUserSessions(username) {
+  const sockets = [...wsClients].filter(ws => {
+    const user = getSessionUser(ws.sessionToken);
+    return user && user.username === username;
+  });
+  sessionStore.removeUser(username);
+  sockets.forEach(ws => revokeSocketSession(ws.sessionToken));
+  control.releaseUser(username);
 }
 
 // Configuration (editable via /api/config)
 let cfg = {
-  oscHost: '127.0.0.1',
-  oscPort: 9000,
+  oscHost: serverConfig.oscHost || '127.0.0.1',
+  oscPort: serverConfig.oscPort || 9000,       // VRChat listens here
+  oscListenPort: serverConfig.oscListenPort || 9001,  // VRChat sends here
+  oscRoutes: serverConfig.oscRoutes || [],    // extra OSC targets, see osc-relay.js
   // OSC address mappings based on VRChat 2025.3.3 documentation
   addressPose: '/usercamera/Pose',  // Position & rotation: (x, y, z, pitch, yaw, roll)
-  addressZoom: '/usercamera/Zoom'   // Zoom slider: 20-150, default 45
+  addressZoom: '/usercamera/Zoom',  // Zoom slider: 20-150, default 45
+  // Defaults for /api/move when the request doesn't say (see camera-math.js)
+  moveFrame: 'world',      // 'world', 'local' (camera axes) or 'drone' (yaw only)
+  rotationFrame: 'euler',  // 'euler' (add to angles) or 'local' (camera axes)
+  animationRate: 30,       // poses/second sent while a timeline plays
+  oscProfile: DEFAULT_PROFILE,  // VRChat address profile, see osc-params.js
+  motion: { ...MOTION_LIMITS, ...serverConfig.motion },  // hold-to-move loop, see motion.js
+  controlTimeout: serverConfig.controlTimeout || 60  // seconds idle before the control token is released
 };
 
+// Registry of every other user camera parameter (mode, exposure, flying, ...)
+let oscParams = createRegistry(cfg.oscProfile, serverConfig.oscProfiles);
+
 // Local camera state (server-side authoritative so UI can send deltas)
 const state = {
   x: 0,
@@ -66,207 +125,1156 @@ const state = {
   pitch: 0,
   yaw: 0,
   roll: 0,
-  zoom: 45  // Default zoom per VRChat docs (20-150 range)
+  zoom: 45,  // Default zoom per VRChat docs (20-150 range)
+  params: oscParams.defaults()  // Mirrored user camera parameters, keyed by registry key
 };
 
+// Geofence and rate limits on every pose we send (see safety.js)
+const safety = createSafetyEnvelope(serverConfig.safety, state);
+cfg.safety = safety.settings;
+
+// What actually goes to VRChat: state is the commanded pose, and the output
+// stage eases toward it and sends at a fixed rate (see output.js)
+const output = createOutputStage({
+  settings: serverConfig.output,
+  send: (pose, changed) => {
+    if (changed.pose) {
+      // /usercamera/Pose expects 6 floats (x, y, z, pitch, yaw, roll)
+      sendOsc(cfg.addressPose, ['f','f','f','f','f','f'], [pose.x, pose.y, pose.z, pose.pitch, pose.yaw, pose.roll]);
+    }
+    if (changed.zoom && cfg.addressZoom) sendOsc(cfg.addressZoom, ['f'], [pose.zoom]);
+  }
+});
+cfg.output = output.settings;
+
 const oscSocket = dgram.createSocket('udp4');
 
+// Copies of incoming/outgoing OSC for other tools sharing VRChat's ports
+const oscRelay = createRelay({
+  routes: cfg.oscRoutes,
+  send: (buf, port, host, cb) => oscSocket.send(buf, 0, buf.length, port, host, cb)
+});
+cfg.oscRoutes = oscRelay.routes;
+
 // OSC Receiver - listen for incoming OSC messages
-const oscReceiver = dgram.createSocket('udp4');
+const oscDispatcher = osc.createDispatcher();
 
-function pad4(n) { return (4 - (n % 4)) % 4; }
+function logOscMessage({ address, args }) {
+  console.log(`[OSC] ${address}: (${args.map(a => typeof a === 'number' ? a.toFixed(6) : a).join(', ')})`);
+}
 
-// Parse OSC message
-function parseOscMessage(buffer) {
-  let offset = 0;
-  
-  // Read address pattern (null-terminated string, padded to 4 bytes)
-  const addressEnd = buffer.indexOf(0, offset);
-  if (addressEnd === -1) return null;
-  const address = buffer.toString('utf8', offset, addressEnd);
-  offset = addressEnd + 1;
-  offset = Math.ceil(offset / 4) * 4; // Pad to 4 bytes
-  
-  // Read type tag (starts with ',', null-terminated, padded to 4 bytes)
-  if (offset >= buffer.length) return { address, types: '', args: [] };
-  const typeTagEnd = buffer.indexOf(0, offset);
-  if (typeTagEnd === -1) return null;
-  const typeTag = buffer.toString('utf8', offset, typeTagEnd);
-  offset = typeTagEnd + 1;
-  offset = Math.ceil(offset / 4) * 4; // Pad to 4 bytes
-  
-  // Parse arguments based on type tag
-  const types = typeTag.substring(1); // Skip the ','
-  const args = [];
-  
-  for (let i = 0; i < types.length && offset < buffer.length; i++) {
-    const type = types[i];
-    
-    if (type === 'f') {
-      // Float (4 bytes, big-endian)
-      if (offset + 4 > buffer.length) break;
-      args.push(buffer.readFloatBE(offset));
-      offset += 4;
-    } else if (type === 'i') {
-      // Integer (4 bytes, big-endian)
-      if (offset + 4 > buffer.length) break;
-      args.push(buffer.readInt32BE(offset));
-      offset += 4;
-    } else if (type === 's') {
-      // String (null-terminated, padded to 4 bytes)
-      const strEnd = buffer.indexOf(0, offset);
-      if (strEnd === -1) break;
-      args.push(buffer.toString('utf8', offset, strEnd));
-      offset = strEnd + 1;
-      offset = Math.ceil(offset / 4) * 4;
-    } else if (type === 'b') {
-      // Blob (4-byte size + data, padded to 4 bytes)
-      if (offset + 4 > buffer.length) break;
-      const blobSize = buffer.readInt32BE(offset);
-      offset += 4;
-      if (offset + blobSize > buffer.length) break;
-      args.push(buffer.slice(offset, offset + blobSize));
-      offset += blobSize;
-      offset = Math.ceil(offset / 4) * 4;
+// Handle specific addresses based on VRChat OSC documentation
+oscDispatcher.on('/usercamera/Pose', ({ args }) => {
+  // Format: (x, y, z, pitch, yaw, roll) - 6 floats
+  if (args.length < 6 || !args.slice(0, 6).every(a => typeof a === 'number')) return;
+  // While we're easing toward a target VRChat is echoing our own output;
+  // the target stands
+  if (output.isActive()) return;
+  state.x = args[0];
+  state.y = args[1];
+  state.z = args[2];
+  state.pitch = args[3];
+  state.yaw = args[4];
+  state.roll = args[5];
+  console.log(`[OSC] Updated camera pose: x=${state.x.toFixed(2)} y=${state.y.toFixed(2)} z=${state.z.toFixed(2)} pitch=${state.pitch.toFixed(2)} yaw=${state.yaw.toFixed(2)} roll=${state.roll.toFixed(2)}`);
+  safety.observe(state);
+  output.observe(state);
+  recorder.capture('osc', state);
+  publishState();
+});
+
+// Everything else the registry knows about (Zoom, Exposure, Flying, ...).
+// A pattern address like /usercamera/{Exposure,Aperture} sets every match.
+oscDispatcher.otherwise(({ address, types, args }) => {
+  if (cameraModes.feed(address, args)) return;
+  const params = osc.isPattern(address)
+    ? oscParams.params.filter(p => osc.matchAddress(address, p.address))
+    : [oscParams.lookup(address)].filter(Boolean);
+  let changed = false;
+  let poseChanged = false;
+  for (const param of params) {
+    const value = oscParams.fromOsc(param, types, args);
+    if (value === undefined) continue;
+    if (param.stateKey && output.isActive()) continue;  // our own zoom echoed mid-ease
+    if (param.stateKey) state[param.stateKey] = value;
+    else state.params[param.key] = value;
+    console.log(`[OSC] Updated ${param.key}: ${value}`);
+    changed = true;
+    if (param.stateKey) poseChanged = true;
+  }
+  // Zoom is part of a recorded take
+  if (poseChanged) {
+    safety.observe(state);
+    output.observe(state);
+    recorder.capture('osc', state);
+  }
+  if (changed) publishState();
+});
+
+function handleOscPacket(msg, rinfo) {
+  let packet;
+  try {
+    packet = osc.decodePacket(msg);
+  } catch (err) {
+    console.log(`[OSC] Received invalid packet from ${rinfo.address}:${rinfo.port}: ${err.message}`);
+    return;
+  }
+  oscRelay.forward('in', msg, packet, rinfo);
+  osc.messagesOf(packet).forEach(logOscMessage);
+  try {
+    oscDispatcher.dispatch(packet, rinfo);
+  } catch (err) {
+    console.error('[OSC] Error handling message:', err.message);
+  }
+}
+
+// The receiver is recreated when the listen port changes
+let oscReceiver = null;
+
+function startOscReceiver(port) {
+  if (oscReceiver) oscReceiver.close();
+  const socket = dgram.createSocket('udp4');
+  oscReceiver = socket;
+  socket.on('message', handleOscPacket);
+  socket.on('error', (err) => {
+    if (err.code === 'EADDRINUSE') {
+      console.error(`[OSC Receiver] Port ${port} is already in use - is another OSC app listening there? Add it as a relay route instead.`);
     } else {
-      // Unknown type, skip
-      continue;
+      console.error('[OSC Receiver] Error:', err);
     }
+    socket.close();
+    if (oscReceiver === socket) oscReceiver = null;
+  });
+  socket.bind(port, '0.0.0.0', () => {
+    console.log(`[OSC] Listening for OSC messages on port ${port}`);
+  });
+}
+
+startOscReceiver(cfg.oscListenPort);
+
+// packet is the decoded form of buf, for the relay's address filters
+function sendOscPacket(buf, packet) {
+  oscSocket.send(buf, 0, buf.length, cfg.oscPort, cfg.oscHost, (err) => {
+    if (err) console.error('OSC send error', err);
+  });
+  oscRelay.forward('out', buf, packet);
+}
+
+function sendOsc(address, types, args) {
+  try {
+    sendOscPacket(osc.encodeMessage(address, types, args), { address, types, args });
+  } catch (e) {
+    console.error('Failed to build/send OSC', e);
   }
-  
-  return { address, types, args };
 }
 
-// Handle incoming OSC messages
-oscReceiver.on('message', (msg, rinfo) => {
+// Bundles from POST /api/osc/bundle that aren't due yet
+const oscSendQueue = osc.createScheduler();
+const MAX_BUNDLE_MESSAGES = 64;
+
+// Send a group of messages together at a timetag (Date, ms or NTP timetag).
+// VRChat applies bundles on arrival, so future bundles are held here and
+// sent when they're due rather than relying on the receiver to wait.
+// Returns { ok } or { error, status }.
+function sendOscBundle(timetag, elements) {
+  let buf;
   try {
-    const parsed = parseOscMessage(msg);
-    if (!parsed) {
-      console.log(`[OSC] Received invalid message from ${rinfo.address}:${rinfo.port}`);
-      return;
-    }
-    
-    const { address, types, args } = parsed;
-    
-    // Log all OSC messages
-    console.log(`[OSC] ${address}: (${args.map(a => typeof a === 'number' ? a.toFixed(6) : a).join(', ')})`);
-    
-    // Handle specific addresses based on VRChat OSC documentation
-    if (address === '/usercamera/Pose' && args.length >= 6) {
-      // Update state from VRChat camera pose
-      // Format: (x, y, z, pitch, yaw, roll) - 6 floats
-      state.x = args[0];
-      state.y = args[1];
-      state.z = args[2];
-      state.pitch = args[3];
-      state.yaw = args[4];
-      state.roll = args[5];
-      console.log(`[OSC] Updated camera pose: x=${state.x.toFixed(2)} y=${state.y.toFixed(2)} z=${state.z.toFixed(2)} pitch=${state.pitch.toFixed(2)} yaw=${state.yaw.toFixed(2)} roll=${state.roll.toFixed(2)}`);
-    } else if (address === '/usercamera/Zoom' && args.length >= 1) {
-      // Update zoom from VRChat (range: 20-150)
-      state.zoom = Math.max(20, Math.min(150, args[0]));
-      console.log(`[OSC] Updated zoom: ${state.zoom.toFixed(2)}`);
+    buf = osc.encodeBundle(osc.IMMEDIATE, elements);
+  } catch (e) {
+    return { error: e.message, status: 400 };
+  }
+  const packet = { bundle: true, timetag: osc.IMMEDIATE, elements };
+  if (!oscSendQueue.at(timetag, () => sendOscPacket(buf, packet))) {
+    return { error: 'Too many OSC bundles waiting to be sent', status: 503 };
+  }
+  return { ok: true };
+}
+
+// Validate { at?, messages: [{ address, types?, args? }] } for
+// POST /api/osc/bundle; at is ms since 1970 or a date string, and may be up
+// to a minute ahead. Returns { timetag, elements } or { error }.
+function parseOscBundle(body) {
+  const { at, messages } = body;
+  if (!Array.isArray(messages) || !messages.length || messages.length > MAX_BUNDLE_MESSAGES) {
+    return { error: `messages must be a list of 1 to ${MAX_BUNDLE_MESSAGES} OSC messages` };
+  }
+  const elements = [];
+  for (const msg of messages) {
+    if (!msg || typeof msg.address !== 'string' || msg.address[0] !== '/') return { error: 'Each message needs an address starting with /' };
+    if (msg.types !== undefined && typeof msg.types !== 'string') return { error: 'types must be a type tag string, e.g. "ff"' };
+    if (msg.args !== undefined && !Array.isArray(msg.args)) return { error: 'args must be a list' };
+    elements.push({ address: msg.address, types: msg.types, args: msg.args || [] });
+  }
+  if (at === undefined || at === null) return { timetag: osc.IMMEDIATE, elements };
+  const ms = typeof at === 'string' ? Date.parse(at) : at;
+  if (typeof ms !== 'number' || !Number.isFinite(ms)) return { error: 'at must be a time in ms since 1970 or a date string' };
+  if (ms - Date.now() > osc.MAX_SCHEDULE_AHEAD_MS) return { error: `at can be at most ${osc.MAX_SCHEDULE_AHEAD_MS / 1000} s ahead` };
+  return { timetag: osc.timetagFromDate(ms), elements };
+}
+
+// Hand the commanded pose to the output stage, which sends it to VRChat.
+// Returns the safety check ({ violations, rejected }); state holds the pose
+// after the check.
+function broadcastState() {
+  cameraModes.aim(state);
+  const check = safety.check(state);
+  if (check.violations.length) reportSafetyViolation(check);
+  recorder.capture('web', state);
+  output.setTarget(state);
+  return check;
+}
+
+// The next pose is a deliberate cut: no rate limits, no easing
+function markCut() {
+  safety.skipRates();
+  output.snap();
+}
+
+// Hold-to-move against a fence violates every tick, so tell clients (and the
+// log) at most every SAFETY_REPORT_INTERVAL
+const SAFETY_REPORT_INTERVAL = 500;
+let lastSafetyReport = 0;
+
+function reportSafetyViolation(check) {
+  if (Date.now() - lastSafetyReport < SAFETY_REPORT_INTERVAL) return;
+  lastSafetyReport = Date.now();
+  console.log(`[Safety] ${check.rejected ? 'Rejected' : 'Clamped'} pose: ${check.violations.join(', ')}`);
+  publishToClients({ type: 'safety', safety: safety.status() });
+}
+
+function safetyMessage(check) {
+  return `Move ${check.rejected ? 'rejected' : 'clamped'} by the safety envelope (${check.violations.join(', ')})`;
+}
+
+// Panic button: stop everything and cut straight to the home pose
+function goHome() {
+  motion.halt();
+  if (player.status().playing) player.pause();
+  transition.stop();
+  takePlayer.stop();
+  cameraModes.stop();
+  markCut();
+  applyPose(safety.settings.home);
+}
+
+// Set one registry parameter and send it to VRChat.
+// Returns { value } (after clamping) or { error }.
+function setParam(key, value) {
+  const param = oscParams.get(key);
+  if (!param) return { error: `Unknown parameter: ${key}` };
+  const result = oscParams.coerce(param, value);
+  if (result.error) return result;
+
+  if (param.stateKey) {
+    // Zoom lives on the pose state and goes out through broadcastState()
+    state[param.stateKey] = result.value;
+    broadcastState();
+  } else {
+    if (param.type !== 'button') state.params[param.key] = result.value;
+    const { types, args } = oscParams.toOsc(param, result.value);
+    sendOsc(param.address, types, args);
+  }
+  return result;
+}
+
+// Apply { key: value, ... } from the API. Returns per-key errors, if any.
+function applyParams(values) {
+  const errors = {};
+  for (const [key, value] of Object.entries(values)) {
+    const result = setParam(key, value);
+    if (result.error) errors[key] = result.error;
+  }
+  publishState();
+  return errors;
+}
+
+function turnOffFlying() {
+  // Turn off flying mode in VRChat camera (sends OSC boolean false)
+  setParam('flying', false);
+}
+
+// Apply a move command from any client (HTTP or WebSocket).
+// Accepts either deltas (dx/dy/dz/dpitch/...) or absolute values when absolute:true.
+// Deltas are interpreted in body.frame / body.rotationFrame (or the cfg defaults).
+// Returns the safety check for the pose that went out.
+function applyMove(body) {
+  // Manual input takes the camera back from a playing timeline or glide
+  if (player.status().playing) player.pause();
+  transition.stop();
+  takePlayer.stop();
+
+  if (body.absolute) {
+    if (typeof body.x === 'number') state.x = body.x;
+    if (typeof body.y === 'number') state.y = body.y;
+    if (typeof body.z === 'number') state.z = body.z;
+    if (typeof body.pitch === 'number') state.pitch = cameraMath.clampPitch(body.pitch);
+    if (typeof body.yaw === 'number') state.yaw = cameraMath.wrapAngle(body.yaw);
+    if (typeof body.roll === 'number') state.roll = cameraMath.wrapAngle(body.roll);
+    if (typeof body.zoom === 'number') state.zoom = Math.max(20, Math.min(150, body.zoom));
+  } else {
+    applyDelta(body);
+  }
+  clampZoom();
+
+  // Send to VRChat via OSC
+  let check = { violations: [], rejected: false };
+  try {
+    check = broadcastState();
+    // Automatically turn off flying mode after user input
+    //turnOffFlying();
+  } catch (e) { console.error(e); }
+
+  publishState();
+  return check;
+}
+
+// Apply a delta move (frame-relative translation, rotation, zoom) to state
+// without sending anything. Shared by /api/move and the motion loop.
+function applyDelta(body) {
+  const num = (v) => typeof v === 'number' && isFinite(v) ? v : 0;
+  const frame = cameraMath.MOVE_FRAMES.includes(body.frame) ? body.frame : cfg.moveFrame;
+  const rotationFrame = cameraMath.ROTATION_FRAMES.includes(body.rotationFrame) ? body.rotationFrame : cfg.rotationFrame;
+
+  const [wx, wy, wz] = cameraMath.toWorldDelta(frame, state, num(body.dx), num(body.dy), num(body.dz));
+  state.x += wx;
+  state.y += wy;
+  state.z += wz;
+
+  if (body.dpitch || body.dyaw || body.droll) {
+    const rot = cameraMath.applyRotationDelta(rotationFrame, state, num(body.dpitch), num(body.dyaw), num(body.droll));
+    state.pitch = rot.pitch;
+    state.yaw = rot.yaw;
+    state.roll = rot.roll;
+  }
+  if (typeof body.dzoom === 'number') state.zoom += body.dzoom;
+}
+
+// bounding / normalization for zoom (VRChat range: 20-150)
+function clampZoom() {
+  if (state.zoom < 20) state.zoom = 20;
+  if (state.zoom > 150) state.zoom = 150;
+}
+
+// -- Hold-to-move --
+// Clients stream target velocities; the loop integrates them at a fixed rate.
+const motion = createMotionLoop({
+  limits: cfg.motion,
+  applyStep: (step) => {
+    applyDelta(step);
+    clampZoom();
+  },
+  onTick: () => {
+    broadcastState();
+    publishState();
+  }
+});
+
+// -- Orbit / look-at / follow --
+// Target modes steer the pose; see camera-modes.js
+const cameraModes = createCameraModes({
+  pose: state,
+  onTick: () => {
+    broadcastState();
+    publishState();
+  },
+  onStatus: (cameraMode) => publishToClients({ type: 'cameraMode', cameraMode })
+});
+
+function handleModeRoutes(req, res, parsed) {
+  if (parsed.pathname !== '/api/mode') return false;
+
+  if (req.method === 'GET') {
+    requireViewer(req, res, () => sendJson(res, cameraModes.status()));
+    return true;
+  }
+  if (req.method !== 'POST') return false;
+
+  requireAuth(req, res, (user) => {
+    collectRequestJson(req, (body) => {
+      body = body || {};
+      if (!requireControl(req, res, user)) return;
+      // A mode takes over from playback, like a manual move would
+      if (body.mode && body.mode !== 'free') {
+        if (player.status().playing) player.pause();
+        transition.stop();
+        takePlayer.stop();
+      }
+      const result = cameraModes.set(body);
+      if (result.error) return sendJson(res, { error: result.error }, 400);
+      sendJson(res, { ok: true, ...result.status });
+    });
+  });
+  return true;
+}
+
+// -- Spout bridge --
+// spout-bridge.js serves the preview on BRIDGE_PORT and answers its capture
+// control API only on loopback; these routes put it behind our login.
+//   GET  /api/bridge/capture   source, options, available sources
+//   POST /api/bridge/capture   { source?, size?, fps?, quality?, streamUrl?, ... }
+//   GET  /api/spout/snapshot.jpg?width=&quality=&format=   one still (snapshots.js)
+const BRIDGE_HOST = '127.0.0.1';
+const BRIDGE_PORT = 8888;
+const BRIDGE_TIMEOUT_MS = 5000;
+
+// The /api/spout preview, one upstream for all viewers
+const spoutRelay = createMjpegRelay({ hostname: BRIDGE_HOST, port: BRIDGE_PORT, path: '/mjpeg', timeout: BRIDGE_TIMEOUT_MS });
+
+// Upgrade headers the bridge's WebSocket handshake needs; cookies and the
+// like stay here
+const PREVIEW_SOCKET_HEADERS = ['upgrade', 'connection', 'sec-websocket-key', 'sec-websocket-version'];
+
+// The preview is public if allowPublicViewing is true, otherwise it takes a
+// session or an API key with the read scope
+function canWatchPreview(req) {
+  if (serverConfig.allowPublicViewing || isValidSession(getCookie(req, 'session'))) return true;
+  const apiKey = getApiKey(req);
+  return !!apiKey && apiKey.scopes.includes('read');
+}
+
+// /api/spout/snapshot.jpg: the bridge's /snapshot.jpg with the same query
+function proxySnapshot(req, res, parsed) {
+  const bridgeReq = http.request({
+    hostname: BRIDGE_HOST,
+    port: BRIDGE_PORT,
+    path: `/snapshot.jpg${parsed.search || ''}`,
+    method: req.method,
+    timeout: BRIDGE_TIMEOUT_MS
+  }, (bridgeRes) => {
+    const headers = { 'Cache-Control': 'no-cache' };
+    for (const name of ['content-type', 'content-length', 'x-frame-seq']) {
+      if (bridgeRes.headers[name] !== undefined) headers[name] = bridgeRes.headers[name];
     }
-    // Add more handlers for other OSC addresses as needed
-    
-  } catch (err) {
-    console.error('[OSC] Error parsing message:', err.message);
+    res.writeHead(bridgeRes.statusCode, headers);
+    bridgeRes.pipe(res);
+  });
+  bridgeReq.on('timeout', () => bridgeReq.destroy(new Error('timed out')));
+  bridgeReq.on('error', (err) => {
+    if (res.headersSent) return res.destroy();
+    sendJson(res, { error: 'Spout bridge not running', message: `Start spout-bridge.js in another terminal: node spout-bridge.js (${err.message})` }, 503);
+  });
+  bridgeReq.end();
+}
+
+// /api/spout/h264?latency=...: the bridge's H.264 WebSocket (/fmp4), passed
+// through byte for byte once we've let the viewer in
+function proxyPreviewSocket(req, socket, head, parsed) {
+  const upstream = net.connect(BRIDGE_PORT, BRIDGE_HOST);
+  let connected = false;
+  upstream.setTimeout(BRIDGE_TIMEOUT_MS);
+  upstream.on('connect', () => {
+    connected = true;
+    upstream.setTimeout(0);
+    const headers = PREVIEW_SOCKET_HEADERS
+      .filter(name => req.headers[name] !== undefined)
+      .map(name => `${name}: ${req.headers[name]}\r\n`)
+      .join('');
+    upstream.write(`GET /fmp4${parsed.search || ''} HTTP/1.1\r\nHost: ${BRIDGE_HOST}:${BRIDGE_PORT}\r\n${headers}\r\n`);
+    if (head && head.length) upstream.write(head);
+    upstream.pipe(socket);
+    socket.pipe(upstream);
+  });
+  upstream.on('timeout', () => upstream.destroy(new Error('timed out')));
+  upstream.on('error', (err) => {
+    if (connected) return socket.destroy();
+    console.error('Spout bridge error:', err.message);
+    rejectUpgrade(socket, 503, 'Spout bridge not running');
+  });
+  upstream.on('close', () => { if (connected) socket.destroy(); });
+  socket.on('error', () => upstream.destroy());
+  socket.on('close', () => upstream.destroy());
+}
+
+// callback(status, body); status 503 when the bridge isn't there
+function bridgeRequest(method, bridgePath, body, callback) {
+  const payload = body === undefined ? null : JSON.stringify(body);
+  const bridgeReq = http.request({
+    hostname: BRIDGE_HOST,
+    port: BRIDGE_PORT,
+    path: bridgePath,
+    method,
+    timeout: BRIDGE_TIMEOUT_MS,
+    headers: payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}
+  }, (bridgeRes) => {
+    let text = '';
+    bridgeRes.on('data', (chunk) => text += chunk);
+    bridgeRes.on('end', () => {
+      try { callback(bridgeRes.statusCode, JSON.parse(text)); }
+      catch (e) { callback(502, { error: 'Bad response from the Spout bridge' }); }
+    });
+  });
+  bridgeReq.on('timeout', () => bridgeReq.destroy(new Error('timed out')));
+  bridgeReq.on('error', (err) => {
+    callback(503, { error: 'Spout bridge not running', message: `Start spout-bridge.js in another terminal: node spout-bridge.js (${err.message})` });
+  });
+  bridgeReq.end(payload);
+}
+
+function handleBridgeRoutes(req, res, parsed) {
+  if (parsed.pathname !== '/api/bridge/capture') return false;
+
+  if (req.method === 'GET') {
+    requireViewer(req, res, () => bridgeRequest('GET', '/api/capture', undefined, (status, body) => sendJson(res, body, status)));
+    return true;
+  }
+  if (req.method !== 'POST') return false;
+
+  // Changes the preview for everyone, like other settings
+  requireAuth(req, res, (user) => {
+    collectRequestJson(req, (body) => {
+      if (!body || typeof body !== 'object') return sendJson(res, { error: 'bad json' }, 400);
+      bridgeRequest('POST', '/api/capture', body, (status, result) => {
+        if (status === 200) {
+          console.log(`[Bridge] ${user.username} changed capture: ${JSON.stringify(body)}`);
+          publishToClients({ type: 'bridgeCapture', ...result });
+        }
+        sendJson(res, result, status);
+      });
+    });
+  }, 'admin', 'config');
+  return true;
+}
+
+// -- Safety envelope --
+// GET /api/safety for settings and the last violation; POST /api/safety/home
+// is the panic button. Settings change through /api/config { safety }.
+function handleSafetyRoutes(req, res, parsed) {
+  if (parsed.pathname === '/api/safety' && req.method === 'GET') {
+    requireViewer(req, res, () => sendJson(res, safety.status()));
+    return true;
+  }
+  if (parsed.pathname === '/api/safety/home' && req.method === 'POST') {
+    // Like stop, the panic button doesn't need the control token
+    requireAuth(req, res, (user) => {
+      console.log(`[Safety] ${user.username} sent the camera home`);
+      goHome();
+      sendJson(res, { ok: true, state });
+    }, 'operator', 'move');
+    return true;
+  }
+  return false;
+}
+
+function setVelocity(clientId, body) {
+  // Like a manual move, velocity input takes over from playback
+  if (player.status().playing) player.pause();
+  transition.stop();
+  takePlayer.stop();
+  motion.set(clientId, body);
+}
+
+// Returns { error } if something was rejected (nothing is applied then)
+function applyConfig(body) {
+  const listenPort = body.oscListenPort !== undefined ? Number(body.oscListenPort) : cfg.oscListenPort;
+  if (!Number.isInteger(listenPort) || listenPort < 1 || listenPort > 65535) {
+    return { error: 'oscListenPort must be 1-65535' };
   }
+  if (body.oscRoutes !== undefined) {
+    const result = oscRelay.setRoutes(body.oscRoutes);
+    if (result.error) return result;
+    cfg.oscRoutes = oscRelay.routes;
+  }
+  if (body.output !== undefined) {
+    const result = output.configure(body.output);
+    if (result.error) return result;
+    cfg.output = output.settings;
+  }
+  if (body.safety !== undefined) {
+    const result = safety.configure(body.safety);
+    if (result.error) return result;
+    cfg.safety = safety.settings;
+    publishToClients({ type: 'safety', safety: safety.status() });
+  }
+  if (listenPort !== cfg.oscListenPort) {
+    cfg.oscListenPort = listenPort;
+    startOscReceiver(listenPort);
+  }
+  if (body.oscHost) cfg.oscHost = body.oscHost;
+  if (body.oscPort) cfg.oscPort = Number(body.oscPort);
+  if (body.addressPose) cfg.addressPose = body.addressPose;
+  if (body.addressZoom !== undefined) cfg.addressZoom = body.addressZoom;
+  if (cameraMath.MOVE_FRAMES.includes(body.moveFrame)) cfg.moveFrame = body.moveFrame;
+  if (cameraMath.ROTATION_FRAMES.includes(body.rotationFrame)) cfg.rotationFrame = body.rotationFrame;
+  if (body.motion && typeof body.motion === 'object') {
+    motion.setLimits(body.motion);
+    cfg.motion = motion.limits;
+  }
+  if (body.oscProfile && body.oscProfile !== cfg.oscProfile) {
+    oscParams = createRegistry(body.oscProfile, serverConfig.oscProfiles);
+    cfg.oscProfile = oscParams.profile;
+  }
+  if (body.controlTimeout !== undefined && Number(body.controlTimeout) >= 0) {
+    cfg.controlTimeout = Number(body.controlTimeout);
+    control.setTimeout(cfg.controlTimeout * 1000);
+  }
+  if (body.animationRate) {
+    player.setRate(body.animationRate);
+    transition.setRate(body.animationRate);
+    cfg.animationRate = player.status().rate;
+  }
+  publishToClients({ type: 'config', cfg });
+  return {};
+}
+
+// -- Keyframe animation --
+// Timeline playback drives the same state + OSC path as manual moves.
+function applyPose(pose) {
+  Object.assign(state, pose);
+  broadcastState();
+  publishState();
+}
+
+const player = animation.createPlayer({
+  rate: cfg.animationRate,
+  onFrame: applyPose,
+  onStatus: (playback) => publishToClients({ type: 'playback', playback })
 });
 
-oscReceiver.on('error', (err) => {
-  console.error('[OSC Receiver] Error:', err);
+// Short two-keyframe moves (preset recall glides) run on their own player
+// so they don't clobber the user's timeline
+const transition = animation.createPlayer({
+  rate: cfg.animationRate,
+  onFrame: applyPose
 });
 
-// Start OSC receiver on port 9000
-oscReceiver.bind(9000, '0.0.0.0', () => {
-  console.log('[OSC] Listening for OSC messages on port 9000');
+function glideTo(pose, duration, easing) {
+  player.pause();
+  transition.stop();
+  takePlayer.stop();
+  cameraModes.stop();
+  motion.halt();
+  if (!(duration > 0)) {
+    markCut();
+    applyPose(pose);
+    return;
+  }
+  transition.load({
+    keyframes: [
+      { t: 0, easing, ...pickPose(state) },
+      { t: duration, easing, ...pickPose(pose) }
+    ],
+    loop: false
+  });
+  transition.play();
+}
+
+// -- Recorded takes --
+// Capture the live pose stream (see takes.js) and replay it through applyPose
+const takeStore = createTakeStore(path.join(__dirname, 'takes'));
+const MAX_TAKE_SPEED = 10;
+
+const recorder = createRecorder({
+  onStatus: (recording) => publishToClients({ type: 'recording', recording }),
+  onLimit: (recorded) => saveRecording(recorded)
 });
 
-function writePaddedString(str) {
-  const s = Buffer.from(str + '\0');
-  const pad = pad4(s.length);
-  if (pad === 0) return s;
-  return Buffer.concat([s, Buffer.alloc(pad)]);
-}
-
-function floatToBuffer(f) {
-  const b = Buffer.alloc(4);
-  b.writeFloatBE(f, 0);
-  return b;
-}
-
-function intToBuffer(i) {
-  const b = Buffer.alloc(4);
-  b.writeInt32BE(i, 0);
-  return b;
-}
-
-// Build a simple OSC message buffer for address and simple arg types (f,i,s,T,F)
-function buildOscMessage(address, types, args) {
-  const addressBuf = writePaddedString(address);
-  const typeTag = ',' + types.join('');
-  const typeBuf = writePaddedString(typeTag);
-
-  const argBufs = [];
-  for (let i = 0; i < types.length; i++) {
-    const t = types[i];
-    const a = args[i];
-    if (t === 'f') argBufs.push(floatToBuffer(Number(a)));
-    else if (t === 'i') argBufs.push(intToBuffer(Number(a)));
-    else if (t === 's') {
-      argBufs.push(writePaddedString(String(a)));
-    } else if (t === 'T' || t === 'F') {
-      // OSC boolean types: 'T' (true) and 'F' (false) have no argument data
-      // The type tag itself indicates the value
-      // No argument buffer needed
-    } else {
-      // unsupported type, send string fallback
-      argBufs.push(writePaddedString(String(a)));
+const takePlayer = createTakePlayer({
+  onFrame: applyPose,
+  onStatus: (takePlayback) => publishToClients({ type: 'takePlayback', takePlayback })
+});
+
+function saveRecording(recorded = recorder.stop()) {
+  if (!recorded) return { error: 'Not recording' };
+  const result = takeStore.create(recorded);
+  if (result.error) return result;
+  console.log(`[Takes] Saved ${result.take.name} (${result.take.duration.toFixed(1)}s, ${result.take.sampleCount} samples)`);
+  publishToClients({ type: 'takes', takes: takeStore.list() });
+  return result;
+}
+
+function takesResponse() {
+  return { ok: true, takes: takeStore.list(), recording: recorder.status(), playback: takePlayer.status() };
+}
+
+// Returns true if the request was a /api/takes route
+function handleTakeRoutes(req, res, parsed) {
+  const p = parsed.pathname;
+  if (p !== '/api/takes' && !p.startsWith('/api/takes/')) return false;
+
+  // /api/takes/<id>[/<action>], or /api/takes/record[/stop], /api/takes/stop
+  const [, id, action] = p.slice('/api/takes'.length).split('/');
+
+  if (req.method === 'GET') {
+    if (!id) {
+      requireViewer(req, res, () => sendJson(res, takesResponse()));
+      return true;
     }
+    if (action) return false;
+    requireViewer(req, res, () => {
+      const take = takeStore.get(id);
+      if (!take) return sendJson(res, { error: 'Take not found' }, 404);
+      sendJson(res, { take });
+    });
+    return true;
   }
+  if (req.method !== 'POST') return false;
 
-  return Buffer.concat([addressBuf, typeBuf, ...argBufs]);
+  requireAuth(req, res, (user) => {
+    collectRequestJson(req, (body) => {
+      body = body || {};
+
+      if (id === 'record' && !action) {
+        const result = recorder.start({ name: body.name || `Take ${takeStore.list().length + 1}`, source: body.source });
+        if (result.error) return sendJson(res, { error: result.error }, 400);
+        console.log(`[Takes] ${user.username} started recording (${recorder.status().source})`);
+        return sendJson(res, takesResponse());
+      }
+      if (id === 'record' && action === 'stop') {
+        const result = saveRecording();
+        if (result.error) return sendJson(res, { error: result.error }, 400);
+        return sendJson(res, { ...takesResponse(), take: result.take });
+      }
+      if (id === 'stop' && !action) {
+        if (!requireControl(req, res, user)) return;
+        takePlayer.stop();
+        return sendJson(res, takesResponse());
+      }
+
+      let result;
+      if (!action) {
+        result = takeStore.rename(id, body.name);
+      } else if (action === 'trim') {
+        result = takeStore.trim(id, body.start, body.end);
+      } else if (action === 'delete') {
+        if (takePlayer.status().id === id) takePlayer.stop();
+        result = takeStore.remove(id) ? {} : { error: 'Take not found', notFound: true };
+      } else if (action === 'play') {
+        const take = takeStore.get(id);
+        if (!take) return sendJson(res, { error: 'Take not found' }, 404);
+        // Retime with speed (2 = twice as fast) or a target duration in seconds
+        let speed = body.speed !== undefined ? Number(body.speed) : 1;
+        if (body.duration !== undefined) speed = Number(body.duration) > 0 ? take.duration / Number(body.duration) : NaN;
+        if (!(speed > 0) || !isFinite(speed)) return sendJson(res, { error: 'speed must be a positive number' }, 400);
+        if (!requireControl(req, res, user)) return;
+        player.pause();
+        transition.stop();
+        cameraModes.stop();
+        motion.halt();
+        markCut();
+        takePlayer.play(take, cameraMath.clamp(speed, 1 / MAX_TAKE_SPEED, MAX_TAKE_SPEED));
+        return sendJson(res, takesResponse());
+      } else {
+        return sendJson(res, { error: 'not found' }, 404);
+      }
+      if (result.error) return sendJson(res, { error: result.error }, result.notFound ? 404 : 400);
+      publishToClients({ type: 'takes', takes: takeStore.list() });
+      sendJson(res, takesResponse());
+    });
+  });
+  return true;
 }
 
-function sendOsc(address, types, args) {
-  try {
-    const msg = buildOscMessage(address, types, args);
-    oscSocket.send(msg, 0, msg.length, cfg.oscPort, cfg.oscHost, (err) => {
-      if (err) console.error('OSC send error', err);
+// -- Path export / import --
+// GET /api/export/timeline?format=chan or /api/export/takes/<id>?format=gltf
+// (plus fps, space, aspect, filmback; see camera-path.js). POST a .chan or
+// CSV file to /api/import?format=chan&name=... to turn it into a take.
+const MAX_IMPORT_BYTES = 20 * 1024 * 1024;
+
+function handlePathRoutes(req, res, parsed) {
+  const p = parsed.pathname;
+  const q = parsed.query;
+
+  if (req.method === 'GET' && p.startsWith('/api/export/')) {
+    // Exports are expensive to build; not for anonymous viewers
+    requireAuth(req, res, () => {
+      const format = q.format || 'csv';
+      if (!cameraPath.FORMATS[format]) return sendJson(res, { error: `format must be one of ${Object.keys(cameraPath.FORMATS).join(', ')}` }, 400);
+      const parsedOptions = cameraPath.parseOptions(q);
+      if (parsedOptions.error) return sendJson(res, { error: parsedOptions.error }, 400);
+      const options = parsedOptions.options;
+
+      let poseAt, duration, source;
+      const [kind, id] = p.slice('/api/export/'.length).split('/');
+      if (kind === 'timeline' && !id) {
+        const timeline = player.timeline;
+        if (!timeline.keyframes.length) return sendJson(res, { error: 'Timeline has no keyframes' }, 400);
+        poseAt = t => animation.sample(timeline, t);
+        duration = animation.duration(timeline);
+        source = { type: 'timeline', name: 'timeline' };
+      } else if (kind === 'takes' && id) {
+        const take = takeStore.get(id);
+        if (!take) return sendJson(res, { error: 'Take not found' }, 404);
+        poseAt = cameraPath.takeSampler(take.samples);
+        duration = take.duration;
+        source = { type: 'take', id: take.id, name: take.name };
+      } else {
+        return sendJson(res, { error: 'not found' }, 404);
+      }
+
+      const count = cameraPath.frameCount(duration, options.fps);
+      if (count > cameraPath.MAX_FRAMES) {
+        return sendJson(res, { error: `Export would be ${count} frames (max ${cameraPath.MAX_FRAMES}); lower the fps` }, 413);
+      }
+      const body = cameraPath.exportPath(format, cameraPath.resample(poseAt, duration, options.fps), options, source);
+      if (Buffer.byteLength(body) > cameraPath.MAX_EXPORT_BYTES) {
+        return sendJson(res, { error: `Export is over ${cameraPath.MAX_EXPORT_BYTES / 1024 / 1024} MB; lower the fps` }, 413);
+      }
+
+      const { ext, type } = cameraPath.FORMATS[format];
+      const filename = `${source.name.replace(/[^A-Za-z0-9_.-]+/g, '_')}.${ext}`;
+      res.setHeader('Content-Type', type);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.end(body);
+    }, 'operator', 'read');
+    return true;
+  }
+
+  if (req.method === 'POST' && p === '/api/import') {
+    requireAuth(req, res, () => {
+      const parse = { chan: cameraPath.parseChan, csv: cameraPath.parseCsv }[q.format];
+      if (!parse) return sendJson(res, { error: 'format must be chan or csv' }, 400);
+      const parsedOptions = cameraPath.parseOptions(q);
+      if (parsedOptions.error) return sendJson(res, { error: parsedOptions.error }, 400);
+      collectRequestText(req, MAX_IMPORT_BYTES, (text) => {
+        if (text === null) return sendJson(res, { error: `File too large (max ${MAX_IMPORT_BYTES / 1024 / 1024} MB)` }, 413);
+        const imported = parse(text, parsedOptions.options, state.zoom);
+        if (imported.error) return sendJson(res, { error: imported.error }, 400);
+        const result = takeStore.create({ name: q.name || `Imported ${q.format}`, source: 'import', samples: imported.samples });
+        if (result.error) return sendJson(res, { error: result.error }, 400);
+        console.log(`[Takes] Imported ${result.take.name} (${result.take.duration.toFixed(1)}s, ${result.take.sampleCount} samples)`);
+        publishToClients({ type: 'takes', takes: takeStore.list() });
+        sendJson(res, { ...takesResponse(), take: result.take });
+      });
     });
-  } catch (e) {
-    console.error('Failed to build/send OSC', e);
+    return true;
   }
+  return false;
 }
 
-function broadcastState() {
-  // Send pose to VRChat: /usercamera/Pose expects 6 floats (x, y, z, pitch, yaw, roll)
-  sendOsc(cfg.addressPose, ['f','f','f','f','f','f'], [
-    state.x, 
-    state.y, 
-    state.z, 
-    state.pitch, 
-    state.yaw, 
-    state.roll
-  ]);
-  // Send zoom if configured
-  if (cfg.addressZoom) {
-    sendOsc(cfg.addressZoom, ['f'], [state.zoom]);
+function timelineResponse() {
+  return { ok: true, timeline: player.timeline, playback: player.status() };
+}
+
+// Returns true if the request was a /api/timeline route
+function handleTimelineRoutes(req, res, parsed) {
+  const p = parsed.pathname;
+  if (!p.startsWith('/api/timeline')) return false;
+
+  if (req.method === 'GET' && p === '/api/timeline') {
+    requireViewer(req, res, () => sendJson(res, timelineResponse()));
+    return true;
   }
+  if (req.method !== 'POST') return false;
+
+  requireAuth(req, res, (user) => {
+    collectRequestJson(req, (body) => {
+      body = body || {};
+
+      // Editing is fine for anyone; driving playback moves the camera
+      const drives = ['/api/timeline/play', '/api/timeline/pause', '/api/timeline/stop', '/api/timeline/seek'];
+      if (drives.includes(p) && !requireControl(req, res, user)) return;
+
+      if (p === '/api/timeline') {
+        // Replace the whole timeline (keyframes and/or loop flag)
+        if (body.keyframes !== undefined) {
+          const result = animation.normalizeKeyframes(body.keyframes);
+          if (result.error) return sendJson(res, { error: result.error }, 400);
+          player.load({ keyframes: result.keyframes, loop: body.loop !== undefined ? body.loop : player.timeline.loop });
+        } else if (body.loop !== undefined) {
+          player.setLoop(body.loop);
+        }
+      } else if (p === '/api/timeline/keyframe') {
+        // Add a keyframe; pose fields default to the current camera state
+        const time = body.t !== undefined ? body.t : player.status().duration + (player.timeline.keyframes.length ? 2 : 0);
+        const result = animation.normalizeKeyframes([{ ...state, ...body, t: time }]);
+        if (result.error) return sendJson(res, { error: result.error }, 400);
+        const keyframes = player.timeline.keyframes.filter(k => k.t !== time).concat(result.keyframes);
+        player.load({ keyframes: animation.normalizeKeyframes(keyframes).keyframes, loop: player.timeline.loop });
+      } else if (p === '/api/timeline/keyframe/delete') {
+        const index = Number(body.index);
+        if (!Number.isInteger(index) || !player.timeline.keyframes[index]) {
+          return sendJson(res, { error: 'No keyframe at that index' }, 400);
+        }
+        const keyframes = player.timeline.keyframes.filter((k, i) => i !== index);
+        player.load({ keyframes, loop: player.timeline.loop });
+      } else if (p === '/api/timeline/play') {
+        transition.stop();
+        takePlayer.stop();
+        cameraModes.stop();
+        motion.halt();
+        markCut();
+        if (!player.play()) return sendJson(res, { error: 'Timeline has no keyframes' }, 400);
+      } else if (p === '/api/timeline/pause') {
+        player.pause();
+      } else if (p === '/api/timeline/stop') {
+        player.stop();
+      } else if (p === '/api/timeline/seek') {
+        if (typeof body.time !== 'number') return sendJson(res, { error: 'time (seconds) required' }, 400);
+        player.seek(body.time);
+      } else {
+        return sendJson(res, { error: 'not found' }, 404);
+      }
+      if (p === '/api/timeline' || p.startsWith('/api/timeline/keyframe')) {
+        publishToClients({ type: 'timeline', timeline: player.timeline });
+      }
+      sendJson(res, timelineResponse());
+    });
+  });
+  return true;
 }
 
-function turnOffFlying() {
-  // Turn off flying mode in VRChat camera (send false)
-  // Using 'F' for proper OSC boolean false
-  sendOsc('/usercamera/Flying', ['F'], []);
+// -- Shot presets --
+const presetStore = createPresetStore(path.join(__dirname, 'presets.json'));
+const MAX_GLIDE_SECONDS = 60;
+
+function publishPresets() {
+  publishToClients({ type: 'presets', presets: presetStore.list() });
+}
+
+// Returns true if the request was a /api/presets route
+function handlePresetRoutes(req, res, parsed) {
+  const p = parsed.pathname;
+  if (p !== '/api/presets' && !p.startsWith('/api/presets/')) return false;
+
+  if (req.method === 'GET' && p === '/api/presets') {
+    requireViewer(req, res, () => sendJson(res, { presets: presetStore.list() }));
+    return true;
+  }
+  if (req.method !== 'POST') return false;
+
+  // /api/presets/<id>[/<action>]
+  const [, id, action] = p.slice('/api/presets'.length).split('/');
+
+  requireAuth(req, res, (user) => {
+    collectRequestJson(req, (body) => {
+      body = body || {};
+
+      if (!id) {
+        // Save the current shot (or an explicit pose) under a name
+        const result = presetStore.create(body, body.pose || state);
+        if (result.error) return sendJson(res, { error: result.error }, 400);
+        publishPresets();
+        return sendJson(res, { ok: true, preset: result.preset });
+      }
+
+      if (!action) {
+        const pose = body.pose || (body.capture ? state : null);
+        const result = presetStore.update(id, body, pose);
+        if (result.error) return sendJson(res, { error: result.error }, result.notFound ? 404 : 400);
+        publishPresets();
+        return sendJson(res, { ok: true, preset: result.preset });
+      }
+
+      if (action === 'delete') {
+        if (!presetStore.remove(id)) return sendJson(res, { error: 'Preset not found' }, 404);
+        publishPresets();
+        return sendJson(res, { ok: true });
+      }
+
+      if (action === 'recall') {
+        const preset = presetStore.get(id);
+        if (!preset) return sendJson(res, { error: 'Preset not found' }, 404);
+        if (!requireControl(req, res, user)) return;
+        // duration 0 (default) cuts straight to the shot, otherwise glide there
+        const duration = cameraMath.clamp(Number(body.duration) || 0, 0, MAX_GLIDE_SECONDS);
+        const easing = animation.EASINGS[body.easing] ? body.easing : 'smooth';
+        glideTo(preset.pose, duration, easing);
+        return sendJson(res, { ok: true, preset, duration });
+      }
+
+      sendJson(res, { error: 'not found' }, 404);
+    });
+  }, 'operator', 'presets');
+  return true;
+}
+
+// -- WebSocket state channel --
+// Every connected page gets pushed the camera state whenever it changes,
+// whether the change came from another operator or from VRChat itself.
+const wsClients = new Set();
+const STATE_PUSH_INTERVAL = 33; // ms, caps pushes at ~30/s when VRChat streams poses
+const WS_HEARTBEAT_INTERVAL = 30000;
+let lastStatePush = 0;
+let statePushTimer = null;
+
+// A socket with this much still unsent can't keep up with the state stream.
+// It's dropped rather than queued for without limit; the page reconnects
+// and catches up from the hello message.
+const WS_MAX_BUFFERED = 1024 * 1024;
+
+function publishToClients(msg) {
+  const data = JSON.stringify(msg);
+  for (const ws of wsClients) {
+    if (ws.bufferedAmount > WS_MAX_BUFFERED) {
+      console.log(`[WS] Dropping ${ws.clientId}: ${ws.bufferedAmount} bytes behind`);
+      ws.terminate();
+      wsClients.delete(ws);
+      continue;
+    }
+    ws.send(data);
+  }
+}
+
+// -- Control token --
+// One session drives at a time; see control.js
+let controlSince = null;
+const control = createControlLock({
+  timeoutMs: cfg.controlTimeout * 1000,
+  onChange: (status) => {
+    // A new driver shouldn't inherit the last one's momentum
+    const since = status.holder ? status.holder.since : null;
+    if (since !== controlSince) {
+      motion.halt();
+      cameraModes.stop();
+    }
+    controlSince = since;
+    for (const ws of wsClients) ws.sendJson({ type: 'control', control: controlStatusFor(ws.sessionToken) });
+  }
+});
+
+// Status plus whether this session is the holder (clients can't see tokens)
+function controlStatusFor(token) {
+  return { ...control.status(), mine: !!token && control.isHolder(token) };
+}
+
+// Camera-moving commands need the control token. Sends a 409 and returns
+// false if another session holds it.
+function requireControl(req, res, user) {
+  const error = control.check(req.authToken, user.username);
+  if (!error) return true;
+  sendJson(res, { error: 'ControlLocked', message: error, control: control.status() }, 409);
+  return false;
+}
+
+function handleControlRoutes(req, res, parsed) {
+  const p = parsed.pathname;
+  if (p !== '/api/control' && !p.startsWith('/api/control/')) return false;
+
+  if (req.method === 'GET' && p === '/api/control') {
+    requireViewer(req, res, () => sendJson(res, controlStatusFor(getCookie(req, 'session'))));
+    return true;
+  }
+  if (req.method !== 'POST') return false;
+
+  requireAuth(req, res, (user) => {
+    collectRequestJson(req, (body) => {
+      body = body || {};
+      const token = req.authToken;
+      if (p === '/api/control/claim') {
+        // Only admins can take control away from someone else
+        const force = !!body.force && hasRole(user, 'admin');
+        const error = control.claim(token, user.username, force);
+        if (error) return sendJson(res, { error: 'ControlLocked', message: error, control: control.status() }, 409);
+      } else if (p === '/api/control/request') {
+        control.request(token, user.username);
+      } else if (p === '/api/control/release') {
+        control.release(token);
+      } else {
+        return sendJson(res, { error: 'not found' }, 404);
+      }
+      sendJson(res, { ok: true, control: controlStatusFor(token) });
+    });
+  });
+  return true;
+}
+
+// Throttled: pushes immediately, then at most once per STATE_PUSH_INTERVAL
+function publishState() {
+  if (statePushTimer) return;
+  const wait = STATE_PUSH_INTERVAL - (Date.now() - lastStatePush);
+  if (wait <= 0) {
+    lastStatePush = Date.now();
+    publishToClients({ type: 'state', state });
+    return;
+  }
+  statePushTimer = setTimeout(() => {
+    statePushTimer = null;
+    lastStatePush = Date.now();
+    publishToClients({ type: 'state', state });
+  }, wait);
+}
+
+// Drop WebSocket auth for a session that has logged out
+function revokeSocketSession(token) {
+  for (const ws of wsClients) {
+    if (ws.sessionToken === token) {
+      ws.authenticated = false;
+      ws.sessionToken = null;
+      ws.sendJson({ type: 'auth', authenticated: false, user: null });
+    }
+  }
+}
+
+// Tell a user's open sockets about a role change
+function refreshSocketUser(username) {
+  for (const ws of wsClients) {
+    const user = getSessionUser(ws.sessionToken);
+    if (user && user.username === username) ws.sendJson({ type: 'auth', authenticated: true, user });
+  }
+}
+
+function handleSocketMessage(ws, raw, isBinary) {
+  let msg;
+  try { msg = isBinary ? null : JSON.parse(raw); }
+  catch (e) { msg = null; }
+  if (!msg || typeof msg.type !== 'string') {
+    ws.sendJson({ type: 'error', error: 'bad json' });
+    return;
+  }
+
+  const reply = (obj) => ws.sendJson({ id: msg.id, ...obj });
+
+  if (msg.type === 'ping') {
+    reply({ type: 'pong' });
+    return;
+  }
+
+  // Everything past here changes camera state and needs a live session
+  const user = ws.authenticated ? getSessionUser(ws.sessionToken) : null;
+  if (!user) {
+    ws.authenticated = false;
+    reply({ type: 'error', error: 'Unauthorized', message: 'Please log in' });
+    return;
+  }
+  const needed = msg.type === 'config' ? 'admin' : 'operator';
+  if (!hasRole(user, needed)) {
+    reply({ type: 'error', error: 'Forbidden', message: `Requires the ${needed} role` });
+    return;
+  }
+
+  // Stopping is always allowed; anything that moves the camera needs control
+  if (msg.type === 'move' || msg.type === 'velocity' || msg.type === 'params') {
+    const error = control.check(ws.sessionToken, user.username);
+    if (error) {
+      reply({ type: 'error', error: 'ControlLocked', message: error });
+      return;
+    }
+  }
+
+  if (msg.type === 'move') {
+    const check = applyMove(msg);
+    if (check.rejected) reply({ type: 'error', error: 'SafetyLimit', message: safetyMessage(check), violations: check.violations, state });
+    else reply({ type: 'ack', ok: true, state, violations: check.violations });
+  } else if (msg.type === 'velocity') {
+    // Sent repeatedly while held; no ack to keep the channel quiet
+    setVelocity(ws.clientId, msg);
+  } else if (msg.type === 'stop') {
+    motion.release(ws.clientId);
+  } else if (msg.type === 'params') {
+    const errors = applyParams(msg.values || {});
+    reply({ type: 'ack', ok: Object.keys(errors).length === 0, errors, state });
+  } else if (msg.type === 'config') {
+    const result = applyConfig(msg);
+    if (result.error) reply({ type: 'error', error: result.error });
+    else reply({ type: 'ack', ok: true, cfg });
+  } else {
+    reply({ type: 'error', error: `Unknown message type: ${msg.type}` });
+  }
 }
 
 // Serve static files from ./public
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
 function serveStatic(req, res) {
   let parsed = url.parse(req.url);
   let pathname = parsed.pathname === '/' ? '/index.html' : parsed.pathname;
-  const fp = path.join(__dirname, 'public', pathname);
+  const fp = path.resolve(PUBLIC_DIR, '.' + pathname);
+  // The route prefixes don't stop /app/../../users.json; only public/ is served
+  if (!fp.startsWith(PUBLIC_DIR + path.sep) || pathname.includes('\0')) {
+    res.statusCode = 403;
+    res.end('Forbidden');
+    return;
+  }
   fs.readFile(fp, (err, data) => {
     if (err) {
       res.statusCode = 404;
@@ -296,31 +1304,281 @@ function collectRequestJson(req, callback) {
   });
 }
 
+// Raw body as text; callback(null) if it's over limit bytes
+function collectRequestText(req, limit, callback) {
+  const chunks = [];
+  let size = 0;
+  let tooLarge = false;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > limit) tooLarge = true;
+    else chunks.push(chunk);
+  });
+  req.on('end', () => callback(tooLarge ? null : Buffer.concat(chunks).toString('utf8')));
+}
+
 function getCookie(req, name) {
   const cookies = req.headers.cookie || '';
   const match = cookies.match(new RegExp('(^| )' + name + '=([^;]+)'));
   return match ? match[2] : null;
 }
 
-function setCookie(res, name, value, maxAge = SESSION_DURATION) {
-  res.setHeader('Set-Cookie', `${name}=${value}; HttpOnly; Max-Age=${Math.floor(maxAge / 1000)}; Path=/; SameSite=Strict`);
+function setCookie(res, name, value, maxAge = SESSION_MAX_AGE) {
+  const secure = USE_HTTPS ? '; Secure' : '';
+  res.setHeader('Set-Cookie', `${name}=${value}; HttpOnly; Max-Age=${Math.floor(maxAge / 1000)}; Path=/; SameSite=Strict${secure}`);
 }
 
-function requireAuth(req, res, callback) {
-  const sessionToken = getCookie(req, 'session');
-  if (!sessionToken || !isValidSession(sessionToken)) {
+function sendJson(res, obj, statusCode = 200) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(obj));
+}
+
+// The API key a request presents in "Authorization: Bearer <key>" (or in
+// ?key= where allowQuery, for trigger URLs). undefined if it presents none,
+// null if the key is unknown or revoked.
+function getApiKey(req, allowQuery) {
+  const header = req.headers.authorization;
+  const match = header && /^Bearer\s+(\S+)$/i.exec(header);
+  if (match) return apiKeys.verify(match[1]);
+  if (allowQuery) {
+    const key = url.parse(req.url, true).query.key;
+    if (key) return apiKeys.verify(key);
+  }
+  return undefined;
+}
+
+// role is the least privileged role allowed through (see users.js); scope is
+// what an API key needs instead (null: sessions only). Sets req.authToken,
+// the identity the control token tracks.
+function requireAuth(req, res, callback, role = 'operator', scope = 'move', allowQuery = false) {
+  const apiKey = getApiKey(req, allowQuery);
+  if (apiKey !== undefined) {
+    if (!apiKey) {
+      sendJson(res, { error: 'Unauthorized', message: 'Invalid or revoked API key' }, 401);
+      return false;
+    }
+    if (!scope || !apiKey.scopes.includes(scope)) {
+      sendJson(res, { error: 'Forbidden', message: scope ? `API key lacks the ${scope} scope` : 'Not available to API keys' }, 403);
+      return false;
+    }
+    req.authToken = `key:${apiKey.id}`;
+    callback({ username: `key:${apiKey.name}`, role: 'apikey' });
+    return true;
+  }
+
+  const token = getCookie(req, 'session');
+  const user = getSessionUser(token);
+  if (!user) {
     res.statusCode = 401;
     res.setHeader('Content-Type', 'application/json');
     res.end(JSON.stringify({ error: 'Unauthorized', message: 'Please log in' }));
     return false;
   }
-  callback();
+  if (!hasRole(user, role)) {
+    sendJson(res, { error: 'Forbidden', message: `Requires the ${role} role` }, 403);
+    return false;
+  }
+  req.authToken = token;
+  callback(user);
   return true;
 }
 
-const server = http.createServer((req, res) => {
+// -- API keys (admin only, sessions only) --
+function handleApiKeyRoutes(req, res, parsed) {
+  const p = parsed.pathname;
+  if (p !== '/api/keys' && !p.startsWith('/api/keys/')) return false;
+
+  if (req.method === 'GET' && p === '/api/keys') {
+    requireAuth(req, res, () => sendJson(res, { keys: apiKeys.list(), scopes: SCOPES }), 'admin', null);
+    return true;
+  }
+  if (req.method !== 'POST') return false;
+
+  // /api/keys/<id>/revoke
+  const [, id, action] = p.slice('/api/keys'.length).split('/').map(decodeURIComponent);
+
+  requireAuth(req, res, (admin) => {
+    collectRequestJson(req, (body) => {
+      body = body || {};
+      if (!id) {
+        const result = apiKeys.create(body, admin.username);
+        if (result.error) return sendJson(res, { error: result.error }, 400);
+        console.log(`API key '${result.key.name}' (${result.key.scopes.join(', ')}) created by ${admin.username}`);
+        // The only time the full key is ever returned
+        return sendJson(res, { ok: true, key: result.key, secret: result.secret });
+      }
+      if (action === 'revoke') {
+        const result = apiKeys.revoke(id);
+        if (result.error) return sendJson(res, { error: result.error }, result.notFound ? 404 : 400);
+        control.release(`key:${id}`);
+        console.log(`API key '${result.key.name}' revoked by ${admin.username}`);
+        return sendJson(res, { ok: true, key: result.key });
+      }
+      sendJson(res, { error: 'not found' }, 404);
+    });
+  }, 'admin', null);
+  return true;
+}
+
+// -- Trigger URLs --
+// Fire-and-forget GETs for devices that can only open a URL, e.g.
+//   /api/trigger/preset/2?key=...&duration=3   (by id or 1-based position)
+//   /api/trigger/move?key=...&dyaw=15&frame=drone
+//   /api/trigger/param/capture?key=...   /api/trigger/param/exposure?key=...&value=1.5
+//   /api/trigger/timeline/play?key=...   /api/trigger/stop?key=...
+//   /api/trigger/home?key=...   (the safety envelope's panic button)
+// The key can also go in an Authorization header; sessions aren't accepted,
+// since a GET that changes state would be open to CSRF.
+const TRIGGER_MOVE_FIELDS = ['x', 'y', 'z', 'pitch', 'yaw', 'roll', 'zoom', 'dx', 'dy', 'dz', 'dpitch', 'dyaw', 'droll', 'dzoom'];
+
+function handleTriggerRoutes(req, res, parsed) {
+  const p = parsed.pathname;
+  if (req.method !== 'GET' || !p.startsWith('/api/trigger/')) return false;
+  const [action, arg] = p.slice('/api/trigger/'.length).split('/').map(decodeURIComponent);
+  const q = parsed.query;
+
+  if (getApiKey(req, true) === undefined) {
+    sendJson(res, { error: 'Unauthorized', message: 'Trigger URLs need an API key (?key=...)' }, 401);
+    return true;
+  }
+  const scope = action === 'preset' ? 'presets' : 'move';
+
+  requireAuth(req, res, (user) => {
+    if (action === 'stop') {
+      // Always allowed: halt everything in motion
+      motion.halt();
+      transition.stop();
+      takePlayer.stop();
+      cameraModes.stop();
+      if (player.status().playing) player.pause();
+      return sendJson(res, { ok: true });
+    }
+    if (action === 'home') {
+      // Panic: like stop, always allowed
+      goHome();
+      return sendJson(res, { ok: true, state });
+    }
+    if (!requireControl(req, res, user)) return;
+
+    if (action === 'preset') {
+      const list = presetStore.list();
+      const preset = presetStore.get(arg) || (/^\d+$/.test(arg || '') ? list[Number(arg) - 1] : null);
+      if (!preset) return sendJson(res, { error: 'Preset not found' }, 404);
+      const duration = cameraMath.clamp(Number(q.duration) || 0, 0, MAX_GLIDE_SECONDS);
+      glideTo(preset.pose, duration, animation.EASINGS[q.easing] ? q.easing : 'smooth');
+      return sendJson(res, { ok: true, preset: preset.name });
+    }
+    if (action === 'move') {
+      const body = { frame: q.frame, rotationFrame: q.rotationFrame, absolute: q.absolute === '1' || q.absolute === 'true' };
+      for (const key of TRIGGER_MOVE_FIELDS) {
+        if (q[key] !== undefined && isFinite(Number(q[key]))) body[key] = Number(q[key]);
+      }
+      const check = applyMove(body);
+      if (check.rejected) return sendJson(res, { error: 'SafetyLimit', message: safetyMessage(check), violations: check.violations, state }, 400);
+      return sendJson(res, { ok: true, state, violations: check.violations });
+    }
+    if (action === 'param') {
+      const param = oscParams.get(arg);
+      if (!param) return sendJson(res, { error: `Unknown parameter: ${arg}` }, 404);
+      let value = q.value;
+      if (param.type === 'bool') value = value === undefined ? !state.params[param.key] : value === '1' || value === 'true';
+      else if (param.type !== 'button') value = Number(value);
+      const errors = applyParams({ [param.key]: value });
+      if (errors[param.key]) return sendJson(res, { error: errors[param.key] }, 400);
+      return sendJson(res, { ok: true });
+    }
+    if (action === 'timeline') {
+      if (arg === 'play') {
+        transition.stop();
+        takePlayer.stop();
+        cameraModes.stop();
+        motion.halt();
+        markCut();
+        if (!player.play()) return sendJson(res, { error: 'Timeline has no keyframes' }, 400);
+      } else if (arg === 'pause') {
+        player.pause();
+      } else if (arg === 'stop') {
+        player.stop();
+      } else {
+        return sendJson(res, { error: 'not found' }, 404);
+      }
+      return sendJson(res, { ok: true, playback: player.status() });
+    }
+    sendJson(res, { error: 'not found' }, 404);
+  }, 'operator', scope, true);
+  return true;
+}
+
+// Read-only routes: open when public viewing is on, otherwise any logged-in
+// user or a key with the read scope
+function requireViewer(req, res, callback) {
+  if (serverConfig.allowPublicViewing) {
+    callback();
+    return true;
+  }
+  return requireAuth(req, res, callback, 'viewer', 'read');
+}
+
+// -- User management (admin only) --
+function handleUserRoutes(req, res, parsed) {
+  const p = parsed.pathname;
+  if (p !== '/api/users' && !p.startsWith('/api/users/')) return false;
+
+  if (req.method === 'GET' && p === '/api/users') {
+    requireAuth(req, res, () => sendJson(res, { users: userStore.list(), roles: ROLES }), 'admin', null);
+    return true;
+  }
+  if (req.method !== 'POST') return false;
+
+  // /api/users/<username>[/delete]
+  const [, name, action] = p.slice('/api/users'.length).split('/').map(decodeURIComponent);
+
+  requireAuth(req, res, (admin) => {
+    collectRequestJson(req, (body) => {
+      body = body || {};
+
+      if (!name) {
+        const result = userStore.create(body);
+        if (result.error) return sendJson(res, { error: result.error }, 400);
+        console.log(`User '${result.user.username}' (${result.user.role}) created by ${admin.username}`);
+        return sendJson(res, { ok: true, user: result.user });
+      }
+
+      if (action === 'delete') {
+        const target = userStore.get(name);
+        const result = userStore.remove(name);
+        if (result.error) return sendJson(res, { error: result.error }, result.notFound ? 404 : 400);
+        endUserSessions(target.username);
+        console.log(`User '${target.username}' removed by ${admin.username}`);
+        return sendJson(res, { ok: true });
+      }
+      if (action) return sendJson(res, { error: 'not found' }, 404);
+
+      const result = userStore.update(name, { password: body.password, role: body.role });
+      if (result.error) return sendJson(res, { error: result.error }, result.notFound ? 404 : 400);
+      // A password reset signs the user out everywhere; a role change applies live
+      if (body.password !== undefined && result.user.username !== admin.username) endUserSessions(result.user.username);
+      else refreshSocketUser(result.user.username);
+      sendJson(res, { ok: true, user: result.user });
+    });
+  }, 'admin', null);
+  return true;
+}
+
+function handleRequest(req, res) {
   const parsed = url.parse(req.url, true);
   
+  // CSRF: state-changing requests from a logged-in browser must echo the
+  // session's token in a header, which other sites can't read or set
+  if (req.method === 'POST' && parsed.pathname.startsWith('/api/') && parsed.pathname !== '/api/login') {
+    const token = getCookie(req, 'session');
+    if (!req.headers.authorization && isValidSession(token) && !sessionStore.checkCsrf(token, req.headers['x-csrf-token'])) {
+      sendJson(res, { error: 'CSRF', message: 'Missing or invalid CSRF token - reload the page' }, 403);
+      return;
+    }
+  }
+
   // Login endpoint
   if (req.method === 'POST' && parsed.pathname === '/api/login') {
     collectRequestJson(req, (body) => {
@@ -331,17 +1589,33 @@ const server = http.createServer((req, res) => {
         return;
       }
       
-      if (body.password === serverConfig.password) {
-        const token = createSession();
+      // Older clients only send a password; that's the bootstrap admin
+      const username = typeof body.username === 'string' && body.username ? body.username : 'admin';
+      const userKey = username.toLowerCase();
+      const ip = req.socket.remoteAddress;
+
+      const wait = Math.max(userThrottle.retryAfter(userKey), ipThrottle.retryAfter(ip));
+      if (wait > 0) {
+        res.setHeader('Retry-After', Math.ceil(wait / 1000));
+        sendJson(res, { error: 'Too many failed attempts', message: `Too many failed attempts - try again in ${Math.ceil(wait / 60000)} minute(s)` }, 429);
+        return;
+      }
+
+      const user = userStore.verify(username, body.password);
+      if (user) {
+        userThrottle.reset(userKey);
+        const { token, csrf } = sessionStore.create(user.username);
         setCookie(res, 'session', token);
         res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ ok: true, message: 'Login successful' }));
-        console.log('User logged in successfully');
+        res.end(JSON.stringify({ ok: true, message: 'Login successful', user, csrfToken: csrf }));
+        console.log(`User '${user.username}' logged in successfully from ${ip}`);
       } else {
+        const lockedUser = userThrottle.fail(userKey);
+        const lockedIp = ipThrottle.fail(ip);
         res.statusCode = 401;
         res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ error: 'Invalid password' }));
-        console.log('Failed login attempt');
+        res.end(JSON.stringify({ error: 'Invalid username or password' }));
+        console.log(`Failed login attempt for '${username}' from ${ip}${lockedUser || lockedIp ? ' - locked out' : ''}`);
       }
     });
     return;
@@ -349,10 +1623,11 @@ const server = http.createServer((req, res) => {
   
   // Check auth status
   if (req.method === 'GET' && parsed.pathname === '/api/auth') {
-    const sessionToken = getCookie(req, 'session');
-    const authenticated = sessionToken && isValidSession(sessionToken);
+    const token = getCookie(req, 'session');
+    const user = getSessionUser(token);
+    const csrfToken = user ? sessionStore.get(token).csrf : null;
     res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify({ authenticated, allowPublicViewing: serverConfig.allowPublicViewing }));
+    res.end(JSON.stringify({ authenticated: !!user, user, csrfToken, allowPublicViewing: serverConfig.allowPublicViewing }));
     return;
   }
   
@@ -360,7 +1635,9 @@ const server = http.createServer((req, res) => {
   if (req.method === 'POST' && parsed.pathname === '/api/logout') {
     const sessionToken = getCookie(req, 'session');
     if (sessionToken) {
-      activeSessions.delete(sessionToken);
+      sessionStore.remove(sessionToken);
+      revokeSocketSession(sessionToken);
+      control.release(sessionToken);
     }
     setCookie(res, 'session', '', 0);
     res.setHeader('Content-Type', 'application/json');
@@ -368,8 +1645,19 @@ const server = http.createServer((req, res) => {
     return;
   }
   
+  // Log out everywhere: every session of this user, on every device
+  if (req.method === 'POST' && parsed.pathname === '/api/logout/all') {
+    requireAuth(req, res, (user) => {
+      endUserSessions(user.username);
+      setCookie(res, 'session', '', 0);
+      console.log(`User '${user.username}' logged out everywhere`);
+      sendJson(res, { ok: true, message: 'Logged out everywhere' });
+    }, 'viewer', null);
+    return;
+  }
+  
   // Serve static files
-  if (req.method === 'GET' && (parsed.pathname === '/' || parsed.pathname.startsWith('/index') || parsed.pathname.startsWith('/app') || parsed.pathname.startsWith('/styles'))) {
+  if (req.method === 'GET' && (parsed.pathname === '/' || parsed.pathname.startsWith('/index') || parsed.pathname.startsWith('/app') || parsed.pathname.startsWith('/styles') || parsed.pathname.startsWith('/timeline') || parsed.pathname.startsWith('/presets') || parsed.pathname.startsWith('/params') || parsed.pathname.startsWith('/gamepad') || parsed.pathname.startsWith('/mobile') || parsed.pathname.startsWith('/admin') || parsed.pathname.startsWith('/control') || parsed.pathname.startsWith('/takes') || parsed.pathname.startsWith('/modes') || parsed.pathname.startsWith('/safety') || parsed.pathname.startsWith('/bridge') || parsed.pathname.startsWith('/preview'))) {
     serveStatic(req, res);
     return;
   }
@@ -377,174 +1665,320 @@ const server = http.createServer((req, res) => {
   // Public endpoints (if allowed)
   if (req.method === 'GET' && parsed.pathname === '/api/state') {
     // State can be read by anyone if public viewing is allowed, but only authenticated users can modify
-    res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify({state, cfg}));
+    requireViewer(req, res, () => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({state, cfg}));
+    });
     return;
   }
 
   // Protected endpoints - require authentication
+  if (req.method === 'GET' && parsed.pathname === '/api/osc/routes') {
+    if (!requireAuth(req, res, () => {
+      sendJson(res, { listenPort: cfg.oscListenPort, routes: oscRelay.routes, stats: oscRelay.stats() });
+    }, 'admin', 'config')) return;
+    return;
+  }
+
   if (req.method === 'POST' && parsed.pathname === '/api/config') {
     if (!requireAuth(req, res, () => {
       collectRequestJson(req, (body) => {
         if (!body) {
           res.statusCode = 400; res.end('bad json'); return;
         }
-        if (body.oscHost) cfg.oscHost = body.oscHost;
-        if (body.oscPort) cfg.oscPort = Number(body.oscPort);
-        if (body.addressPose) cfg.addressPose = body.addressPose;
-        if (body.addressZoom !== undefined) cfg.addressZoom = body.addressZoom;
+        const result = applyConfig(body);
+        if (result.error) { sendJson(res, { error: result.error }, 400); return; }
         res.setHeader('Content-Type', 'application/json');
         res.end(JSON.stringify({ok:true, cfg}));
       });
-    })) return;
+    }, 'admin', 'config')) return;
     return;
   }
 
   if (req.method === 'POST' && parsed.pathname === '/api/move') {
-    if (!requireAuth(req, res, () => {
+    if (!requireAuth(req, res, (user) => {
       collectRequestJson(req, (body) => {
         if (!body) { res.statusCode = 400; res.end('bad json'); return; }
+        if (!requireControl(req, res, user)) return;
 
-        // Accept either deltas (dx/dy/dz/dPitch/...) or absolute values when absolute:true
-        if (body.absolute) {
-          if (typeof body.x === 'number') state.x = body.x;
-          if (typeof body.y === 'number') state.y = body.y;
-          if (typeof body.z === 'number') state.z = body.z;
-          if (typeof body.pitch === 'number') state.pitch = body.pitch;
-          if (typeof body.yaw === 'number') state.yaw = body.yaw;
-          if (typeof body.roll === 'number') state.roll = body.roll;
-          if (typeof body.zoom === 'number') state.zoom = Math.max(20, Math.min(150, body.zoom));
-        } else {
-          if (typeof body.dx === 'number') state.x += body.dx;
-          if (typeof body.dy === 'number') state.y += body.dy;
-          if (typeof body.dz === 'number') state.z += body.dz;
-          if (typeof body.dpitch === 'number') state.pitch += body.dpitch;
-          if (typeof body.dyaw === 'number') state.yaw += body.dyaw;
-          if (typeof body.droll === 'number') state.roll += body.droll;
-          if (typeof body.dzoom === 'number') state.zoom += body.dzoom;
+        const check = applyMove(body);
+        if (check.rejected) {
+          return sendJson(res, { error: 'SafetyLimit', message: safetyMessage(check), violations: check.violations, state }, 400);
         }
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ok:true, state, violations: check.violations}));
+      });
+    })) return;
+    return;
+  }
 
-        // bounding / normalization for zoom (VRChat range: 20-150)
-        if (state.zoom < 20) state.zoom = 20;
-        if (state.zoom > 150) state.zoom = 150;
-
-        // Send to VRChat via OSC
-        try { 
-          broadcastState(); 
-          // Automatically turn off flying mode after user input
-          //turnOffFlying();
-        } catch (e) { console.error(e); }
+  if (req.method === 'POST' && parsed.pathname === '/api/osc/bundle') {
+    if (!requireAuth(req, res, (user) => {
+      collectRequestJson(req, (body) => {
+        if (!body) { res.statusCode = 400; res.end('bad json'); return; }
+        if (!requireControl(req, res, user)) return;
 
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ok:true, state}));
+        const bundle = parseOscBundle(body);
+        if (bundle.error) return sendJson(res, { error: bundle.error }, 400);
+        const result = sendOscBundle(bundle.timetag, bundle.elements);
+        if (result.error) return sendJson(res, { error: result.error }, result.status);
+        sendJson(res, { ok: true, pending: oscSendQueue.pending });
       });
     })) return;
     return;
   }
 
+  if (req.method === 'GET' && parsed.pathname === '/api/params') {
+    requireViewer(req, res, () => sendJson(res, {
+      profile: oscParams.profile,
+      profiles: oscParams.profiles,
+      params: oscParams.params,
+      values: { ...state.params, zoom: state.zoom }
+    }));
+    return;
+  }
+
+  if (req.method === 'POST' && parsed.pathname === '/api/params') {
+    requireAuth(req, res, (user) => {
+      collectRequestJson(req, (body) => {
+        if (!body || typeof body !== 'object') return sendJson(res, { error: 'bad json' }, 400);
+        if (!requireControl(req, res, user)) return;
+        const errors = applyParams(body);
+        const ok = Object.keys(errors).length === 0;
+        sendJson(res, { ok, errors, values: { ...state.params, zoom: state.zoom } }, ok ? 200 : 400);
+      });
+    });
+    return;
+  }
+
+  // Hold-to-move for HTTP clients: refresh within cfg.motion.deadmanMs or it stops
+  if (req.method === 'POST' && (parsed.pathname === '/api/velocity' || parsed.pathname === '/api/velocity/stop')) {
+    requireAuth(req, res, (user) => {
+      collectRequestJson(req, (body) => {
+        body = body || {};
+        const clientId = `http:${req.authToken}:${body.clientId || ''}`;
+        if (parsed.pathname === '/api/velocity/stop') motion.release(clientId);
+        else if (!requireControl(req, res, user)) return;
+        else setVelocity(clientId, body);
+        sendJson(res, { ok: true });
+      });
+    });
+    return;
+  }
+
+  if (handleTimelineRoutes(req, res, parsed)) return;
+  if (handlePresetRoutes(req, res, parsed)) return;
+  if (handleUserRoutes(req, res, parsed)) return;
+  if (handleControlRoutes(req, res, parsed)) return;
+  if (handleApiKeyRoutes(req, res, parsed)) return;
+  if (handleTriggerRoutes(req, res, parsed)) return;
+  if (handleTakeRoutes(req, res, parsed)) return;
+  if (handlePathRoutes(req, res, parsed)) return;
+  if (handleModeRoutes(req, res, parsed)) return;
+  if (handleSafetyRoutes(req, res, parsed)) return;
+  if (handleBridgeRoutes(req, res, parsed)) return;
+
+  if ((req.method === 'GET' || req.method === 'HEAD') && parsed.pathname === '/api/spout/snapshot.jpg') {
+    if (!canWatchPreview(req)) {
+      res.statusCode = 401;
+      res.end('Unauthorized');
+      return;
+    }
+    proxySnapshot(req, res, parsed);
+    return;
+  }
+
   if (req.method === 'GET' && parsed.pathname === '/api/spout') {
     // Proxy the MJPEG stream from the Spout bridge
     // The Spout bridge captures from the desktop/Spout and serves MJPEG on port 8888
-    // Video stream is public if allowPublicViewing is true, otherwise requires auth
-    if (!serverConfig.allowPublicViewing) {
-      const sessionToken = getCookie(req, 'session');
-      if (!sessionToken || !isValidSession(sessionToken)) {
-        res.statusCode = 401;
-        res.end('Unauthorized');
-        return;
-      }
+    if (!canWatchPreview(req)) {
+      res.statusCode = 401;
+      res.end('Unauthorized');
+      return;
     }
-    const http = require('http');
-    const options = {
-      hostname: '127.0.0.1',
-      port: 8888,
-      path: '/mjpeg',
-      method: 'GET',
-      timeout: 5000
-    };
-    
-    let headersWritten = false;
-    
-    const proxyReq = http.request(options, (spoutRes) => {
-      headersWritten = true;
-      res.writeHead(spoutRes.statusCode, {
-        'Content-Type': spoutRes.headers['content-type'] || 'application/octet-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'close'
-      });
-      spoutRes.pipe(res);
-    });
-
-    proxyReq.on('error', (err) => {
-      // If Spout bridge is not running, return error
-      if (headersWritten) {
-        res.destroy();
-        return;
-      }
+    // Every viewer shares one connection to the bridge (see frame-hub.js)
+    spoutRelay.serve(res, (err) => {
       console.error('Spout bridge error:', err.message);
-      res.writeHead(503, {'Content-Type': 'application/json'});
-      res.end(JSON.stringify({
+      sendJson(res, {
         error: 'Spout bridge not running',
         message: 'Start spout-bridge.js in another terminal: node spout-bridge.js'
-      }));
+      }, 503);
     });
-
-    proxyReq.on('timeout', () => {
-      proxyReq.destroy();
-      if (headersWritten) {
-        res.destroy();
-        return;
-      }
-      res.writeHead(503, {'Content-Type': 'application/json'});
-      res.end(JSON.stringify({
-        error: 'Spout bridge timeout',
-        message: 'Spout bridge is not responding'
-      }));
-    });
-
-    proxyReq.end();
     return;
   }
 
   // fallback 404
   res.statusCode = 404; res.end('not found');
-});
+}
 
 const PORT = serverConfig.port || 3000;
+const HTTPS_PORT = serverConfig.httpsPort || 3443;
 const localIP = getLocalIP();
-server.listen(PORT, '0.0.0.0', () => {
+
+let tls = null;
+if (USE_HTTPS) {
+  try {
+    const resolve = (file) => file && path.resolve(__dirname, file);
+    tls = loadCertificate({
+      certFile: resolve(serverConfig.tlsCert),
+      keyFile: resolve(serverConfig.tlsKey),
+      dir: path.join(__dirname, 'certs'),
+      hosts: [...new Set(['localhost', '127.0.0.1', os.hostname(), localIP])]
+    });
+  } catch (err) {
+    // Don't quietly fall back to sending passwords in cleartext
+    console.error(`HTTPS is enabled but the certificate couldn't be loaded: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+const server = USE_HTTPS ? https.createServer({ cert: tls.cert, key: tls.key }, handleRequest) : http.createServer(handleRequest);
+
+// With HTTPS on, the plain port sends browsers (and old bookmarks) over
+const redirectServer = USE_HTTPS ? http.createServer((req, res) => {
+  let hostname = localIP;
+  try {
+    if (req.headers.host) hostname = new URL(`http://${req.headers.host}`).hostname;
+  } catch (err) {
+    // Malformed Host header: use the LAN address
+  }
+  // 308 keeps the method and body of API calls
+  res.writeHead(req.method === 'GET' || req.method === 'HEAD' ? 301 : 308, { Location: `https://${hostname}:${HTTPS_PORT}${req.url}` });
+  res.end();
+}) : null;
+if (redirectServer) {
+  redirectServer.on('upgrade', (req, socket) => rejectUpgrade(socket, 426, `Use wss:// on port ${HTTPS_PORT}`));
+}
+
+server.on('upgrade', (req, socket, head) => {
+  const parsed = url.parse(req.url);
+  if (parsed.pathname !== '/ws' && parsed.pathname !== '/api/spout/h264') {
+    rejectUpgrade(socket, 404);
+    return;
+  }
+
+  // Browsers send cookies on cross-site WebSocket upgrades; only accept our own pages
+  const origin = req.headers.origin;
+  if (origin && url.parse(origin).host !== req.headers.host) {
+    rejectUpgrade(socket, 403, 'Forbidden');
+    return;
+  }
+
+  if (parsed.pathname === '/api/spout/h264') {
+    if (!canWatchPreview(req)) {
+      rejectUpgrade(socket, 401, 'Unauthorized');
+      return;
+    }
+    proxyPreviewSocket(req, socket, head, parsed);
+    return;
+  }
+
+  const sessionToken = getCookie(req, 'session');
+  const user = getSessionUser(sessionToken);
+  const authenticated = !!user;
+  if (!authenticated && !serverConfig.allowPublicViewing) {
+    rejectUpgrade(socket, 401, 'Unauthorized');
+    return;
+  }
+
+  const ws = acceptUpgrade(req, socket, head);
+  if (!ws) return;
+  ws.authenticated = authenticated;
+  ws.sessionToken = authenticated ? sessionToken : null;
+  ws.clientId = 'ws:' + crypto.randomBytes(8).toString('hex');
+  wsClients.add(ws);
+
+  ws.sendJson({ type: 'hello', authenticated, user, state, cfg, playback: player.status(), control: controlStatusFor(ws.sessionToken) });
+  ws.on('message', (raw, isBinary) => {
+    try { handleSocketMessage(ws, raw, isBinary); }
+    catch (e) { console.error('[WS] Error handling message:', e); }
+  });
+  ws.on('close', () => {
+    wsClients.delete(ws);
+    // Dead-man: a client that drops mid-move stops moving the camera
+    motion.release(ws.clientId);
+  });
+  ws.on('error', (err) => console.error('[WS] Error:', err.message));
+});
+
+// Drop WebSocket clients that stopped answering pings
+const wsHeartbeat = setInterval(() => {
+  for (const ws of wsClients) {
+    if (!ws.isAlive) {
+      ws.terminate();
+      wsClients.delete(ws);
+      continue;
+    }
+    ws.ping();
+  }
+}, WS_HEARTBEAT_INTERVAL);
+
+// Never expose a default password to the network: stay local-only until
+// it's changed (at /admin.html from this machine), then restart
+const defaultPasswordUsers = userStore.list().filter(u => userStore.verify(u.username, 'changeme')).map(u => u.username);
+const HOST = defaultPasswordUsers.length ? '127.0.0.1' : '0.0.0.0';
+const SCHEME = USE_HTTPS ? 'https' : 'http';
+const WEB_PORT = USE_HTTPS ? HTTPS_PORT : PORT;
+if (defaultPasswordUsers.length) {
+  console.error(`\n⚠️  ${defaultPasswordUsers.join(', ')} still use the default password 'changeme'.`);
+  console.error(`   Refusing to listen on the network - only ${SCHEME}://127.0.0.1:${WEB_PORT}/ will work.`);
+  console.error(`   Change the password at ${SCHEME}://127.0.0.1:${WEB_PORT}/admin.html and restart.`);
+}
+
+if (redirectServer) {
+  redirectServer.listen(PORT, HOST, () => console.log(`Redirecting http://${HOST}:${PORT} to HTTPS`));
+  redirectServer.on('error', (err) => console.error(`HTTP redirect on port ${PORT} failed: ${err.message}`));
+}
+
+server.listen(WEB_PORT, HOST, () => {
   console.log(`\n====================================`);
   console.log(`Web bridge running!`);
   console.log(`====================================`);
-  console.log(`Listening on: 0.0.0.0:${PORT} (all interfaces)`);
-  console.log(`Local access:   http://127.0.0.1:${PORT}/`);
-  console.log(`Network access: http://${localIP}:${PORT}/`);
+  console.log(`Listening on: ${HOST}:${WEB_PORT} (${HOST === '0.0.0.0' ? 'all interfaces' : 'local only - default password'})`);
+  console.log(`Local access:   ${SCHEME}://127.0.0.1:${WEB_PORT}/`);
+  console.log(`Network access: ${SCHEME}://${localIP}:${WEB_PORT}/`);
+  if (tls) {
+    console.log(`Certificate:    ${tls.file}`);
+    // Self-signed: browsers warn once; compare this with the certificate they show
+    console.log(`SHA-256:        ${fingerprint(tls.cert)}`);
+  }
   console.log(`====================================`);
-  console.log(`Authentication: ${serverConfig.password === 'changeme' ? '⚠️  DEFAULT PASSWORD - Change it in config.json!' : 'Enabled'}`);
+  console.log(`Authentication: ${defaultPasswordUsers.length ? '⚠️  DEFAULT PASSWORD - Change it at /admin.html!' : `Enabled (${userStore.list().length} user(s))`}`);
   console.log(`Public viewing: ${serverConfig.allowPublicViewing ? 'Enabled' : 'Disabled (requires login)'}`);
   console.log(`OSC Sender: ${cfg.oscHost}:${cfg.oscPort}`);
-  console.log(`OSC Receiver: Listening on port 9000 for all OSC messages`);
+  console.log(`OSC Receiver: Listening on port ${cfg.oscListenPort} for all OSC messages`);
+  for (const r of cfg.oscRoutes) console.log(`OSC Relay:    ${r.name} -> ${r.host}:${r.port} (${r.direction})`);
+  console.log(`WebSocket:      ${USE_HTTPS ? 'wss' : 'ws'}://${localIP}:${WEB_PORT}/ws (live state + control)`);
   console.log(`\n💡 If you can't access from other devices:`);
-  console.log(`   1. Check Windows Firewall - allow port ${PORT}`);
-  console.log(`   2. Verify server is running on 0.0.0.0:${PORT}`);
-  console.log(`   3. Try: http://192.168.1.48:${PORT}/`);
+  console.log(`   1. Check Windows Firewall - allow port ${WEB_PORT}${USE_HTTPS ? ` (and ${PORT} for the redirect)` : ''}`);
+  console.log(`   2. Verify server is running on 0.0.0.0:${WEB_PORT}`);
+  console.log(`   3. Try: ${SCHEME}://192.168.1.48:${WEB_PORT}/`);
   console.log(`====================================\n`);
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('\nShutting down...');
-  oscReceiver.close();
+  clearInterval(wsHeartbeat);
+  motion.halt();
+  player.stop();
+  transition.stop();
+  takePlayer.stop();
+  cameraModes.stop();
+  output.stop();
+  spoutRelay.close();
+  oscSendQueue.stop();
+  oscDispatcher.stop();
+  control.stop();
+  if (recorder.status().recording) saveRecording();
+  sessionStore.flush();
+  apiKeys.flush();
+  for (const ws of wsClients) ws.close(1001, 'Server shutting down');
+  if (oscReceiver) oscReceiver.close();
   oscSocket.close();
+  if (redirectServer) redirectServer.close();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
   });
 });
-
-// -- Spout / snapshot placeholder --
-// The /api/spout endpoint is a simple snapshot provider for the web UI.
-// Real Spout video requires a Spout-to-HTTP or Spout-to-MJPEG bridge that
-// exposes video frames over HTTP. Replace this implementation to fetch
-// actual frames from your Spout bridge.
-
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Login sessions, persisted as JSON next to config.json so a restart doesn't
+// log everyone out. Only a SHA-256 of each token is written to disk, so the
+// file alone can't be used to hijack a session.
+//
+// Expiry slides: a session lives idleMs past its last use, but never longer
+// than maxAgeMs after login. Each session also carries a CSRF token that
+// state-changing requests must echo back in a header.
+
+const SAVE_DELAY = 30000; // batch lastSeen updates instead of writing on every request
+
+function digest(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function createSessionStore(file, { idleMs, maxAgeMs }) {
+  let sessions = new Map(); // digest -> { username, csrf, createdAt, lastSeen }
+  let saveTimer = null;
+
+  function expired(s, now) {
+    return now - s.lastSeen > idleMs || now - s.createdAt > maxAgeMs;
+  }
+
+  function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const tmp = file + '.tmp';
+    // CSRF tokens are in here: owner-only, whatever the web server serves
+    fs.writeFileSync(tmp, JSON.stringify({ sessions: Object.fromEntries(sessions) }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+
+  function saveSoon() {
+    if (!saveTimer) saveTimer = setTimeout(save, SAVE_DELAY);
+  }
+
+  function prune() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, s] of sessions) {
+      if (expired(s, now)) {
+        sessions.delete(key);
+        removed++;
+      }
+    }
+    if (removed) save();
+  }
+
+  try {
+    if (fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      sessions = new Map(Object.entries(data.sessions || {}));
+      prune();
+      console.log(`Restored ${sessions.size} session(s) from ${file}`);
+    }
+  } catch (err) {
+    console.error('Error loading sessions:', err.message);
+  }
+
+  const pruneTimer = setInterval(prune, 10 * 60 * 1000);
+  pruneTimer.unref();
+
+  return {
+    // Returns { token, csrf }; the token goes in the cookie
+    create(username) {
+      const token = crypto.randomBytes(32).toString('hex');
+      const csrf = crypto.randomBytes(24).toString('hex');
+      const now = Date.now();
+      sessions.set(digest(token), { username, csrf, createdAt: now, lastSeen: now });
+      save();
+      return { token, csrf };
+    },
+
+    // The live session for a token, or null. Counts as activity.
+    get(token) {
+      if (!token) return null;
+      const key = digest(token);
+      const s = sessions.get(key);
+      if (!s) return null;
+      const now = Date.now();
+      if (expired(s, now)) {
+        sessions.delete(key);
+        saveSoon();
+        return null;
+      }
+      s.lastSeen = now;
+      saveSoon();
+      return s;
+    },
+
+    checkCsrf(token, csrf) {
+      const s = token && sessions.get(digest(token));
+      return !!s && !!csrf && safeEqual(s.csrf, csrf);
+    },
+
+    remove(token) {
+      if (sessions.delete(digest(token))) save();
+    },
+
+    // Drop every session of a user ("log out everywhere"). Only digests are
+    // stored, so callers find that user's open sockets by username.
+    removeUser(username) {
+      const name = username.toLowerCase();
+      let removed = 0;
+      for (const [key, s] of sessions) {
+        if (s.username.toLowerCase() === name) {
+          sessions.delete(key);
+          removed++;
+        }
+      }
+      if (removed) save();
+      return removed;
+    },
+
+    // Flush pending lastSeen updates (shutdown)
+    flush() {
+      if (saveTimer) save();
+      clearInterval(pruneTimer);
+    }
+  };
+}
+
+module.exports = { createSessionStore, safeEqual };
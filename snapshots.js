@@ -0,0 +1,108 @@
+// Single-image snapshots of the preview for things that don't want to hold a
+// stream open: preset thumbnails, chat bots, viewers on a bad connection.
+//
+// GET /snapshot.jpg?width=&quality=&format= re-encodes the latest frame with
+// sharp. The plain JPEG (no width, quality or other format) is the captured
+// frame as is. Recent encodes are cached per frame, and requests for an
+// encode already under way share it.
+
+const FORMATS = {
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  png: 'image/png'
+};
+
+const MAX_WIDTH = 3840;
+const DEFAULT_QUALITY = 80;
+const CACHE_SIZE = 16;
+
+// sharp is only needed for resizing and other formats; without it the
+// bridge still serves the plain frame
+let sharp = null;
+let sharpError = null;
+try {
+  sharp = require('sharp');
+} catch (err) {
+  sharpError = err.message.split('\n')[0];
+}
+
+// A rejection with err.status 503: nothing wrong with the request, we just
+// can't answer it now
+function unavailable(message) {
+  const err = new Error(message);
+  err.status = 503;
+  return Promise.reject(err);
+}
+
+// Validate the query string (a URLSearchParams). Returns { options } or { error }.
+function parseSnapshotQuery(query) {
+  const options = { width: null, quality: null, format: 'jpeg' };
+  if (query.has('format')) {
+    const format = query.get('format').toLowerCase();
+    options.format = format === 'jpg' ? 'jpeg' : format;
+    if (!Object.hasOwn(FORMATS, options.format)) return { error: `format must be one of ${Object.keys(FORMATS).join(', ')}` };
+  }
+  if (query.has('width')) {
+    const width = Number(query.get('width'));
+    if (!Number.isInteger(width) || width < 16 || width > MAX_WIDTH) return { error: `width must be a whole number from 16 to ${MAX_WIDTH}` };
+    options.width = width;
+  }
+  if (query.has('quality')) {
+    const quality = Number(query.get('quality'));
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) return { error: 'quality must be a whole number from 1 to 100' };
+    if (options.format === 'png') return { error: 'quality does not apply to png' };
+    options.quality = quality;
+  }
+  return { options };
+}
+
+// getFrame() returns the latest { seq, data } JPEG, or null
+function createSnapshotCache({ getFrame, size = CACHE_SIZE }) {
+  const cache = new Map(); // key -> Promise of a snapshot, oldest first
+  let hits = 0;
+  let encodes = 0;
+
+  function encode(frame, options) {
+    if (!sharp) return unavailable(`Resizing and other formats need sharp (npm install sharp): ${sharpError}`);
+    encodes++;
+    let image = sharp(frame.data);
+    if (options.width) image = image.resize({ width: options.width, withoutEnlargement: true });
+    const quality = options.quality || DEFAULT_QUALITY;
+    if (options.format === 'png') image = image.png();
+    else if (options.format === 'webp') image = image.webp({ quality });
+    else image = image.jpeg({ quality, mozjpeg: true });
+    return image.toBuffer();
+  }
+
+  return {
+    // Resolves to { seq, data, type }
+    render(options) {
+      const frame = getFrame();
+      if (!frame) return unavailable('No frame captured yet');
+      if (options.format === 'jpeg' && !options.width && !options.quality) {
+        return Promise.resolve({ seq: frame.seq, data: frame.data, type: FORMATS.jpeg });
+      }
+
+      const key = `${frame.seq}:${options.format}:${options.width || ''}:${options.quality || ''}`;
+      let entry = cache.get(key);
+      if (entry) {
+        hits++;
+        // Most recently used goes to the back
+        cache.delete(key);
+      } else {
+        entry = encode(frame, options).then(data => ({ seq: frame.seq, data, type: FORMATS[options.format] }));
+        // Failures aren't cached
+        entry.catch(() => { if (cache.get(key) === entry) cache.delete(key); });
+      }
+      cache.set(key, entry);
+      while (cache.size > size) cache.delete(cache.keys().next().value);
+      return entry;
+    },
+
+    stats() {
+      return { available: !!sharp, cached: cache.size, hits, encodes };
+    }
+  };
+}
+
+module.exports = { FORMATS, parseSnapshotQuery, createSnapshotCache };
@@ -1,733 +1,193 @@
 const http = require('http');
-const { spawn } = require('child_process');
-const path = require('path');
 const { getLocalIP } = require('./utils');
+const { SOURCES, DEFAULT_OPTIONS, autoOrder, findFfmpeg, mergeOptions, createCaptureSupervisor } = require('./capture-sources');
+const { createFrameHub } = require('./frame-hub');
+const { LATENCY_PROFILES, createFmp4Stream } = require('./h264-preview');
+const { acceptUpgrade, rejectUpgrade } = require('./websocket');
+const { parseSnapshotQuery, createSnapshotCache } = require('./snapshots');
 
 // Configuration
 const SPOUT_PORT = 8888;
 const SPOUT_SENDER_NAME = process.env.SPOUT_SENDER || 'VRCSender1';
 
-// Capture mode: 'camera' for OBS Virtual Camera, 'stream' for HTTP stream
-const CAPTURE_MODE = process.env.CAPTURE_MODE || 'camera'; // 'camera' or 'stream'
+// Capture mode: 'auto' tries the sources for this platform in order (see
+// autoOrder() in capture-sources.js), or name one: spout, stream, obs,
+// desktop, v4l2, x11grab, file, testsrc. 'camera' is the old name for auto.
+const CAPTURE_MODE = process.env.CAPTURE_MODE || 'auto';
 const STREAM_URL = process.env.STREAM_URL || 'https://stream.vrcdn.live/live/';
 
-let currentFrameBuffer = null;
-let captureProcess = null;
-let captureInterval = null;
-
-// Try to find OBS Virtual Camera or use alternative capture method
-function findCaptureMethod() {
-  // Since OBS can see the Spout sender, we can:
-  // 1. Use OBS Virtual Camera (if OBS is running with Spout source)
-  // 2. Use a simple screen capture of the Spout preview window
-  // 3. Use window capture if VRChat shows a preview
-  
-  // For now, let's try to capture from OBS Virtual Camera
-  // OBS creates a virtual camera when you add a Spout source
-  const virtualCameraNames = [
-    'OBS Virtual Camera',
-    'OBS-Camera',
-    'OBS Virtual Camera (DirectShow)'
-  ];
-  
-  return {
-    method: 'obs-virtual-camera',
-    deviceNames: virtualCameraNames
-  };
+// Starting values; all of these can be changed at runtime through
+// POST /api/capture (proxied by server.js as /api/bridge/capture)
+const startupOptions = mergeOptions(DEFAULT_OPTIONS, {
+  spoutSender: SPOUT_SENDER_NAME,
+  streamUrl: STREAM_URL,
+  obsCamera: process.env.OBS_CAMERA,
+  v4l2Device: process.env.V4L2_DEVICE,
+  x11Display: process.env.X11_DISPLAY || process.env.DISPLAY,
+  file: process.env.CAPTURE_FILE,
+  size: process.env.CAPTURE_SIZE,
+  fps: process.env.CAPTURE_FPS,
+  quality: process.env.CAPTURE_QUALITY
+});
+if (startupOptions.error) {
+  console.error(`Invalid capture settings: ${startupOptions.error}`);
+  process.exit(1);
 }
 
-// Start capture from HTTP stream
-function startStreamCapture() {
-  const { execSync } = require('child_process');
-  let ffmpeg = null;
-  
-  const possibilities = [
-    'ffmpeg',
-    'ffmpeg.exe',
-    path.join(process.env.PROGRAMFILES || 'C:\\Program Files', 'FFmpeg\\bin\\ffmpeg.exe'),
-    path.join(process.env['PROGRAMFILES(X86)'] || 'C:\\Program Files (x86)', 'FFmpeg\\bin\\ffmpeg.exe'),
-  ];
+const frameHub = createFrameHub();
+const snapshots = createSnapshotCache({ getFrame: () => frameHub.latest });
 
-  for (const ffmpegPath of possibilities) {
-    try {
-      execSync(`"${ffmpegPath}" -version`, { stdio: 'ignore' });
-      ffmpeg = ffmpegPath;
-      console.log(`Found ffmpeg at: ${ffmpeg}`);
-      break;
-    } catch (e) {
-      // Try next
-    }
-  }
-  
-  if (!ffmpeg) {
-    console.error('FFmpeg not found. Install FFmpeg to use stream capture.');
-    return false;
+const ffmpeg = findFfmpeg();
+if (!ffmpeg) {
+  console.error('FFmpeg not found. Install FFmpeg (or set FFMPEG_PATH) to use video capture.');
+  process.exit(1);
+}
+console.log(`Found ffmpeg at: ${ffmpeg}`);
+
+const capture = createCaptureSupervisor({
+  ffmpeg,
+  options: startupOptions.options,
+  onFrame: (frame) => {
+    // Repeats are dropped here, so the encoders only see new pictures
+    if (frameHub.publish(frame) === null) return;
+    for (const stream of Object.values(h264Streams)) stream.write(frame);
   }
-  
-  try {
-    console.log(`Capturing from stream: ${STREAM_URL}`);
-    
-    const args = [
-      '-i', STREAM_URL,
-      '-c:v', 'mjpeg',
-      '-q:v', '5',
-      '-s', '1280x720',
-      '-r', '30',
-      '-f', 'mjpeg',
-      '-timeout', '5000000', // 5 second timeout for network
-      '-reconnect', '1',
-      '-reconnect_at_eof', '1',
-      '-reconnect_streamed', '1',
-      '-reconnect_delay_max', '2',
-      'pipe:1'
-    ];
-    
-    captureProcess = spawn(ffmpeg, args, {
-      stdio: ['ignore', 'pipe', 'pipe'],
-      windowsHide: true,
-      shell: true
-    });
-
-    let frameCount = 0;
-    let buffer = Buffer.alloc(0);
-    
-    // MJPEG stream parser
-    captureProcess.stdout.on('data', (chunk) => {
-      buffer = Buffer.concat([buffer, chunk]);
-      
-      let startIndex = 0;
-      
-      while (startIndex < buffer.length) {
-        const jpegStart = buffer.indexOf(Buffer.from([0xFF, 0xD8]), startIndex);
-        if (jpegStart === -1) {
-          buffer = buffer.slice(startIndex);
-          break;
-        }
-        
-        const jpegEnd = buffer.indexOf(Buffer.from([0xFF, 0xD9]), jpegStart + 2);
-        if (jpegEnd === -1) {
-          buffer = buffer.slice(jpegStart);
-          break;
-        }
-        
-        const frameEnd = jpegEnd + 2;
-        const frame = buffer.slice(jpegStart, frameEnd);
-        currentFrameBuffer = frame;
-        frameCount++;
-        startIndex = frameEnd;
-      }
-      
-      if (startIndex < buffer.length) {
-        buffer = buffer.slice(startIndex);
-      } else {
-        buffer = Buffer.alloc(0);
-      }
-    });
-
-    captureProcess.stderr.on('data', (data) => {
-      const msg = data.toString('utf-8').trim();
-      if (msg && !msg.includes('frame=') && !msg.includes('fps=') && !msg.includes('bitrate=')) {
-        if (msg.includes('error') || msg.includes('Error') || msg.includes('Failed') || msg.includes('Connection')) {
-          console.error(`[FFmpeg Stream] ${msg}`);
-        }
-      }
-    });
-
-    captureProcess.on('error', (err) => {
-      console.error('Stream capture process error:', err);
-      captureProcess = null;
-    });
+});
 
-    captureProcess.on('exit', (code) => {
-      if (code !== 0 && code !== null) {
-        console.error(`Stream capture process exited with code ${code}`);
-        console.log('Attempting to reconnect...');
-        // Auto-reconnect after 2 seconds
-        setTimeout(() => {
-          if (CAPTURE_MODE === 'stream') {
-            startStreamCapture();
-          }
-        }, 2000);
-      }
-      captureProcess = null;
-    });
+// H.264/fMP4 previews over WebSocket at /fmp4?latency=<profile>, encoded
+// from the same frames while someone watches (see h264-preview.js)
+const h264Streams = {};
+for (const name of Object.keys(LATENCY_PROFILES)) {
+  h264Streams[name] = createFmp4Stream({ ffmpeg, name, getOptions: () => capture.options });
+}
 
-    console.log('✓ Stream capture started');
+// Start the configured source, or the first one in the auto order that
+// produces frames. Resolves true once something is running.
+async function startCapture() {
+  if (CAPTURE_MODE !== 'auto' && CAPTURE_MODE !== 'camera') {
+    if (!SOURCES[CAPTURE_MODE]) {
+      console.error(`Unknown CAPTURE_MODE ${CAPTURE_MODE}. Available: auto, ${Object.keys(SOURCES).join(', ')}`);
+      return false;
+    }
+    const { platforms } = SOURCES[CAPTURE_MODE];
+    if (platforms && !platforms.includes(process.platform)) {
+      console.warn(`⚠️  ${SOURCES[CAPTURE_MODE].label} is meant for ${platforms.join('/')}, not ${process.platform}`);
+    }
+    // A named source is kept retrying even if it isn't up yet
+    capture.start(CAPTURE_MODE);
     return true;
-  } catch (err) {
-    console.error('Failed to start stream capture:', err);
-    return false;
   }
-}
-
-// Try direct Spout capture from VRCSender1 via dshow
-function tryDirectSpoutCapture(ffmpeg) {
-  try {
-    console.log(`\n[1/3] Attempting direct Spout capture from ${SPOUT_SENDER_NAME}...`);
-    
-    const videoInput = `video=${SPOUT_SENDER_NAME}`;
-    const fullCommand = `"${ffmpeg}" -f dshow -rtbufsize 200M -framerate 30 -i ${videoInput} -c:v mjpeg -q:v 5 -s 1280x720 -r 30 -f mjpeg pipe:1`;
-    
-    console.log(`FFmpeg command: ${fullCommand}`);
-    
-    captureProcess = spawn(fullCommand, {
-      stdio: ['ignore', 'pipe', 'pipe'],
-      windowsHide: true,
-      shell: true
-    });
 
-    let frameCount = 0;
-    let buffer = Buffer.alloc(0);
-    let hasReceivedFrames = false;
-    let errorOccurred = false;
-    
-    // Set a timeout to detect if capture fails
-    const testTimeout = setTimeout(() => {
-      if (!hasReceivedFrames && captureProcess) {
-        console.log(`⚠️  No frames received from ${SPOUT_SENDER_NAME} after 3 seconds`);
-        errorOccurred = true;
-        if (captureProcess) captureProcess.kill();
-      }
-    }, 3000);
-    
-    // MJPEG stream parser
-    captureProcess.stdout.on('data', (chunk) => {
-      hasReceivedFrames = true;
-      clearTimeout(testTimeout);
-      buffer = Buffer.concat([buffer, chunk]);
-      
-      let startIndex = 0;
-      
-      while (startIndex < buffer.length) {
-        const jpegStart = buffer.indexOf(Buffer.from([0xFF, 0xD8]), startIndex);
-        if (jpegStart === -1) {
-          buffer = buffer.slice(startIndex);
-          break;
-        }
-        
-        const jpegEnd = buffer.indexOf(Buffer.from([0xFF, 0xD9]), jpegStart + 2);
-        if (jpegEnd === -1) {
-          buffer = buffer.slice(jpegStart);
-          break;
-        }
-        
-        const frameEnd = jpegEnd + 2;
-        const frame = buffer.slice(jpegStart, frameEnd);
-        currentFrameBuffer = frame;
-        frameCount++;
-        startIndex = frameEnd;
-      }
-      
-      if (startIndex < buffer.length) {
-        buffer = buffer.slice(startIndex);
-      } else {
-        buffer = Buffer.alloc(0);
-      }
-    });
-
-    captureProcess.stderr.on('data', (data) => {
-      const msg = data.toString('utf-8').trim();
-      if (msg && (msg.includes('error') || msg.includes('Error') || msg.includes('Failed') || msg.includes('I/O error'))) {
-        console.error(`[FFmpeg Spout] ${msg}`);
-        errorOccurred = true;
-      }
-    });
+  const order = autoOrder();
+  console.log(`Starting capture with automatic fallback: ${order.join(' → ')}`);
+  for (const [i, name] of order.entries()) {
+    console.log(`\n[${i + 1}/${order.length}] Trying ${SOURCES[name].label}...`);
+    if (await capture.start(name, { probe: true })) return true;
+    console.log(`✗ ${SOURCES[name].label} failed, trying next method...`);
+  }
+  return false;
+}
 
-    captureProcess.on('error', (err) => {
-      console.error(`[FFmpeg Spout] Process error: ${err.message}`);
-      errorOccurred = true;
-      captureProcess = null;
-    });
+// -- Control API --
+// Only answered on loopback: server.js proxies it behind its own login, and
+// anyone else on the network can still watch /mjpeg but not change anything.
+const MAX_BODY_BYTES = 64 * 1024;
 
-    captureProcess.on('exit', (code) => {
-      clearTimeout(testTimeout);
-      if (code !== 0 && code !== null) {
-        console.log(`✗ Direct Spout capture failed (exit code ${code})`);
-        errorOccurred = true;
-      }
-      if (!hasReceivedFrames) {
-        errorOccurred = true;
-      }
-      captureProcess = null;
-    });
-    
-    // Wait a moment to see if it works
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        if (hasReceivedFrames && !errorOccurred && captureProcess) {
-          console.log(`✓ Direct Spout capture from ${SPOUT_SENDER_NAME} working!`);
-          resolve(true);
-        } else {
-          if (captureProcess) {
-            captureProcess.kill();
-            captureProcess = null;
-          }
-          console.log(`✗ Direct Spout capture failed, trying next method...`);
-          resolve(false);
-        }
-      }, 2000);
-    });
-  } catch (err) {
-    console.error('Failed to start direct Spout capture:', err);
-    return Promise.resolve(false);
-  }
+function isLoopback(req) {
+  const address = req.socket.remoteAddress || '';
+  return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
 }
 
-// Start capture with fallback priority: Spout -> Stream -> OBS -> Desktop
-function startSpoutCapture() {
-  // Check if manual mode override is set
-  if (CAPTURE_MODE === 'stream') {
-    console.log('Starting HTTP stream capture (manual mode override)...');
-    console.log(`Stream URL: ${STREAM_URL}`);
-    return startStreamCapture();
-  }
-  
-  if (CAPTURE_MODE === 'obs') {
-    console.log('Starting OBS Virtual Camera capture (manual mode override)...');
-    return startOBSCameraCaptureMode();
-  }
-  
-  // Auto mode: try methods in priority order
-  console.log('Starting capture with automatic fallback...');
-  console.log(`Priority: 1. Direct Spout (${SPOUT_SENDER_NAME}) → 2. HTTP Stream → 3. OBS Virtual Camera → 4. Desktop`);
-  
-  // Find FFmpeg first
-  const { execSync } = require('child_process');
-  let ffmpeg = null;
-  
-  const possibilities = [
-    'ffmpeg',
-    'ffmpeg.exe',
-    path.join(process.env.PROGRAMFILES || 'C:\\Program Files', 'FFmpeg\\bin\\ffmpeg.exe'),
-    path.join(process.env['PROGRAMFILES(X86)'] || 'C:\\Program Files (x86)', 'FFmpeg\\bin\\ffmpeg.exe'),
-  ];
+function sendJson(res, obj, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(obj));
+}
 
-  for (const ffmpegPath of possibilities) {
-    try {
-      execSync(`"${ffmpegPath}" -version`, { stdio: 'ignore' });
-      ffmpeg = ffmpegPath;
-      console.log(`Found ffmpeg at: ${ffmpeg}`);
-      break;
-    } catch (e) {
-      // Try next
+function readJson(req, callback) {
+  let body = '';
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      req.destroy();
+      return;
     }
-  }
-  
-  if (!ffmpeg) {
-    console.error('FFmpeg not found. Install FFmpeg to use video capture.');
-    return false;
-  }
-  
-  // Try methods in order
-  return tryDirectSpoutCapture(ffmpeg).then(success => {
-    if (success) return true;
-    
-    // Try 2: HTTP Stream
-    console.log(`\n[2/3] Attempting HTTP stream capture from ${STREAM_URL}...`);
-    if (startStreamCapture()) {
-      // Check if stream actually works (give it a moment)
-      return new Promise((resolve) => {
-        setTimeout(() => {
-          if (currentFrameBuffer && currentFrameBuffer.length > 0) {
-            console.log('✓ HTTP stream capture working!');
-            resolve(true);
-          } else {
-            console.log('✗ HTTP stream capture failed, trying next method...');
-            if (captureProcess) {
-              captureProcess.kill();
-              captureProcess = null;
-            }
-            resolve(false);
-          }
-        }, 3000);
-      });
-    }
-    return Promise.resolve(false);
-  }).then(success => {
-    if (success) return true;
-    
-    // Try 3: OBS Virtual Camera
-    console.log(`\n[3/3] Attempting OBS Virtual Camera capture...`);
-    const obsResult = startOBSCameraCaptureMode(ffmpeg);
-    if (obsResult) {
-      return Promise.resolve(true);
-    }
-    
-    // Final fallback: Desktop capture
-    console.log(`\n[4/4] All methods failed, falling back to desktop capture...`);
-    return Promise.resolve(startDesktopCapture(ffmpeg));
+    body += chunk;
+  });
+  req.on('end', () => {
+    try { callback(body ? JSON.parse(body) : {}); }
+    catch (e) { callback(null); }
   });
 }
 
-// OBS Virtual Camera capture mode (extracted for reuse)
-function startOBSCameraCaptureMode(ffmpegParam) {
-  // If ffmpeg not provided, try to find it
-  let ffmpeg = ffmpegParam;
-  
-  if (!ffmpeg) {
-    const { execSync } = require('child_process');
-    const possibilities = [
-      'ffmpeg',
-      'ffmpeg.exe',
-      path.join(process.env.PROGRAMFILES || 'C:\\Program Files', 'FFmpeg\\bin\\ffmpeg.exe'),
-      path.join(process.env['PROGRAMFILES(X86)'] || 'C:\\Program Files (x86)', 'FFmpeg\\bin\\ffmpeg.exe'),
-    ];
-
-    for (const ffmpegPath of possibilities) {
-      try {
-        execSync(`"${ffmpegPath}" -version`, { stdio: 'ignore' });
-        ffmpeg = ffmpegPath;
-        console.log(`Found ffmpeg at: ${ffmpeg}`);
-        break;
-      } catch (e) {
-        // Try next
-      }
-    }
-    
-    if (!ffmpeg) {
-      console.error('FFmpeg not found. Install FFmpeg to use OBS Virtual Camera capture.');
-      console.error('Falling back to desktop capture...');
-      return startDesktopCapture(null);
-    }
-  }
-  
-  const { execSync } = require('child_process');
-  
-  // Try to list video devices and find OBS Virtual Camera
-  try {
-    console.log('Scanning for video devices...');
-    const output = execSync(`"${ffmpeg}" -f dshow -list_devices true -i dummy 2>&1`, { encoding: 'utf-8' });
-    const lines = output.split('\n');
-    let obsCamera = null;
-    let inVideoSection = false;
-    const allDevices = [];
-    
-    // Debug: show raw output if no devices found
-    let foundVideoSection = false;
-    
-    for (const line of lines) {
-      // Check for video section start - some FFmpeg versions don't have this header
-      if (line.includes('DirectShow video devices') || line.includes('video devices')) {
-        inVideoSection = true;
-        foundVideoSection = true;
-        continue;
-      }
-      // Check for audio section (end of video section)
-      if (line.includes('DirectShow audio devices') || line.includes('audio devices')) {
-        inVideoSection = false;
-        if (foundVideoSection) break; // We've processed video section
-      }
-      
-      // If we see a dshow line with "(video)", we're in the video section
-      if (line.includes('[dshow') && line.includes('(video)')) {
-        inVideoSection = true;
-        foundVideoSection = true;
-      }
-      
-      // Process video devices - look for lines with [dshow and "(video)"
-      if (inVideoSection || (line.includes('[dshow') && line.includes('(video)'))) {
-        // Match format: [dshow @ 0x...] "Device Name" (video)
-        // The device name is between quotes, before (video)
-        let match = line.match(/\[dshow[^\]]*\]\s*"(.*?)"\s*\(video\)/);
-        if (!match) {
-          // Try format without (video): [dshow @ 0x...] "Device Name"
-          match = line.match(/\[dshow[^\]]*\]\s*"(.*?)"/);
-        }
-        if (!match) {
-          // Try generic format: [anything] "Device Name"
-          match = line.match(/\[.*?\]\s*"(.*?)"/);
-        }
-        
-        if (match) {
-          const deviceName = match[1].trim();
-          if (deviceName && deviceName.length > 0 && !deviceName.startsWith('@device')) {
-            // Skip alternative names (they start with @device)
-            allDevices.push(deviceName);
-            
-            // Try multiple patterns for OBS Virtual Camera
-            const lowerName = deviceName.toLowerCase();
-            if ((lowerName.includes('obs') && lowerName.includes('virtual') && !lowerName.includes('lovense')) ||
-                (lowerName === 'obs virtual camera') ||
-                (lowerName.startsWith('obs virtual') && !lowerName.includes('lovense'))) {
-              // Prefer "OBS Virtual Camera" over "Lovense OBS Virtual Camera"
-              if (!obsCamera || lowerName === 'obs virtual camera') {
-                obsCamera = deviceName;
-                console.log(`✓ Found OBS Virtual Camera: ${deviceName}`);
-              }
-            }
-          }
-        }
-      }
-    }
-    
-    // Always show all devices for debugging
-    if (allDevices.length > 0) {
-      console.log(`\nFound ${allDevices.length} video device(s):`);
-      allDevices.forEach((dev, i) => {
-        const lowerDev = dev.toLowerCase();
-        const marker = (lowerDev.includes('obs') || lowerDev.includes('virtual')) ? '🎯' : '  ';
-        console.log(`  ${marker} ${i + 1}. ${dev}`);
-      });
-      console.log('');
-    } else {
-      console.warn('⚠️  No video devices detected!');
-      console.warn('   This might mean:');
-      console.warn('   - No cameras are connected');
-      console.warn('   - OBS Virtual Camera is not started');
-      console.warn('   - FFmpeg cannot access DirectShow devices');
-      console.warn('\n   Raw FFmpeg output (first 20 lines):');
-      lines.slice(0, 20).forEach((line, i) => {
-        if (line.trim()) console.log(`   ${i + 1}: ${line}`);
-      });
-      console.log('');
-    }
-    
-    if (obsCamera) {
-      return startOBSCameraCapture(ffmpeg, obsCamera);
-    } else {
-      console.warn('⚠️  OBS Virtual Camera not found in device list.');
-      console.warn('   Make sure:');
-      console.warn('   1. OBS Studio is running');
-      console.warn('   2. Virtual Camera is started (Tools → Start Virtual Camera)');
-      console.warn('   3. The device name matches one of the patterns above');
-      console.warn('\n   If you see OBS in the device list above, you can manually specify it:');
-      console.warn('   OBS_CAMERA="Device Name" node spout-bridge.js\n');
-      
-      // Try to use manual override if set
-      const manualCamera = process.env.OBS_CAMERA;
-      if (manualCamera) {
-        console.log(`Using manual camera override: ${manualCamera}`);
-        return startOBSCameraCapture(ffmpeg, manualCamera);
-      }
-      
-      console.warn('   OBS Virtual Camera not available, falling back to desktop capture...\n');
-      return startDesktopCapture(ffmpeg);
-    }
-  } catch (err) {
-    console.error('Error detecting cameras:', err.message);
-    console.log('Falling back to desktop capture...\n');
-    return startDesktopCapture(ffmpeg);
-  }
+function captureResponse() {
+  return {
+    capture: capture.status(),
+    stream: frameHub.stats(),
+    h264: Object.values(h264Streams).map(stream => stream.stats()),
+    snapshots: snapshots.stats(),
+    options: capture.options,
+    sources: Object.entries(SOURCES).map(([name, source]) => ({
+      name,
+      label: source.label,
+      native: !source.platforms || source.platforms.includes(process.platform)
+    }))
+  };
 }
 
-// Capture from OBS Virtual Camera
-function startOBSCameraCapture(ffmpeg, cameraName) {
-  try {
-    console.log(`Capturing from: ${cameraName}`);
-    
-    // For dshow on Windows, construct the full command as a string
-    // Windows CMD requires quotes around device names with spaces
-    let videoInput;
-    if (cameraName.includes(' ')) {
-      // For Windows CMD: video="Device Name" - quotes are needed
-      // Escape any existing quotes in the device name by doubling them
-      const escapedName = cameraName.replace(/"/g, '""');
-      videoInput = `video="${escapedName}"`;
-    } else {
-      videoInput = `video=${cameraName}`;
+// GET /api/capture: status, options and sources.
+// POST /api/capture { source?, size?, fps?, quality?, streamUrl?, ... }:
+// switch source and/or change options; capture restarts with them.
+function handleCaptureApi(req, res) {
+  if (!isLoopback(req)) return sendJson(res, { error: 'Forbidden', message: 'Use the control API through server.js' }, 403);
+  if (req.method === 'GET') return sendJson(res, captureResponse());
+  if (req.method !== 'POST') return sendJson(res, { error: 'Method not allowed' }, 405);
+
+  readJson(req, (body) => {
+    if (!body || typeof body !== 'object') return sendJson(res, { error: 'bad json' }, 400);
+    const { source, ...changes } = body;
+    const before = capture.options;
+    const result = capture.configure(changes, source === undefined ? capture.status().source : source);
+    if (result.error) return sendJson(res, { error: result.error }, 400);
+    // New size/fps: the encoders start over with them
+    if (result.options.size !== before.size || result.options.fps !== before.fps) {
+      for (const stream of Object.values(h264Streams)) stream.restart();
     }
-    
-    console.log(`Device name: "${cameraName}"`);
-    console.log(`FFmpeg input: ${videoInput}`);
-    
-    // Construct full command as a single string
-    // Quote the ffmpeg path and the video input properly for Windows CMD
-    const fullCommand = `"${ffmpeg}" -f dshow -rtbufsize 200M -framerate 30 -i ${videoInput} -c:v mjpeg -q:v 5 -s 1280x720 -r 30 -f mjpeg pipe:1`;
-    console.log(`FFmpeg command: ${fullCommand}`);
-    
-    captureProcess = spawn(fullCommand, {
-      stdio: ['ignore', 'pipe', 'pipe'],
-      windowsHide: true,
-      shell: true  // Use shell to execute the full command string
-    });
-
-    let frameCount = 0;
-    let buffer = Buffer.alloc(0);
-    
-    // MJPEG stream parser
-    captureProcess.stdout.on('data', (chunk) => {
-      buffer = Buffer.concat([buffer, chunk]);
-      
-      let startIndex = 0;
-      
-      while (startIndex < buffer.length) {
-        const jpegStart = buffer.indexOf(Buffer.from([0xFF, 0xD8]), startIndex);
-        if (jpegStart === -1) {
-          buffer = buffer.slice(startIndex);
-          break;
-        }
-        
-        const jpegEnd = buffer.indexOf(Buffer.from([0xFF, 0xD9]), jpegStart + 2);
-        if (jpegEnd === -1) {
-          buffer = buffer.slice(jpegStart);
-          break;
-        }
-        
-        const frameEnd = jpegEnd + 2;
-        const frame = buffer.slice(jpegStart, frameEnd);
-        currentFrameBuffer = frame;
-        frameCount++;
-        startIndex = frameEnd;
-      }
-      
-      if (startIndex < buffer.length) {
-        buffer = buffer.slice(startIndex);
-      } else {
-        buffer = Buffer.alloc(0);
-      }
-    });
-
-    captureProcess.stderr.on('data', (data) => {
-      const msg = data.toString('utf-8').trim();
-      if (msg && !msg.includes('frame=') && !msg.includes('fps=')) {
-        if (msg.includes('error') || msg.includes('Error') || msg.includes('Failed')) {
-          console.error(`[FFmpeg] ${msg}`);
-        }
-      }
-    });
-
-    captureProcess.on('error', (err) => {
-      console.error('Capture process error:', err);
-      captureProcess = null;
-    });
-
-    captureProcess.on('exit', (code) => {
-      if (code !== 0 && code !== null) {
-        console.error(`Capture process exited with code ${code}`);
-      }
-      captureProcess = null;
-    });
-
-    console.log('✓ OBS Virtual Camera capture started');
-    return true;
-  } catch (err) {
-    console.error('Failed to start OBS camera capture:', err);
-    return false;
-  }
+    console.log(`[Capture] Settings changed: ${JSON.stringify(body)}`);
+    sendJson(res, captureResponse());
+  });
 }
 
-// Fallback: desktop capture
-function startDesktopCapture(ffmpeg) {
-  try {
-    console.log('Using desktop capture (gdigrab)');
-    
-    const args = [
-      '-f', 'gdigrab',
-      '-framerate', '30',
-      '-i', 'desktop',
-      '-c:v', 'mjpeg',
-      '-q:v', '5',
-      '-s', '1280x720',
-      '-r', '30',
-      '-f', 'mjpeg',
-      'pipe:1'
-    ];
-    
-    captureProcess = spawn(ffmpeg, args, {
-      stdio: ['ignore', 'pipe', 'pipe'],
-      windowsHide: true,
-      shell: true
-    });
-
-    let frameCount = 0;
-    let buffer = Buffer.alloc(0);
-    
-    captureProcess.stdout.on('data', (chunk) => {
-      buffer = Buffer.concat([buffer, chunk]);
-      
-      let startIndex = 0;
-      
-      while (startIndex < buffer.length) {
-        const jpegStart = buffer.indexOf(Buffer.from([0xFF, 0xD8]), startIndex);
-        if (jpegStart === -1) {
-          buffer = buffer.slice(startIndex);
-          break;
-        }
-        
-        const jpegEnd = buffer.indexOf(Buffer.from([0xFF, 0xD9]), jpegStart + 2);
-        if (jpegEnd === -1) {
-          buffer = buffer.slice(jpegStart);
-          break;
-        }
-        
-        const frameEnd = jpegEnd + 2;
-        const frame = buffer.slice(jpegStart, frameEnd);
-        currentFrameBuffer = frame;
-        frameCount++;
-        startIndex = frameEnd;
-      }
-      
-      if (startIndex < buffer.length) {
-        buffer = buffer.slice(startIndex);
-      } else {
-        buffer = Buffer.alloc(0);
-      }
-    });
-
-    captureProcess.stderr.on('data', (data) => {
-      // Suppress verbose FFmpeg output
-    });
-
-    captureProcess.on('error', (err) => {
-      console.error('Capture process error:', err);
-      captureProcess = null;
-    });
-
-    captureProcess.on('exit', (code) => {
-      if (code !== 0 && code !== null) {
-        console.error(`Capture process exited with code ${code}`);
-      }
-      captureProcess = null;
+// GET /snapshot.jpg?width=&quality=&format=jpeg|webp|png: the latest frame
+// as a single image (see snapshots.js)
+function handleSnapshot(req, res, query) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return sendJson(res, { error: 'Method not allowed' }, 405);
+  const parsed = parseSnapshotQuery(query);
+  if (parsed.error) return sendJson(res, { error: parsed.error }, 400);
+  snapshots.render(parsed.options).then(snapshot => {
+    res.writeHead(200, {
+      'Content-Type': snapshot.type,
+      'Content-Length': snapshot.data.length,
+      'Cache-Control': 'no-cache',
+      'X-Frame-Seq': snapshot.seq
     });
-
-    console.log('✓ Desktop capture started');
-    return true;
-  } catch (err) {
-    console.error('Failed to start desktop capture:', err);
-    return false;
-  }
+    res.end(req.method === 'HEAD' ? undefined : snapshot.data);
+  }).catch(err => {
+    if (!err.status) console.error(`[Snapshot] ${err.message}`);
+    sendJson(res, { error: err.message }, err.status || 500);
+  });
 }
 
 // Create MJPEG HTTP server
 const server = http.createServer((req, res) => {
-  if (req.url === '/mjpeg') {
-    // MJPEG stream endpoint
-    res.writeHead(200, {
-      'Content-Type': 'multipart/x-mixed-replace; boundary=frame',
-      'Connection': 'close',
-      'Cache-Control': 'no-cache'
-    });
-
-    let frameCount = 0;
-
-    const sendFrame = () => {
-      if (currentFrameBuffer && currentFrameBuffer.length > 0) {
-        frameCount++;
-        res.write('--frame\r\n');
-        res.write('Content-Type: image/jpeg\r\n');
-        res.write(`Content-Length: ${currentFrameBuffer.length}\r\n\r\n`);
-        res.write(currentFrameBuffer);
-        res.write('\r\n');
-        
-        if (frameCount % 30 === 0) {
-          console.log(`Streaming frame ${frameCount}, buffer size: ${currentFrameBuffer.length} bytes`);
-        }
-      }
-    };
-
-    sendFrame();
-
-    const interval = setInterval(() => {
-      if (!res.writableEnded) {
-        sendFrame();
-      } else {
-        clearInterval(interval);
-        console.log(`Stream ended after ${frameCount} frames`);
-      }
-    }, 33);
-
-    res.on('end', () => clearInterval(interval));
-    res.on('error', () => clearInterval(interval));
+  const parsed = new URL(req.url, 'http://localhost');
+  if (req.url === '/api/capture') {
+    handleCaptureApi(req, res);
+  } else if (req.url === '/mjpeg') {
+    // Frames go out as they're captured, to every viewer (see frame-hub.js)
+    frameHub.attach(res);
+  } else if (parsed.pathname === '/snapshot.jpg') {
+    handleSnapshot(req, res, parsed.searchParams);
   } else if (req.url === '/') {
     res.writeHead(200, { 'Content-Type': 'text/html' });
     res.end(`
@@ -737,7 +197,7 @@ const server = http.createServer((req, res) => {
       <body>
         <h1>Spout MJPEG Stream</h1>
         <img src="/mjpeg" style="max-width: 100%; height: auto;" />
-        <p>Mode: ${CAPTURE_MODE === 'stream' ? `HTTP Stream (${STREAM_URL})` : `${SPOUT_SENDER_NAME} (via OBS Virtual Camera)`}</p>
+        <p>Source: ${capture.status().label || 'none'} (${capture.status().state})</p>
       </body>
       </html>
     `);
@@ -747,53 +207,50 @@ const server = http.createServer((req, res) => {
   }
 });
 
+server.on('upgrade', (req, socket, head) => {
+  const parsed = new URL(req.url, 'http://localhost');
+  if (parsed.pathname !== '/fmp4') return rejectUpgrade(socket, 404);
+  const latency = parsed.searchParams.get('latency') || 'balanced';
+  if (!Object.hasOwn(h264Streams, latency)) return rejectUpgrade(socket, 400, `latency must be one of ${Object.keys(LATENCY_PROFILES).join(', ')}`);
+  const ws = acceptUpgrade(req, socket, head);
+  if (ws) h264Streams[latency].attach(ws);
+});
+
 server.listen(SPOUT_PORT, '0.0.0.0', () => {
   const localIP = getLocalIP();
   console.log(`\n====================================`);
   console.log(`Spout MJPEG bridge running!`);
   console.log(`====================================`);
-  if (CAPTURE_MODE === 'stream') {
-    console.log(`Capture mode: HTTP Stream (manual)`);
-    console.log(`Stream URL: ${STREAM_URL}`);
-  } else if (CAPTURE_MODE === 'obs') {
-    console.log(`Capture mode: OBS Virtual Camera (manual)`);
+  if (CAPTURE_MODE === 'auto' || CAPTURE_MODE === 'camera') {
+    console.log(`Capture mode: Auto (trying: ${autoOrder().join(' → ')})`);
   } else {
-    console.log(`Capture mode: Auto (trying: Spout → Stream → OBS → Desktop)`);
-    console.log(`Target sender: ${SPOUT_SENDER_NAME}`);
-    console.log(`Stream URL: ${STREAM_URL}`);
+    console.log(`Capture mode: ${CAPTURE_MODE} (manual)`);
   }
+  console.log(`Target sender: ${SPOUT_SENDER_NAME}`);
+  console.log(`Stream URL: ${STREAM_URL}`);
   console.log(`Local access:   http://127.0.0.1:${SPOUT_PORT}/mjpeg`);
   console.log(`Network access: http://${localIP}:${SPOUT_PORT}/mjpeg`);
+  console.log(`Snapshot:       http://${localIP}:${SPOUT_PORT}/snapshot.jpg?width=320&format=webp`);
+  console.log(`H.264 preview:  ws://${localIP}:${SPOUT_PORT}/fmp4?latency=${Object.keys(LATENCY_PROFILES).join('|')}`);
   console.log(`====================================\n`);
 });
 
 // Start capturing
-const captureResult = startSpoutCapture();
-if (captureResult && typeof captureResult.then === 'function') {
-  // Handle Promise-based capture (auto mode with fallbacks)
-  captureResult.then(success => {
-    if (!success) {
-      console.error('Failed to start capture with any method.');
-      process.exit(1);
-    }
-  }).catch(err => {
-    console.error('Error during capture startup:', err);
+startCapture().then(success => {
+  if (!success) {
+    console.error('Failed to start capture with any method.');
     process.exit(1);
-  });
-} else if (!captureResult) {
-  // Handle synchronous boolean return (manual mode)
-  console.error('Failed to start capture.');
+  }
+}).catch(err => {
+  console.error('Error during capture startup:', err);
   process.exit(1);
-}
+});
 
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('Shutting down...');
-  if (captureInterval) {
-    clearInterval(captureInterval);
-  }
-  if (captureProcess) {
-    captureProcess.kill();
-  }
+  capture.stop();
+  frameHub.closeAll();
+  for (const stream of Object.values(h264Streams)) stream.close();
   server.close(() => process.exit(0));
 });
@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Recorded camera takes: the pose + zoom stream captured while someone flies
+// the camera (in VR over OSC, or from the web UI), kept so the exact move can
+// be replayed for another take.
+//
+// A take file (takes/<id>.json):
+//   { id, name, source, createdAt, updatedAt, duration, samples: [[t, x, y, z, pitch, yaw, roll, zoom], ...] }
+// with t in seconds from the start of the take. Samples are stored as plain
+// arrays to keep hour-long takes a manageable size.
+
+const SAMPLE_KEYS = ['x', 'y', 'z', 'pitch', 'yaw', 'roll', 'zoom'];
+const SOURCES = ['osc', 'web', 'both'];   // osc: VRChat's own pose, web: what we send
+const MAX_NAME_LENGTH = 64;
+const MAX_TAKE_SECONDS = 30 * 60;
+const ID_PATTERN = /^[0-9a-f]{12}$/;
+
+function toSample(t, pose) {
+  return [Math.round(t * 1000) / 1000, ...SAMPLE_KEYS.map(key => Number(pose[key]) || 0)];
+}
+
+function samplePose(sample) {
+  const pose = {};
+  SAMPLE_KEYS.forEach((key, i) => { pose[key] = sample[i + 1]; });
+  return pose;
+}
+
+function summary(take) {
+  const { samples, ...rest } = take;
+  return { ...rest, sampleCount: samples.length };
+}
+
+function validateName(name) {
+  if (typeof name !== 'string' || !name.trim()) return 'name required';
+  if (name.length > MAX_NAME_LENGTH) return `name must be at most ${MAX_NAME_LENGTH} characters`;
+  return null;
+}
+
+// -- Storage --
+
+function createTakeStore(dir) {
+  const index = new Map(); // id -> summary; samples are read from disk on demand
+
+  function fileFor(id) {
+    return path.join(dir, `${id}.json`);
+  }
+
+  function write(take) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = fileFor(take.id);
+    const tmp = file + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(take));
+    fs.renameSync(tmp, file);
+    index.set(take.id, summary(take));
+  }
+
+  try {
+    if (fs.existsSync(dir)) {
+      for (const name of fs.readdirSync(dir)) {
+        if (!name.endsWith('.json')) continue;
+        try {
+          const take = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+          if (take.id && Array.isArray(take.samples)) index.set(take.id, summary(take));
+        } catch (err) {
+          console.error(`Skipping unreadable take ${name}: ${err.message}`);
+        }
+      }
+      console.log(`Loaded ${index.size} take(s) from ${dir}`);
+    }
+  } catch (err) {
+    console.error('Error loading takes:', err.message);
+  }
+
+  return {
+    // Newest first, without samples
+    list() {
+      return [...index.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    // The full take with samples, or null
+    get(id) {
+      if (!ID_PATTERN.test(id) || !index.has(id)) return null;
+      try {
+        return JSON.parse(fs.readFileSync(fileFor(id), 'utf8'));
+      } catch (err) {
+        console.error(`Error reading take ${id}:`, err.message);
+        return null;
+      }
+    },
+
+    // Returns { take } (the summary) or { error }
+    create({ name, source, samples }) {
+      const error = validateName(name);
+      if (error) return { error };
+      if (!samples.length) return { error: 'Nothing was recorded' };
+      const now = new Date().toISOString();
+      const take = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name: name.trim(),
+        source,
+        createdAt: now,
+        updatedAt: now,
+        duration: samples[samples.length - 1][0],
+        samples
+      };
+      write(take);
+      return { take: summary(take) };
+    },
+
+    rename(id, name) {
+      const take = this.get(id);
+      if (!take) return { error: 'Take not found', notFound: true };
+      const error = validateName(name);
+      if (error) return { error };
+      take.name = name.trim();
+      take.updatedAt = new Date().toISOString();
+      write(take);
+      return { take: summary(take) };
+    },
+
+    // Keep only start..end (seconds) and shift it to begin at 0
+    trim(id, start, end) {
+      const take = this.get(id);
+      if (!take) return { error: 'Take not found', notFound: true };
+      const from = start === undefined ? 0 : Number(start);
+      const to = end === undefined ? take.duration : Number(end);
+      if (!isFinite(from) || !isFinite(to) || from < 0 || to <= from) return { error: 'need 0 <= start < end (seconds)' };
+      const kept = take.samples.filter(s => s[0] >= from && s[0] <= to);
+      if (!kept.length) return { error: 'No samples in that range' };
+      const offset = kept[0][0];
+      take.samples = kept.map(s => [Math.round((s[0] - offset) * 1000) / 1000, ...s.slice(1)]);
+      take.duration = take.samples[take.samples.length - 1][0];
+      take.updatedAt = new Date().toISOString();
+      write(take);
+      return { take: summary(take) };
+    },
+
+    remove(id) {
+      if (!ID_PATTERN.test(id) || !index.has(id)) return false;
+      fs.rmSync(fileFor(id), { force: true });
+      index.delete(id);
+      return true;
+    }
+  };
+}
+
+// -- Recording --
+
+// onStatus(status) runs when recording starts or stops
+// onLimit(recorded) gets the take the recorder stopped by itself at
+// MAX_TAKE_SECONDS, to be saved like one from stop()
+function createRecorder({ onStatus, onLimit }) {
+  let current = null; // { name, source, startedAt, samples, last }
+  let message = null; // why the last recording ended, if not by request
+
+  function status() {
+    if (!current) return message ? { recording: false, message } : { recording: false };
+    return {
+      recording: true,
+      name: current.name,
+      source: current.source,
+      elapsed: (Date.now() - current.startedAt) / 1000,
+      sampleCount: current.samples.length
+    };
+  }
+
+  function emit() {
+    if (onStatus) onStatus(status());
+  }
+
+  return {
+    status,
+
+    // Returns { error } or {}
+    start({ name, source = 'osc' } = {}) {
+      if (current) return { error: `Already recording ${current.name}` };
+      const error = validateName(name);
+      if (error) return { error };
+      if (!SOURCES.includes(source)) return { error: `source must be one of ${SOURCES.join(', ')}` };
+      current = { name: name.trim(), source, startedAt: Date.now(), samples: [], last: null };
+      message = null;
+      emit();
+      return {};
+    },
+
+    // Feed every pose/zoom change through here; origin is 'osc' or 'web'
+    capture(origin, pose) {
+      if (!current || (current.source !== 'both' && current.source !== origin)) return;
+      const t = (Date.now() - current.startedAt) / 1000;
+      if (t > MAX_TAKE_SECONDS) {
+        console.log(`[Takes] ${current.name} hit the ${MAX_TAKE_SECONDS / 60} minute limit`);
+        const recorded = this.stop(`${current.name} stopped at the ${MAX_TAKE_SECONDS / 60} minute limit`);
+        if (onLimit) onLimit(recorded);
+        return;
+      }
+      const sample = toSample(t, pose);
+      // Repeats of the same pose carry no information
+      if (current.last && sample.every((v, i) => i === 0 || v === current.last[i])) return;
+      current.samples.push(sample);
+      current.last = sample;
+    },
+
+    // Ends the recording, with a message for clients if it wasn't asked for.
+    // Returns { name, source, samples } or null.
+    stop(reason = null) {
+      if (!current) return null;
+      const { name, source, samples } = current;
+      current = null;
+      message = reason;
+      emit();
+      return { name, source, samples };
+    }
+  };
+}
+
+// -- Replay --
+
+// Sends each sample at its recorded time (divided by speed), so the replay
+// has the same rhythm as the original stream. onFrame(pose) applies a pose;
+// onStatus(status) runs on play/stop/end.
+function createTakePlayer({ onFrame, onStatus }) {
+  let take = null;
+  let speed = 1;
+  let index = 0;
+  let startedAt = 0;
+  let timer = null;
+
+  function status() {
+    if (!take) return { playing: false };
+    return {
+      playing: true,
+      id: take.id,
+      name: take.name,
+      speed,
+      time: Math.min((Date.now() - startedAt) / 1000 * speed, take.duration),
+      duration: take.duration
+    };
+  }
+
+  function emit() {
+    if (onStatus) onStatus(status());
+  }
+
+  // Catch up on every sample that's due (keeps the last one if behind),
+  // then sleep until the next
+  function step() {
+    timer = null;
+    const elapsed = (Date.now() - startedAt) / 1000 * speed;
+    let due = null;
+    while (index < take.samples.length && take.samples[index][0] <= elapsed) due = take.samples[index++];
+    if (due) onFrame(samplePose(due));
+    if (index >= take.samples.length) {
+      take = null;
+      emit();
+      return;
+    }
+    const wait = (take.samples[index][0] - elapsed) / speed * 1000;
+    timer = setTimeout(step, Math.max(0, wait));
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+    if (!take) return;
+    take = null;
+    emit();
+  }
+
+  return {
+    status,
+    stop,
+
+    play(next, rate = 1) {
+      stop();
+      take = next;
+      speed = rate;
+      index = 0;
+      startedAt = Date.now();
+      emit();
+      step();
+    }
+  };
+}
+
+module.exports = { SOURCES, SAMPLE_KEYS, MAX_TAKE_SECONDS, createTakeStore, createRecorder, createTakePlayer };
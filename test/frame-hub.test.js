@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createFrameHub, createMultipartParser, createMjpegRelay } = require('../frame-hub');
+
+function part(data) {
+  return Buffer.concat([Buffer.from(`--frame\r\nContent-Type: image/jpeg\r\nContent-Length: ${data.length}\r\n\r\n`), data, Buffer.from('\r\n')]);
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+test('the parser reassembles parts split across chunks', () => {
+  const parts = [];
+  const parser = createMultipartParser((body) => parts.push(body.toString()));
+  const stream = Buffer.concat([part(Buffer.from('one')), part(Buffer.from('two'))]);
+  for (let i = 0; i < stream.length; i += 5) parser.push(stream.subarray(i, i + 5));
+  assert.deepStrictEqual(parts, ['one', 'two']);
+});
+
+test('the hub numbers frames and drops repeats', () => {
+  const hub = createFrameHub();
+  assert.strictEqual(hub.publish(Buffer.from('a')), 1);
+  assert.strictEqual(hub.publish(Buffer.from('a')), null);
+  assert.strictEqual(hub.publish(Buffer.from('b')), 2);
+  assert.deepStrictEqual(hub.stats(), { seq: 2, viewers: 0, duplicates: 1, skipped: 0 });
+});
+
+test('the relay reconnects when the upstream dies mid-stream', async () => {
+  let connections = 0;
+  const upstream = http.createServer((req, res) => {
+    connections++;
+    res.writeHead(200, { 'Content-Type': 'multipart/x-mixed-replace; boundary=frame' });
+    if (connections === 1) {
+      // Three frames, then the bridge process goes away
+      for (let i = 1; i <= 3; i++) res.write(part(Buffer.from(`frame ${i}`)));
+      setTimeout(() => req.socket.destroy(), 50);
+    } else {
+      res.write(part(Buffer.from('after restart')));
+    }
+  });
+  const relay = createMjpegRelay({ hostname: '127.0.0.1', port: await listen(upstream), path: '/mjpeg' });
+  const viewers = http.createServer((req, res) => relay.serve(res, () => { res.writeHead(502); res.end(); }));
+  const viewerPort = await listen(viewers);
+
+  const frames = [];
+  let viewer;
+  try {
+    await new Promise((resolve, reject) => {
+      viewer = http.get({ host: '127.0.0.1', port: viewerPort, path: '/' }, (res) => {
+        const parser = createMultipartParser((body) => {
+          frames.push(body.toString());
+          if (body.toString() === 'after restart') resolve();
+        });
+        res.on('data', (chunk) => parser.push(chunk));
+      });
+      viewer.on('error', reject);
+      setTimeout(() => reject(new Error(`no frame after the restart; got ${JSON.stringify(frames)}`)), 10000).unref();
+    });
+  } finally {
+    if (viewer) viewer.destroy();
+    relay.close();
+    upstream.closeAllConnections();
+    viewers.closeAllConnections();
+    await Promise.all([new Promise(r => upstream.close(r)), new Promise(r => viewers.close(r))]);
+  }
+
+  assert.strictEqual(connections, 2);
+  assert.deepStrictEqual(frames, ['frame 1', 'frame 2', 'frame 3', 'after restart']);
+});
@@ -0,0 +1,337 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const osc = require('../osc');
+
+function roundTrip(packet) {
+  return osc.decodePacket(osc.encodePacket(packet));
+}
+
+// -- Type tags --
+
+test('every type tag round-trips', () => {
+  const args = [
+    -123456,                                 // i
+    1.5,                                     // f
+    'hello',                                 // s
+    Buffer.from([1, 2, 3, 4, 5]),            // b
+    -(2n ** 40n),                            // h
+    { seconds: 3900000000, fraction: 123 },  // t
+    Math.PI,                                 // d
+    'symbol',                                // S
+    'x',                                     // c
+    { r: 255, g: 128, b: 0, a: 64 },         // r
+    { port: 1, status: 0x90, data1: 60, data2: 100 }, // m
+    true,                                    // T
+    false,                                   // F
+    null,                                    // N
+    Infinity                                 // I
+  ];
+  const decoded = roundTrip({ address: '/all', types: 'ifsbhtdScrmTFNI', args });
+  assert.strictEqual(decoded.address, '/all');
+  assert.strictEqual(decoded.types, 'ifsbhtdScrmTFNI');
+  assert.deepStrictEqual(decoded.args, args);
+});
+
+test('strings and blobs of every length are padded to 4 bytes', () => {
+  for (let n = 0; n < 9; n++) {
+    const s = 'a'.repeat(n);
+    const b = Buffer.alloc(n, 7);
+    const buf = osc.encodeMessage('/pad', 'sb', [s, b]);
+    assert.strictEqual(buf.length % 4, 0);
+    assert.deepStrictEqual(osc.decodePacket(buf).args, [s, b]);
+  }
+});
+
+test('utf-8 strings survive', () => {
+  assert.deepStrictEqual(roundTrip({ address: '/text', types: 's', args: ['カメラ ✓'] }).args, ['カメラ ✓']);
+});
+
+test('int and float edges', () => {
+  const decoded = roundTrip({ address: '/n', types: 'iiffdh', args: [2147483647, -2147483648, -0, NaN, -Infinity, 2n ** 63n - 1n] });
+  assert.strictEqual(decoded.args[0], 2147483647);
+  assert.strictEqual(decoded.args[1], -2147483648);
+  assert.ok(Object.is(decoded.args[2], -0));
+  assert.ok(Number.isNaN(decoded.args[3]));
+  assert.strictEqual(decoded.args[4], -Infinity);
+  assert.strictEqual(decoded.args[5], 2n ** 63n - 1n);
+});
+
+test('float args lose precision to float32 only', () => {
+  const [value] = roundTrip({ address: '/f', types: 'f', args: [0.1] }).args;
+  assert.strictEqual(value, Math.fround(0.1));
+});
+
+test('types are inferred when omitted', () => {
+  const decoded = roundTrip({ address: '/infer', args: [1, 2.5, 'x', true, false, null, Infinity, 5n, Buffer.from('hi'), [1, ['a']]] });
+  assert.strictEqual(decoded.types, 'ifsTFNIhb[i[s]]');
+  assert.deepStrictEqual(decoded.args, [1, 2.5, 'x', true, false, null, Infinity, 5n, Buffer.from('hi'), [1, ['a']]]);
+});
+
+test('a message without arguments', () => {
+  const decoded = roundTrip({ address: '/bare', args: [] });
+  assert.deepStrictEqual(decoded, { address: '/bare', types: '', args: [] });
+});
+
+test('OSC 1.0 messages without a type tag string decode with no args', () => {
+  const buf = Buffer.from('/old\0\0\0\0', 'latin1');
+  assert.deepStrictEqual(osc.decodePacket(buf), { address: '/old', types: '', args: [] });
+});
+
+test('unsupported types are refused when encoding', () => {
+  assert.throws(() => osc.encodeMessage('/x', 'q', [1]), /Unsupported OSC type tag/);
+  assert.throws(() => osc.encodeMessage('no-slash', 'i', [1]), /Invalid OSC address/);
+});
+
+// -- Arrays --
+
+test('nested arrays round-trip', () => {
+  const args = [1, [2, 'two', [3.5, [true, null]], []], 'end'];
+  const decoded = roundTrip({ address: '/arr', types: 'i[is[f[TN]][]]s', args });
+  assert.strictEqual(decoded.types, 'i[is[f[TN]][]]s');
+  assert.deepStrictEqual(decoded.args, args);
+});
+
+test('array type without an array argument is refused', () => {
+  assert.throws(() => osc.encodeMessage('/arr', '[i]', [1]), /needs an array/);
+});
+
+// -- Bundles and timetags --
+
+test('timetags convert to and from dates', () => {
+  const ms = Date.UTC(2026, 0, 2, 3, 4, 5, 678);
+  const tt = osc.timetagFromDate(ms);
+  assert.ok(Math.abs(osc.timetagToDate(tt) - ms) < 0.001);
+  assert.ok(osc.isImmediate(osc.IMMEDIATE));
+  assert.ok(osc.isImmediate(osc.toTimetag()));
+  assert.deepStrictEqual(osc.toTimetag(new Date(ms)), tt);
+  assert.deepStrictEqual(osc.toTimetag(ms), tt);
+});
+
+test('bundles keep their timetag and elements', () => {
+  const timetag = osc.timetagFromDate(Date.UTC(2030, 5, 1));
+  const decoded = roundTrip({
+    timetag,
+    elements: [
+      { address: '/a', types: 'i', args: [1] },
+      { address: '/b', types: 'sT', args: ['x', true] }
+    ]
+  });
+  assert.strictEqual(decoded.bundle, true);
+  assert.deepStrictEqual(decoded.timetag, timetag);
+  assert.deepStrictEqual(decoded.elements, [
+    { address: '/a', types: 'i', args: [1] },
+    { address: '/b', types: 'sT', args: ['x', true] }
+  ]);
+});
+
+test('a bundle without a timetag is immediate', () => {
+  const decoded = roundTrip({ elements: [{ address: '/a', args: [] }] });
+  assert.deepStrictEqual(decoded.timetag, osc.IMMEDIATE);
+});
+
+test('nested bundles round-trip and flatten', () => {
+  const inner = osc.timetagFromDate(Date.UTC(2030, 0, 1));
+  const decoded = roundTrip({
+    timetag: osc.IMMEDIATE,
+    elements: [
+      { address: '/outer', types: 'i', args: [1] },
+      { timetag: inner, elements: [{ address: '/inner', types: 'f', args: [2] }, { elements: [{ address: '/deep', args: [] }] }] },
+      osc.encodeMessage('/raw', 'i', [3])
+    ]
+  });
+  assert.deepStrictEqual(decoded.elements[1].timetag, inner);
+  assert.strictEqual(decoded.elements[1].elements[1].bundle, true);
+  assert.deepStrictEqual(osc.messagesOf(decoded).map(m => m.address), ['/outer', '/inner', '/deep', '/raw']);
+});
+
+test('an empty bundle decodes', () => {
+  const decoded = roundTrip({ timetag: osc.IMMEDIATE, elements: [] });
+  assert.deepStrictEqual(decoded.elements, []);
+});
+
+// -- Pattern matching --
+
+test('address patterns', () => {
+  const cases = [
+    ['/usercamera/*', '/usercamera/Zoom', true],
+    ['/usercamera/*', '/usercamera/a/b', false],
+    ['/usercamera/Z*m', '/usercamera/Zoom', true],
+    ['/usercamera/Zo?m', '/usercamera/Zoom', true],
+    ['/usercamera/Zo?m', '/usercamera/Zom', false],
+    ['/usercamera/?', '/usercamera/', false],
+    ['/ch/[0-9]', '/ch/7', true],
+    ['/ch/[0-9]', '/ch/x', false],
+    ['/ch/[!0-9]', '/ch/x', true],
+    ['/ch/[!0-9]', '/ch/7', false],
+    ['/ch/[abc]', '/ch/b', true],
+    ['/ch/[abc]', '/ch/d', false],
+    ['/usercamera/{Zoom,Exposure}', '/usercamera/Exposure', true],
+    ['/usercamera/{Zoom,Exposure}', '/usercamera/Focus', false],
+    ['//Zoom', '/usercamera/Zoom', true],
+    ['//Zoom', '/Zoom', true],
+    ['//Zoom', '/a/b/c/Zoom', true],
+    ['//Zoom', '/usercamera/ZoomX', false],
+    ['/a//b', '/a/b', true],
+    ['/a//b', '/a/x/y/b', true],
+    ['/a//b', '/b', false],
+    ['/a.b', '/aXb', false],
+    ['/a.b', '/a.b', true],
+    ['/x/[', '/x/[', true],       // exact match wins even if the pattern is broken
+    ['/x/[', '/x/a', false],
+    ['/x/{a', '/x/a', false]
+  ];
+  for (const [pattern, address, expected] of cases) {
+    assert.strictEqual(osc.matchAddress(pattern, address), expected, `${pattern} vs ${address}`);
+  }
+  assert.ok(osc.isPattern('//Zoom'));
+  assert.ok(osc.isPattern('/a/{b,c}'));
+  assert.ok(!osc.isPattern('/usercamera/Zoom'));
+});
+
+test('many distinct patterns from the network still match', () => {
+  for (let i = 0; i < 2000; i++) {
+    assert.ok(osc.matchAddress(`/p${i}/*`, `/p${i}/x`));
+  }
+});
+
+// -- Dispatch --
+
+test('dispatcher matches patterns on either side and falls back', () => {
+  const dispatcher = osc.createDispatcher();
+  const seen = [];
+  dispatcher.on('/usercamera/*', (msg) => seen.push(['wild', msg.address]));
+  dispatcher.on('/usercamera/Zoom', (msg) => seen.push(['zoom', msg.address]));
+  dispatcher.on('/usercamera/Exposure', (msg) => seen.push(['exposure', msg.address]));
+  dispatcher.otherwise((msg) => seen.push(['other', msg.address]));
+
+  dispatcher.dispatch({ address: '/usercamera/Zoom', types: 'f', args: [40] });
+  dispatcher.dispatch({ address: '/usercamera/{Zoom,Exposure}', types: '', args: [] });
+  dispatcher.dispatch({ address: '/avatar/x', types: '', args: [] });
+  assert.deepStrictEqual(seen, [
+    ['wild', '/usercamera/Zoom'],
+    ['zoom', '/usercamera/Zoom'],
+    ['wild', '/usercamera/{Zoom,Exposure}'],
+    ['zoom', '/usercamera/{Zoom,Exposure}'],
+    ['exposure', '/usercamera/{Zoom,Exposure}'],
+    ['other', '/avatar/x']
+  ]);
+});
+
+test('immediate and past bundles dispatch at once, in order', () => {
+  const dispatcher = osc.createDispatcher();
+  const seen = [];
+  dispatcher.otherwise((msg) => seen.push(msg.address));
+  dispatcher.dispatch(roundTrip({ elements: [{ address: '/1', args: [] }, { timetag: osc.timetagFromDate(Date.now() - 1000), elements: [{ address: '/2', args: [] }] }] }));
+  assert.deepStrictEqual(seen, ['/1', '/2']);
+});
+
+test('future bundles wait for their timetag', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.UTC(2026, 0, 1) });
+  const dispatcher = osc.createDispatcher();
+  const seen = [];
+  dispatcher.otherwise((msg) => seen.push(msg.address));
+  dispatcher.dispatch(roundTrip({ timetag: osc.timetagFromDate(Date.now() + 500), elements: [{ address: '/later', args: [] }] }));
+  assert.deepStrictEqual(seen, []);
+  t.mock.timers.tick(499);
+  assert.deepStrictEqual(seen, []);
+  t.mock.timers.tick(2);
+  assert.deepStrictEqual(seen, ['/later']);
+});
+
+test('bundles too far ahead (clock skew) run at once', () => {
+  const dispatcher = osc.createDispatcher();
+  const seen = [];
+  dispatcher.otherwise((msg) => seen.push(msg.address));
+  dispatcher.dispatch({ bundle: true, timetag: osc.timetagFromDate(Date.now() + 3600 * 1000), elements: [{ address: '/skewed', args: [] }] });
+  assert.deepStrictEqual(seen, ['/skewed']);
+});
+
+test('a throwing handler in a scheduled bundle is caught', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.UTC(2026, 0, 1) });
+  t.mock.method(console, 'error', () => {});
+  const dispatcher = osc.createDispatcher();
+  dispatcher.on('/boom', () => { throw new Error('handler failed'); });
+  dispatcher.dispatch({ bundle: true, timetag: osc.timetagFromDate(Date.now() + 100), elements: [{ address: '/boom', args: [] }] });
+  assert.doesNotThrow(() => t.mock.timers.tick(200));
+  assert.strictEqual(console.error.mock.callCount(), 1);
+});
+
+test('the scheduler holds at most max callbacks and can be stopped', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.UTC(2026, 0, 1) });
+  const scheduler = osc.createScheduler(2);
+  const ran = [];
+  const soon = () => Date.now() + 100;
+  assert.ok(scheduler.at(soon(), () => ran.push(1)));
+  assert.ok(scheduler.at(soon(), () => ran.push(2)));
+  assert.ok(!scheduler.at(soon(), () => ran.push(3)));
+  // Due now: runs even when the queue is full
+  assert.ok(scheduler.at(osc.IMMEDIATE, () => ran.push('now')));
+  assert.strictEqual(scheduler.pending, 2);
+  t.mock.timers.tick(100);
+  assert.deepStrictEqual(ran, ['now', 1, 2]);
+  assert.strictEqual(scheduler.pending, 0);
+
+  scheduler.at(soon(), () => ran.push(4));
+  scheduler.stop();
+  t.mock.timers.tick(100);
+  assert.deepStrictEqual(ran, ['now', 1, 2]);
+  assert.strictEqual(scheduler.pending, 0);
+});
+
+test('a flood of future bundles is capped and logged once', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.UTC(2026, 0, 1) });
+  t.mock.method(console, 'warn', () => {});
+  const dispatcher = osc.createDispatcher({ maxPending: 3 });
+  let seen = 0;
+  dispatcher.otherwise(() => seen++);
+  const future = { bundle: true, timetag: osc.timetagFromDate(Date.now() + 1000), elements: [{ address: '/later', args: [] }] };
+  for (let i = 0; i < 10; i++) dispatcher.dispatch(future);
+  assert.strictEqual(dispatcher.pending, 3);
+  assert.strictEqual(console.warn.mock.callCount(), 1);
+  t.mock.timers.tick(1000);
+  assert.strictEqual(seen, 3);
+
+  dispatcher.dispatch({ ...future, timetag: osc.timetagFromDate(Date.now() + 1000) });
+  dispatcher.stop();
+  t.mock.timers.tick(1000);
+  assert.strictEqual(seen, 3);
+});
+
+// -- Malformed input --
+
+test('malformed and truncated packets throw', () => {
+  const good = osc.encodeMessage('/good', 'ifsb', [1, 2, 'three', Buffer.from('four')]);
+  // Every aligned truncation past the address (which alone is a valid OSC 1.0 message)
+  for (let n = 12; n < good.length; n += 4) {
+    assert.throws(() => osc.decodePacket(good.subarray(0, n)), undefined, `truncated to ${n}`);
+  }
+
+  const cases = {
+    'empty': Buffer.alloc(0),
+    'unaligned': Buffer.from('/abc\0\0'),
+    'no address slash': Buffer.from('abc\0,i\0\0\0\0\0\x01', 'latin1'),
+    'unterminated address': Buffer.from('/abcdefg', 'latin1'),
+    'unknown type tag': Buffer.from('/x\0\0,q\0\0\0\0\0\x01', 'latin1'),
+    'unbalanced ]': Buffer.from('/x\0\0,]\0\0', 'latin1'),
+    'unbalanced [': Buffer.from('/x\0\0,[i\0\0\0\0\0', 'latin1'),
+    'negative blob size': Buffer.concat([Buffer.from('/x\0\0,b\0\0', 'latin1'), Buffer.from([0xFF, 0xFF, 0xFF, 0xFF])]),
+    'oversized blob': Buffer.concat([Buffer.from('/x\0\0,b\0\0', 'latin1'), Buffer.from([0, 0, 1, 0])]),
+    'bundle without timetag': Buffer.from('#bundle\0', 'latin1')
+  };
+  for (const [name, buf] of Object.entries(cases)) {
+    assert.throws(() => osc.decodePacket(buf), undefined, name);
+  }
+});
+
+test('bundles with bad element sizes throw', () => {
+  const head = osc.encodeBundle(osc.IMMEDIATE, []);
+  const element = osc.encodeMessage('/a', 'i', [1]);
+  const size = (n) => { const b = Buffer.alloc(4); b.writeInt32BE(n); return b; };
+  assert.throws(() => osc.decodePacket(Buffer.concat([head, size(0)])), /element size/);
+  assert.throws(() => osc.decodePacket(Buffer.concat([head, size(-4)])), /element size/);
+  assert.throws(() => osc.decodePacket(Buffer.concat([head, size(6), element])), /element size/);
+  assert.throws(() => osc.decodePacket(Buffer.concat([head, size(element.length + 4), element])), /truncated/);
+  // A bad element inside a nested bundle fails the whole packet
+  const nested = osc.encodeBundle(osc.IMMEDIATE, [Buffer.concat([head, size(8), Buffer.from('garbage!')])]);
+  assert.throws(() => osc.decodePacket(nested));
+});
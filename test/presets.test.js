@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPresetStore, pickPose, validatePose } = require('../presets');
+
+const shot = { x: 1, y: 1.6, z: -2, pitch: 10, yaw: 90, roll: 0, zoom: 45 };
+
+function tempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'presets-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  return createPresetStore(path.join(dir, 'presets.json'));
+}
+
+test('poses need all seven fields as finite numbers', () => {
+  assert.strictEqual(validatePose(shot), null);
+  assert.strictEqual(validatePose({ ...shot, state: 'extra fields are fine' }), null);
+  assert.match(validatePose(null), /object/);
+  assert.match(validatePose('1,2,3'), /object/);
+  assert.match(validatePose({ x: 1 }), /y, z, pitch, yaw, roll, zoom/);
+  assert.match(validatePose({ ...shot, zoom: '45' }), /zoom/);
+  assert.match(validatePose({ ...shot, x: NaN, yaw: Infinity }), /x, yaw/);
+});
+
+test('zoom is clamped to the camera range', () => {
+  assert.strictEqual(pickPose({ ...shot, zoom: 0 }).zoom, 20);
+  assert.strictEqual(pickPose({ ...shot, zoom: 400 }).zoom, 150);
+  assert.deepStrictEqual(pickPose({ ...shot, params: {} }), shot);
+});
+
+test('bad poses are not saved', (t) => {
+  const store = tempStore(t);
+  assert.match(store.create({ name: 'Partial' }, { x: 1, y: 2 }).error, /pose needs/);
+  assert.strictEqual(store.list().length, 0);
+
+  const { preset } = store.create({ name: 'Wide' }, { ...shot, zoom: 0 });
+  assert.strictEqual(preset.pose.zoom, 20);
+  assert.match(store.update(preset.id, {}, { ...shot, roll: 'level' }).error, /roll/);
+  assert.deepStrictEqual(store.get(preset.id).pose, { ...shot, zoom: 20 });
+  assert.deepStrictEqual(store.update(preset.id, { name: 'Renamed' }).preset.pose, { ...shot, zoom: 20 });
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_TAKE_SECONDS, createRecorder } = require('../takes');
+
+const pose = (x) => ({ x, y: 0, z: 0, pitch: 0, yaw: 0, roll: 0, zoom: 45 });
+
+test('the recorder keeps changed poses from its source only', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const recorder = createRecorder({});
+  assert.deepStrictEqual(recorder.start({ name: 'Crane', source: 'osc' }), {});
+  recorder.capture('osc', pose(1));
+  recorder.capture('osc', pose(1));
+  recorder.capture('web', pose(2));
+  t.mock.timers.tick(500);
+  recorder.capture('osc', pose(3));
+  assert.deepStrictEqual(recorder.stop(), {
+    name: 'Crane',
+    source: 'osc',
+    samples: [[0, 1, 0, 0, 0, 0, 0, 45], [0.5, 3, 0, 0, 0, 0, 0, 45]]
+  });
+  assert.deepStrictEqual(recorder.status(), { recording: false });
+});
+
+test('a take stops itself once, at the length limit', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  t.mock.method(console, 'log', () => {});
+  const statuses = [];
+  const saved = [];
+  const recorder = createRecorder({
+    onStatus: (status) => statuses.push(status),
+    onLimit: (recorded) => saved.push(recorded)
+  });
+  recorder.start({ name: 'Long', source: 'web' });
+  recorder.capture('web', pose(1));
+  t.mock.timers.tick(MAX_TAKE_SECONDS * 1000);
+  recorder.capture('web', pose(2));
+  t.mock.timers.tick(1000);
+  for (let i = 0; i < 100; i++) recorder.capture('web', pose(3 + i));
+
+  assert.strictEqual(saved.length, 1);
+  assert.deepStrictEqual(saved[0].samples.map(s => s[0]), [0, MAX_TAKE_SECONDS]);
+  assert.strictEqual(console.log.mock.callCount(), 1);
+  const status = recorder.status();
+  assert.strictEqual(status.recording, false);
+  assert.match(status.message, /Long stopped at the 30 minute limit/);
+  assert.deepStrictEqual(statuses.at(-1), status);
+
+  // The next take starts clean
+  recorder.start({ name: 'Next', source: 'web' });
+  assert.strictEqual(recorder.status().message, undefined);
+});
@@ -0,0 +1,56 @@
+// Login throttling. Failures are counted per key (an IP address or a
+// username) over a sliding window; too many and the key is locked out for a
+// while. Successful logins clear the username's count but not the IP's, so
+// one good password can't be used to reset a guessing run.
+
+function createLoginThrottle({ maxFailures, windowMs, lockoutMs }) {
+  const entries = new Map(); // key -> { failures: [timestamps], lockedUntil }
+
+  function entry(key) {
+    let e = entries.get(key);
+    if (!e) {
+      e = { failures: [], lockedUntil: 0 };
+      entries.set(key, e);
+    }
+    return e;
+  }
+
+  // Forget old failures so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, e] of entries) {
+      e.failures = e.failures.filter(t => now - t < windowMs);
+      if (!e.failures.length && e.lockedUntil <= now) entries.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return {
+    // ms until the key may try again, 0 if it's allowed now
+    retryAfter(key) {
+      const e = entries.get(key);
+      if (!e) return 0;
+      return Math.max(0, e.lockedUntil - Date.now());
+    },
+
+    // Record a failure; returns true if this one triggered a lockout
+    fail(key) {
+      const now = Date.now();
+      const e = entry(key);
+      e.failures = e.failures.filter(t => now - t < windowMs);
+      e.failures.push(now);
+      if (e.failures.length >= maxFailures) {
+        e.lockedUntil = now + lockoutMs;
+        e.failures = [];
+        return true;
+      }
+      return false;
+    },
+
+    reset(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+module.exports = { createLoginThrottle };
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const net = require('net');
+
+// TLS certificates for the HTTPS server. Either the cert/key files named in
+// config.json, or a self-signed certificate generated on first run (Node
+// has no API for that, so the X.509 DER is assembled by hand below).
+//
+// The generated certificate is ECDSA P-256, valid for 397 days (the most
+// browsers accept), and lists localhost plus this machine's name and LAN
+// address. It's regenerated when it's about to expire or the address changes.
+
+const VALID_DAYS = 397;
+const RENEW_BEFORE = 30 * 24 * 60 * 60 * 1000;
+const COMMON_NAME = 'VRChat Camera Bridge';
+
+// -- DER encoding --
+
+function derLength(n) {
+  if (n < 0x80) return Buffer.from([n]);
+  const bytes = [];
+  for (; n > 0; n >>= 8) bytes.unshift(n & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function der(tag, ...parts) {
+  const body = Buffer.concat(parts);
+  return Buffer.concat([Buffer.from([tag]), derLength(body.length), body]);
+}
+
+const sequence = (...parts) => der(0x30, ...parts);
+const set = (...parts) => der(0x31, ...parts);
+const octetString = (buf) => der(0x04, buf);
+const bitString = (buf) => der(0x03, Buffer.from([0]), buf);
+const utf8String = (s) => der(0x0c, Buffer.from(s, 'utf8'));
+const explicit = (n, inner) => der(0xa0 | n, inner);
+
+function integer(buf) {
+  // Keep it positive: a leading 1 bit would make it negative
+  return der(0x02, buf[0] & 0x80 ? Buffer.concat([Buffer.from([0]), buf]) : buf);
+}
+
+function oid(dotted) {
+  const [a, b, ...rest] = dotted.split('.').map(Number);
+  const bytes = [a * 40 + b];
+  for (const n of rest) {
+    const chunk = [n & 0x7f];
+    for (let v = n >>> 7; v > 0; v >>>= 7) chunk.unshift(0x80 | (v & 0x7f));
+    bytes.push(...chunk);
+  }
+  return der(0x06, Buffer.from(bytes));
+}
+
+// UTCTime until 2049, GeneralizedTime after (RFC 5280 4.1.2.5)
+function time(date) {
+  const iso = date.toISOString().replace(/[-:T]/g, '').slice(0, 14) + 'Z';
+  return date.getUTCFullYear() < 2050 ? der(0x17, Buffer.from(iso.slice(2))) : der(0x18, Buffer.from(iso));
+}
+
+function ipBytes(ip) {
+  if (net.isIPv4(ip)) return Buffer.from(ip.split('.').map(Number));
+  // Expand :: and write 8 groups of 16 bits
+  const [head, tail = ''] = ip.split('::');
+  const h = head ? head.split(':') : [];
+  const t = tail ? tail.split(':') : [];
+  const groups = ip.includes('::') ? [...h, ...Array(8 - h.length - t.length).fill('0'), ...t] : h;
+  const buf = Buffer.alloc(16);
+  groups.forEach((g, i) => buf.writeUInt16BE(parseInt(g, 16), i * 2));
+  return buf;
+}
+
+// dNSName is [2] IA5String, iPAddress is [7] OCTET STRING
+function subjectAltName(hosts) {
+  const names = hosts.map(h => net.isIP(h) ? der(0x87, ipBytes(h)) : der(0x82, Buffer.from(h, 'ascii')));
+  return sequence(oid('2.5.29.17'), octetString(sequence(...names)));
+}
+
+// Build and self-sign a certificate for hosts. Returns { cert, key } as PEM.
+function generateSelfSigned(hosts) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const ecdsaWithSha256 = sequence(oid('1.2.840.10045.4.3.2'));
+  const name = sequence(set(sequence(oid('2.5.4.3'), utf8String(COMMON_NAME))));
+  const notBefore = new Date(Date.now() - 60 * 60 * 1000); // tolerate a little clock skew
+  const notAfter = new Date(notBefore.getTime() + VALID_DAYS * 24 * 60 * 60 * 1000);
+
+  const extensions = sequence(
+    // basicConstraints: not a CA
+    sequence(oid('2.5.29.19'), octetString(sequence())),
+    // keyUsage: digitalSignature (critical)
+    sequence(oid('2.5.29.15'), der(0x01, Buffer.from([0xff])), octetString(der(0x03, Buffer.from([7, 0x80])))),
+    // extKeyUsage: serverAuth
+    sequence(oid('2.5.29.37'), octetString(sequence(oid('1.3.6.1.5.5.7.3.1')))),
+    subjectAltName(hosts)
+  );
+
+  const tbs = sequence(
+    explicit(0, integer(Buffer.from([2]))), // v3
+    integer(crypto.randomBytes(16)),
+    ecdsaWithSha256,
+    name,
+    sequence(time(notBefore), time(notAfter)),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' }),
+    explicit(3, extensions)
+  );
+  const signature = crypto.sign('sha256', tbs, { key: privateKey, dsaEncoding: 'der' });
+  const certDer = sequence(tbs, ecdsaWithSha256, bitString(signature));
+
+  const base64 = certDer.toString('base64').match(/.{1,64}/g).join('\n');
+  return {
+    cert: `-----BEGIN CERTIFICATE-----\n${base64}\n-----END CERTIFICATE-----\n`,
+    key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+}
+
+// Does an existing generated certificate still fit?
+function stillValid(certPem, hosts) {
+  try {
+    const x509 = new crypto.X509Certificate(certPem);
+    if (Date.parse(x509.validTo) - Date.now() < RENEW_BEFORE) return false;
+    return hosts.every(h => net.isIP(h) ? x509.checkIP(h) : x509.checkHost(h));
+  } catch (err) {
+    return false;
+  }
+}
+
+// Resolve the certificate for the HTTPS server. With certFile/keyFile set,
+// they're read as-is (throws if unreadable). Otherwise a self-signed pair is
+// kept in dir and renewed as needed. Returns { cert, key, generated, file }.
+function loadCertificate({ certFile, keyFile, dir, hosts }) {
+  if (certFile || keyFile) {
+    if (!certFile || !keyFile) throw new Error('tlsCert and tlsKey must be set together');
+    return { cert: fs.readFileSync(certFile), key: fs.readFileSync(keyFile), generated: false, file: certFile };
+  }
+
+  const certPath = path.join(dir, 'cert.pem');
+  const keyPath = path.join(dir, 'key.pem');
+  if (fs.existsSync(certPath) && fs.existsSync(keyPath)) {
+    const cert = fs.readFileSync(certPath, 'utf8');
+    if (stillValid(cert, hosts)) return { cert, key: fs.readFileSync(keyPath), generated: false, file: certPath };
+    console.log('Self-signed certificate expired or no longer matches this machine - generating a new one');
+  }
+
+  const { cert, key } = generateSelfSigned(hosts);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(keyPath, key, { mode: 0o600 });
+  fs.writeFileSync(certPath, cert);
+  console.log(`Generated a self-signed certificate for ${hosts.join(', ')} in ${dir}`);
+  return { cert, key, generated: true, file: certPath };
+}
+
+// SHA-256 fingerprint, for checking the browser warning is about our cert
+function fingerprint(certPem) {
+  return new crypto.X509Certificate(certPem).fingerprint256;
+}
+
+module.exports = { generateSelfSigned, loadCertificate, fingerprint };
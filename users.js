@@ -0,0 +1,151 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// User accounts, persisted as JSON next to config.json.
+// Each user: { username, role, salt, hash, createdAt, updatedAt }
+// Passwords are stored as scrypt hashes with a per-user random salt.
+
+// Ordered by privilege: each role can do everything the ones before it can
+const ROLES = ['viewer', 'operator', 'admin'];
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{1,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+function hashPassword(password, salt) {
+  return crypto.scryptSync(String(password), salt, KEY_LENGTH).toString('hex');
+}
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// What the API and UI get to see
+function publicUser(user) {
+  return { username: user.username, role: user.role, createdAt: user.createdAt, updatedAt: user.updatedAt };
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// bootstrapPassword seeds an 'admin' account the first time, so an existing
+// config.json password keeps working after the upgrade
+function createUserStore(file, bootstrapPassword) {
+  let users = [];
+
+  function save() {
+    const tmp = file + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify({ users }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function setPassword(user, password) {
+    user.salt = crypto.randomBytes(16).toString('hex');
+    user.hash = hashPassword(password, user.salt);
+  }
+
+  function find(username) {
+    return users.find(u => u.username.toLowerCase() === String(username).toLowerCase()) || null;
+  }
+
+  function adminCount() {
+    return users.filter(u => u.role === 'admin').length;
+  }
+
+  try {
+    if (fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      users = Array.isArray(data.users) ? data.users : [];
+      console.log(`Loaded ${users.length} user(s) from ${file}`);
+    }
+  } catch (err) {
+    console.error('Error loading users:', err.message);
+  }
+
+  if (!users.length && bootstrapPassword) {
+    const now = new Date().toISOString();
+    const admin = { username: 'admin', role: 'admin', createdAt: now, updatedAt: now };
+    setPassword(admin, bootstrapPassword);
+    users.push(admin);
+    save();
+    console.log(`Created user 'admin' with the password from config.json - manage users at /admin.html`);
+  }
+
+  // Hashed once so unknown usernames take as long to reject as wrong passwords
+  const dummySalt = crypto.randomBytes(16).toString('hex');
+  const dummyHash = hashPassword('', dummySalt);
+
+  return {
+    list() {
+      return users.map(publicUser);
+    },
+
+    get(username) {
+      const user = find(username);
+      return user ? publicUser(user) : null;
+    },
+
+    // Returns the public user on success, null otherwise
+    verify(username, password) {
+      const user = find(username);
+      const expected = Buffer.from(user ? user.hash : dummyHash, 'hex');
+      const actual = Buffer.from(hashPassword(password, user ? user.salt : dummySalt), 'hex');
+      const ok = crypto.timingSafeEqual(expected, actual);
+      return ok && user ? publicUser(user) : null;
+    },
+
+    // Returns { user } or { error }
+    create({ username, password, role = 'viewer' }) {
+      if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        return { error: 'username must be 1-32 letters, digits, _ . or -' };
+      }
+      if (find(username)) return { error: 'username already taken' };
+      if (!ROLES.includes(role)) return { error: `role must be one of ${ROLES.join(', ')}` };
+      const error = validatePassword(password);
+      if (error) return { error };
+
+      const now = new Date().toISOString();
+      const user = { username, role, createdAt: now, updatedAt: now };
+      setPassword(user, password);
+      users.push(user);
+      save();
+      return { user: publicUser(user) };
+    },
+
+    // Change role and/or reset the password. Returns { user } or { error }.
+    update(username, { password, role }) {
+      const user = find(username);
+      if (!user) return { error: 'User not found', notFound: true };
+      if (role !== undefined) {
+        if (!ROLES.includes(role)) return { error: `role must be one of ${ROLES.join(', ')}` };
+        if (user.role === 'admin' && role !== 'admin' && adminCount() === 1) {
+          return { error: "Can't demote the last admin" };
+        }
+      }
+      if (password !== undefined) {
+        const error = validatePassword(password);
+        if (error) return { error };
+      }
+      if (role !== undefined) user.role = role;
+      if (password !== undefined) setPassword(user, password);
+      user.updatedAt = new Date().toISOString();
+      save();
+      return { user: publicUser(user) };
+    },
+
+    // Returns { ok } or { error }
+    remove(username) {
+      const user = find(username);
+      if (!user) return { error: 'User not found', notFound: true };
+      if (user.role === 'admin' && adminCount() === 1) return { error: "Can't remove the last admin" };
+      users = users.filter(u => u !== user);
+      save();
+      return { ok: true };
+    }
+  };
+}
+
+module.exports = { ROLES, hasRole, createUserStore };
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const http = require('http');
+const { EventEmitter } = require('events');
+
+// Minimal RFC 6455 WebSocket server side for server.js's /ws control and
+// state channel (and the bridge's H.264 preview socket). Supports text/binary
+// messages, fragmentation, ping/pong and the close handshake. No extensions
+// (permessage-deflate).
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 1024 * 1024; // 1 MB per message is plenty for control traffic
+
+const OPCODE = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA
+};
+
+class WebSocketConnection extends EventEmitter {
+  constructor(socket, req) {
+    super();
+    this.socket = socket;
+    this.req = req;
+    this.open = true;
+    this.isAlive = true;
+    this._buffer = Buffer.alloc(0);
+    this._fragments = [];
+    this._fragmentOpcode = null;
+    this._closeSent = false;
+
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => this._onData(chunk));
+    socket.on('close', () => this._onSocketClose());
+    socket.on('error', (err) => {
+      // ECONNRESET etc. are normal when browsers go away
+      if (err.code !== 'ECONNRESET' && err.code !== 'EPIPE') this.emit('error', err);
+    });
+  }
+
+  // Bytes queued in the socket but not yet flushed to the kernel
+  get bufferedAmount() {
+    return this.socket.writableLength;
+  }
+
+  send(data) {
+    if (!this.open) return false;
+    if (Buffer.isBuffer(data)) return this._sendFrame(OPCODE.BINARY, data);
+    return this._sendFrame(OPCODE.TEXT, Buffer.from(String(data), 'utf8'));
+  }
+
+  sendJson(obj) {
+    return this.send(JSON.stringify(obj));
+  }
+
+  ping() {
+    if (!this.open) return;
+    this.isAlive = false;
+    this._sendFrame(OPCODE.PING, Buffer.alloc(0));
+  }
+
+  close(code = 1000, reason = '') {
+    if (!this.open || this._closeSent) return;
+    const reasonBuf = Buffer.from(reason, 'utf8');
+    const payload = Buffer.alloc(2 + reasonBuf.length);
+    payload.writeUInt16BE(code, 0);
+    reasonBuf.copy(payload, 2);
+    this._sendFrame(OPCODE.CLOSE, payload);
+    this._closeSent = true;
+    // Give the peer a moment to answer before tearing the socket down
+    setTimeout(() => this.terminate(), 1000).unref();
+  }
+
+  terminate() {
+    this.socket.destroy();
+  }
+
+  _sendFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.alloc(2);
+      header[1] = payload.length;
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode; // FIN + opcode, server frames are never masked
+    if (this.socket.destroyed) return false;
+    try {
+      this.socket.write(header);
+      return this.socket.write(payload);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  _onData(chunk) {
+    this._buffer = this._buffer.length ? Buffer.concat([this._buffer, chunk]) : chunk;
+
+    while (this._buffer.length >= 2) {
+      const b0 = this._buffer[0];
+      const b1 = this._buffer[1];
+      const fin = (b0 & 0x80) !== 0;
+      const opcode = b0 & 0x0F;
+      const masked = (b1 & 0x80) !== 0;
+      let length = b1 & 0x7F;
+      let offset = 2;
+
+      if (length === 126) {
+        if (this._buffer.length < 4) return;
+        length = this._buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this._buffer.length < 10) return;
+        const big = this._buffer.readBigUInt64BE(2);
+        if (big > BigInt(MAX_PAYLOAD)) return this._fail(1009, 'Message too big');
+        length = Number(big);
+        offset = 10;
+      }
+
+      // Clients are required to mask every frame
+      if (!masked) return this._fail(1002, 'Unmasked client frame');
+      if (length > MAX_PAYLOAD) return this._fail(1009, 'Message too big');
+      if (this._buffer.length < offset + 4 + length) return;
+
+      const mask = this._buffer.slice(offset, offset + 4);
+      offset += 4;
+      const payload = Buffer.from(this._buffer.slice(offset, offset + length));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      this._buffer = this._buffer.slice(offset + length);
+
+      this._handleFrame(fin, opcode, payload);
+      if (!this.open) return;
+    }
+  }
+
+  _handleFrame(fin, opcode, payload) {
+    switch (opcode) {
+      case OPCODE.TEXT:
+      case OPCODE.BINARY:
+        if (this._fragmentOpcode !== null) return this._fail(1002, 'Expected continuation frame');
+        if (fin) return this._emitMessage(opcode, payload);
+        this._fragmentOpcode = opcode;
+        this._fragments = [payload];
+        return;
+      case OPCODE.CONTINUATION: {
+        if (this._fragmentOpcode === null) return this._fail(1002, 'Unexpected continuation frame');
+        this._fragments.push(payload);
+        const total = this._fragments.reduce((n, f) => n + f.length, 0);
+        if (total > MAX_PAYLOAD) return this._fail(1009, 'Message too big');
+        if (!fin) return;
+        const op = this._fragmentOpcode;
+        const data = Buffer.concat(this._fragments);
+        this._fragmentOpcode = null;
+        this._fragments = [];
+        return this._emitMessage(op, data);
+      }
+      case OPCODE.PING:
+        return this._sendFrame(OPCODE.PONG, payload);
+      case OPCODE.PONG:
+        this.isAlive = true;
+        return;
+      case OPCODE.CLOSE: {
+        const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+        if (!this._closeSent) {
+          this._sendFrame(OPCODE.CLOSE, payload.length >= 2 ? payload.slice(0, 2) : Buffer.alloc(0));
+          this._closeSent = true;
+        }
+        this.open = false;
+        this.socket.end();
+        this.emit('close', code);
+        return;
+      }
+      default:
+        return this._fail(1002, 'Unknown opcode');
+    }
+  }
+
+  _emitMessage(opcode, payload) {
+    if (opcode === OPCODE.TEXT) this.emit('message', payload.toString('utf8'), false);
+    else this.emit('message', payload, true);
+  }
+
+  _fail(code, reason) {
+    this.close(code, reason);
+    this.open = false;
+    this.emit('close', code);
+  }
+
+  _onSocketClose() {
+    if (this.open) {
+      this.open = false;
+      this.emit('close', 1006);
+    }
+  }
+}
+
+// Reject an upgrade request with a plain HTTP status before any handshake
+function rejectUpgrade(socket, statusCode, message) {
+  const statusText = http.STATUS_CODES[statusCode] || 'Error';
+  const body = message || statusText;
+  socket.end(
+    `HTTP/1.1 ${statusCode} ${statusText}\r\n` +
+    'Content-Type: text/plain\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    'Connection: close\r\n\r\n' +
+    body
+  );
+}
+
+// Complete the handshake for an 'upgrade' event. Returns the connection, or
+// null if the request wasn't a valid WebSocket upgrade (socket is closed).
+function acceptUpgrade(req, socket, head) {
+  const key = req.headers['sec-websocket-key'];
+  const upgrade = (req.headers.upgrade || '').toLowerCase();
+  if (req.method !== 'GET' || upgrade !== 'websocket' || !key) {
+    rejectUpgrade(socket, 400, 'Expected WebSocket upgrade');
+    return null;
+  }
+  if (req.headers['sec-websocket-version'] !== '13') {
+    socket.end('HTTP/1.1 426 Upgrade Required\r\nSec-WebSocket-Version: 13\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const ws = new WebSocketConnection(socket, req);
+  if (head && head.length) ws._onData(head);
+  return ws;
+}
+
+module.exports = { acceptUpgrade, rejectUpgrade, WebSocketConnection };